@@ -5,10 +5,37 @@
 
 import {
     validateBounds,
+    polygonBounds,
     buildOverpassQuery,
+    buildBoundaryQuery,
+    buildBoundaryLookupQuery,
+    parseBoundaryCandidates,
+    parseBoundary,
     convertToGraph,
+    addEdgeGeometry,
+    simplifyGraph,
+    consolidateIntersections,
+    clipGraph,
+    clipGraphToPolygon,
+    clipGraphToBoundary,
+    assignEdgeKeys,
+    labelComponents,
+    keepLargestComponent,
+    buildTurnGraph,
     convertToGraphML,
+    convertToGEXF,
+    convertToDOT,
     convertToCSV,
+    createZip,
+    convertToNeo4j,
+    convertToDIMACS,
+    convertToSUMO,
+    convertToMATSim,
+    buildTensors,
+    convertToNPZ,
+    convertToGeoJSON,
+    convertToOSMXML,
+    convertToSVG,
     convertToTikZ,
     splitBounds,
     mergeOsmData
@@ -23,13 +50,17 @@ const TILE_THRESHOLD = 0.1;
 // Cache for storing temporary graph data between operations
 let graphCache = null;
 
+// Raw Overpass data behind graphCache and its bounds, handed to the popup with
+// the graph. Exports never read it: the worker is stopped when idle, so the
+// OSM XML export uses the copy sent back with the request
+let osmCache = null;
+
 /**
- * Fetches a single tile of OSM data from Overpass API
- * @param {Object} bounds - Bounding box coordinates for one tile
+ * Runs an Overpass QL query
+ * @param {string} query - Overpass QL query
  * @returns {Promise<Object>} JSON response from Overpass API
  */
-async function fetchTile(bounds) {
-    const query = buildOverpassQuery(bounds);
+async function queryOverpass(query) {
     const response = await fetch(OVERPASS_API, {
         method: 'POST',
         headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
@@ -43,12 +74,25 @@ async function fetchTile(bounds) {
     return await response.json();
 }
 
+/**
+ * Fetches a single tile of OSM data from Overpass API
+ * @param {Object} bounds - Bounding box coordinates for one tile
+ * @param {Object} options - Query options (network profile, retained tags,
+ *   polygon, relation id)
+ * @returns {Promise<Object>} JSON response from Overpass API
+ */
+async function fetchTile(bounds, options) {
+    return await queryOverpass(buildOverpassQuery(bounds, options));
+}
+
 /**
  * Fetches OSM data, tiling large areas automatically
  * @param {Object} bounds - Bounding box coordinates
+ * @param {Object} [options] - Query options (network profile, retained tags,
+ *   polygon, relation id)
  * @returns {Promise<Object>} JSON response (merged if tiled)
  */
-async function fetchOsmData(bounds) {
+async function fetchOsmData(bounds, options = {}) {
     try {
         validateBounds(bounds);
 
@@ -57,7 +101,7 @@ async function fetchOsmData(bounds) {
         const needsTiling = latSpan > TILE_THRESHOLD || lonSpan > TILE_THRESHOLD;
 
         if (!needsTiling) {
-            return await fetchTile(bounds);
+            return await fetchTile(bounds, options);
         }
 
         // Split into tiles and fetch sequentially to avoid rate-limiting
@@ -66,7 +110,7 @@ async function fetchOsmData(bounds) {
 
         const results = [];
         for (const tile of tiles) {
-            results.push(await fetchTile(tile));
+            results.push(await fetchTile(tile, options));
         }
 
         return mergeOsmData(results);
@@ -76,6 +120,101 @@ async function fetchOsmData(bounds) {
     }
 }
 
+/**
+ * Resolves the area of a fetch request. A boundary relation takes precedence
+ * over a drawn polygon, which takes precedence over the bounding box.
+ * @param {Object} request - FETCH_OSM_DATA message {bounds, polygon, relationId}
+ * @returns {Promise<Object>} Area {bounds, polygon?, boundary?}, where bounds
+ *   cover the polygon or boundary
+ */
+async function resolveArea(request) {
+    if (request.relationId) {
+        const boundaryData = await queryOverpass(buildBoundaryQuery(request.relationId));
+        const boundary = parseBoundary(boundaryData, request.relationId);
+        return { bounds: polygonBounds(boundary.rings.flat()), boundary };
+    }
+    if (request.polygon) {
+        return { bounds: polygonBounds(request.polygon), polygon: request.polygon };
+    }
+    return { bounds: request.bounds };
+}
+
+/**
+ * Converts fetched OSM data into a graph and applies optional post-processing
+ * @param {Object} osmData - Raw (possibly merged) Overpass response
+ * @param {Object} options - Graph options from the settings panel
+ * @param {Object} area - Requested area from resolveArea
+ * @returns {Object} Graph in NetworkX node-link format
+ */
+function buildGraph(osmData, options = {}, area) {
+    let graph = convertToGraph(osmData, {
+        highwaySpeeds: options.highwaySpeeds,
+        profile: options.profile,
+        tags: options.tags,
+        onewayPolicy: options.onewayPolicy
+    });
+
+    // Clip before simplifying: clipping works on straight segments.
+    // Boundaries and drawn polygons are always clipped to, cutting edges
+    // unless a mode is chosen
+    if (area.boundary) {
+        graph = clipGraphToBoundary(graph, area.boundary, { mode: options.clipMode || 'cut' });
+    } else if (area.polygon) {
+        graph = clipGraphToPolygon(graph, area.polygon, { mode: options.clipMode || 'cut' });
+    } else if (options.clipMode) {
+        graph = clipGraph(graph, area.bounds, { mode: options.clipMode });
+    }
+
+    if (options.simplify) {
+        graph = simplifyGraph(graph, {
+            mergeAcrossAttributes: options.mergeAcrossAttributes
+        });
+    }
+
+    if (options.consolidate) {
+        graph = consolidateIntersections(graph, {
+            tolerance: options.consolidationTolerance
+        });
+    }
+
+    if (options.edgeGeometry) {
+        graph = addEdgeGeometry(graph);
+    }
+
+    if (options.largestComponent) {
+        graph = keepLargestComponent(graph, { connectivity: options.largestComponent });
+    }
+
+    if (options.multigraph) {
+        graph = assignEdgeKeys(graph);
+    }
+
+    return labelComponents(graph);
+}
+
+/**
+ * Encodes binary data as base64, since messages only carry JSON
+ * @param {Uint8Array} bytes - Binary data
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Bundles several export files into one ZIP download
+ * @param {string} name - Archive file name
+ * @param {Array<{name: string, data: string}>} files - Files in the archive
+ * @returns {Object[]} Single base64-encoded file for the export response
+ */
+function zipFiles(name, files) {
+    return [{ name, data: toBase64(createZip(files)), encoding: 'base64' }];
+}
+
 /**
  * Handle messages from content script and popup
  */
@@ -83,11 +222,20 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     console.log('Received message:', request.type);
 
     if (request.type === 'FETCH_OSM_DATA') {
-        fetchOsmData(request.bounds)
-            .then(data => {
-                graphCache = convertToGraph(data);
+        const options = request.options || {};
+        resolveArea(request)
+            .then(async area => {
+                const data = await fetchOsmData(area.bounds, {
+                    profile: options.profile,
+                    tags: options.tags,
+                    polygon: area.polygon,
+                    relationId: area.boundary && area.boundary.id
+                });
+                // Only keep the source once the graph built from it exists
+                graphCache = buildGraph(data, options, area);
+                osmCache = { data, bounds: area.bounds };
                 console.log('Graph generated:', graphCache);
-                sendResponse({ success: true, data: graphCache });
+                sendResponse({ success: true, data: graphCache, source: osmCache });
             })
             .catch(error => {
                 console.error('Error:', error);
@@ -95,9 +243,26 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             });
         return true; // Keep message channel open for async response
 
+    } else if (request.type === 'FIND_BOUNDARY') {
+        queryOverpass(buildBoundaryLookupQuery(request.lat, request.lon))
+            .then(data => {
+                sendResponse({ success: true, data: parseBoundaryCandidates(data) });
+            })
+            .catch(error => {
+                console.error('Boundary lookup error:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true; // Keep message channel open for async response
+
+    } else if (request.type === 'SET_GRAPH') {
+        // The content script adds elevation to the graph locally
+        graphCache = request.data;
+        sendResponse({ success: true });
+        return false;
+
     } else if (request.type === 'GET_GRAPH') {
         if (graphCache) {
-            sendResponse({ success: true, data: graphCache });
+            sendResponse({ success: true, data: graphCache, source: osmCache });
         } else {
             sendResponse({ success: false, error: 'No graph data available' });
         }
@@ -105,27 +270,83 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     } else if (request.type === 'EXPORT_GRAPH') {
         try {
-            const graphData = request.data;
+            let graphData = request.data;
             if (!graphData) {
                 sendResponse({ success: false, error: 'No graph data available' });
                 return false;
             }
 
+            const exportOptions = request.options || {};
+            if (exportOptions.turnGraph) {
+                graphData = buildTurnGraph(graphData);
+            }
+
             let exportData;
+            let files;
             if (request.format === 'json') {
                 exportData = JSON.stringify(graphData, null, 2);
             } else if (request.format === 'graphml') {
                 exportData = convertToGraphML(graphData);
+            } else if (request.format === 'gexf') {
+                exportData = convertToGEXF(graphData);
+            } else if (request.format === 'dot') {
+                exportData = convertToDOT(graphData);
             } else if (request.format === 'csv') {
                 exportData = convertToCSV(graphData);
+            } else if (request.format === 'osm') {
+                // The source data, not the graph: turn graph and options do not apply
+                const source = request.source;
+                if (!source || !source.data) {
+                    throw new Error('No OSM data available, generate the graph again');
+                }
+                exportData = convertToOSMXML(source.data, source.bounds);
+            } else if (request.format === 'svg') {
+                exportData = convertToSVG(graphData, exportOptions.svg);
             } else if (request.format === 'tikz') {
-                exportData = convertToTikZ(graphData);
+                exportData = convertToTikZ(graphData, exportOptions.tikz);
+            } else if (request.format === 'neo4j') {
+                const { nodes, relationships, cypher } = convertToNeo4j(graphData, { cypher: exportOptions.neo4jCypher });
+                files = zipFiles('osm-graph-neo4j.zip', [
+                    { name: 'osm-graph-nodes.csv', data: nodes },
+                    { name: 'osm-graph-relationships.csv', data: relationships },
+                    ...(cypher ? [{ name: 'osm-graph-load.cypher', data: cypher }] : [])
+                ]);
+            } else if (request.format === 'dimacs') {
+                const { gr, co, ids } = convertToDIMACS(graphData, { weight: exportOptions.dimacsWeight });
+                files = zipFiles('osm-graph-dimacs.zip', [
+                    { name: 'osm-graph.gr', data: gr },
+                    { name: 'osm-graph.co', data: co },
+                    { name: 'osm-graph.ids.csv', data: ids }
+                ]);
+            } else if (request.format === 'sumo') {
+                const { nodes, edges, types } = convertToSUMO(graphData);
+                files = zipFiles('osm-graph-sumo.zip', [
+                    { name: 'osm-graph.nod.xml', data: nodes },
+                    { name: 'osm-graph.edg.xml', data: edges },
+                    { name: 'osm-graph.typ.xml', data: types }
+                ]);
+            } else if (request.format === 'matsim') {
+                exportData = convertToMATSim(graphData, { linkDefaults: exportOptions.matsimLinkDefaults });
+            } else if (request.format === 'ml') {
+                const tensors = buildTensors(graphData);
+                files = exportOptions.mlFormat === 'json'
+                    ? [{ name: 'osm-graph-ml.json', data: JSON.stringify(tensors), type: 'application/json' }]
+                    : [{ name: 'osm-graph-ml.npz', data: toBase64(convertToNPZ(tensors)), encoding: 'base64' }];
+            } else if (request.format === 'geojson') {
+                if (exportOptions.geojsonSplit) {
+                    files = ['nodes', 'edges'].map(layer => ({
+                        name: `osm-graph-${layer}.geojson`,
+                        data: convertToGeoJSON(graphData, { layer })
+                    }));
+                } else {
+                    exportData = convertToGeoJSON(graphData);
+                }
             } else {
                 sendResponse({ success: false, error: 'Unsupported format' });
                 return false;
             }
 
-            sendResponse({ success: true, data: exportData });
+            sendResponse(files ? { success: true, files } : { success: true, data: exportData });
         } catch (error) {
             console.error('Export error:', error);
             sendResponse({ success: false, error: error.message });
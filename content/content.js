@@ -17,6 +17,16 @@ if (window.location.hostname === "www.openstreetmap.org") {
       this.generateButton = null;      // Button in the navigation bar
       this.settingsPanel = null;       // Panel containing settings and controls
       this.graphData = null;           // Store generated graph data
+      this.osmSource = null;           // Raw Overpass data and bounds behind it
+      this.drawMap = null;             // Leaflet map overlaid on OSM's map for drawing
+      this.drawContainer = null;       // Container of the drawing map
+      this.drawHandler = null;         // Active leaflet.draw handler, if drawing
+      this.areaLayer = null;           // Drawn rectangle or polygon
+      this.dems = [];                  // Elevation models loaded from local files
+      this.graphUtils = null;          // Promise of the lib/graph-utils.js module
+      this.syncedHash = null;          // URL hash the overlay view was last set from
+      this.paneOrigin = null;          // OSM map pane offset at that time
+      this.syncTimer = null;           // Pending re-sync after the page map moved
     }
 
     /**
@@ -26,6 +36,7 @@ if (window.location.hostname === "www.openstreetmap.org") {
       console.log("Initializing OSMGraphSelector");
       this.setupInterface();           // Create and add the UI button
       this.createSettingsPanel();      // Create the settings panel
+      this.setupAreaDrawing();         // Create the drawing overlay
       this.setupMapChangeListener();    // Setup listeners for map changes
     }
 
@@ -35,6 +46,7 @@ if (window.location.hostname === "www.openstreetmap.org") {
     setupMapChangeListener() {
       window.addEventListener('hashchange', () => {
         this.updateCoordinates();
+        this.syncDrawMap();
       });
     }
 
@@ -155,6 +167,86 @@ if (window.location.hostname === "www.openstreetmap.org") {
                     <label for="south">South</label>
                 </div>
             </div>
+            <div class="area-tools">
+                <button type="button" id="drawRectangle" class="area-button">Draw rectangle</button>
+                <button type="button" id="drawPolygon" class="area-button">Draw polygon</button>
+                <button type="button" id="clearArea" class="area-button" disabled>Clear</button>
+            </div>
+            <div class="area-hint">Drag a drawn shape to move it, or its handles to reshape it.</div>
+            <label class="settings-option" for="relationId">Or use an OSM boundary relation instead</label>
+            <div class="area-tools">
+                <input type="number" id="relationId" class="text-input" min="1" step="1" placeholder="Relation id, e.g. 62422">
+                <button type="button" id="findBoundary" class="area-button">At map centre</button>
+            </div>
+            <select id="boundaryCandidates" style="display: none; width: 100%; margin-top: 6px;"></select>
+        </div>
+        <div class="settings-section">
+            <h4>Graph Options</h4>
+            <label class="settings-option" for="profile">Network type</label>
+            <select id="profile" style="width: 100%; margin-bottom: 6px;">
+                <option value="drive">Drive (motor vehicles)</option>
+                <option value="bike">Bike</option>
+                <option value="walk">Walk</option>
+                <option value="all">All highways</option>
+            </select>
+            <label class="settings-option" for="onewayPolicy">Reversible and conditional one-ways</label>
+            <select id="onewayPolicy" style="width: 100%; margin-bottom: 6px;">
+                <option value="flag">Flag them (direction_flag)</option>
+                <option value="bidirectional">Treat as two-way</option>
+                <option value="omit">Omit them</option>
+            </select>
+            <label class="settings-option" for="clipMode">Edges crossing the area boundary</label>
+            <select id="clipMode" style="width: 100%; margin-bottom: 6px;">
+                <option value="">Keep as fetched (drawn shapes are cut)</option>
+                <option value="drop">Drop edges leaving the area</option>
+                <option value="keep_first">Keep up to the first outside node</option>
+                <option value="cut">Cut at the boundary</option>
+            </select>
+            <label class="settings-option">
+                <input type="checkbox" id="multigraph">
+                Multigraph (keep parallel edges, with edge keys)
+            </label>
+            <label class="settings-option">
+                <input type="checkbox" id="edgeGeometry">
+                Edge geometry (polyline on every edge)
+            </label>
+            <label class="settings-option">
+                <input type="checkbox" id="simplify">
+                Simplify topology (merge degree-2 nodes)
+            </label>
+            <label class="settings-option nested">
+                <input type="checkbox" id="mergeAcrossAttributes" disabled>
+                Merge across way, highway or name changes
+            </label>
+            <label class="settings-option">
+                <input type="checkbox" id="consolidate">
+                Consolidate intersections within
+                <input type="number" id="consolidationTolerance" class="inline-number" min="1" step="1" value="10" disabled> m
+            </label>
+            <label class="settings-option" for="largestComponent">Connected components</label>
+            <select id="largestComponent" style="width: 100%; margin-bottom: 6px;">
+                <option value="">Keep all (nodes are tagged with their component)</option>
+                <option value="weak">Keep only the largest weakly connected component</option>
+                <option value="strong">Keep only the largest strongly connected component</option>
+            </select>
+            <label class="settings-option" for="highwaySpeeds">
+                Default speeds (km/h) for ways without maxspeed
+            </label>
+            <textarea id="highwaySpeeds" rows="3" placeholder="residential=30&#10;primary=70"></textarea>
+            <label class="settings-option" for="retainTags">
+                OSM tags to keep on edges and nodes
+            </label>
+            <input type="text" id="retainTags" class="text-input" placeholder="lanes, surface, maxspeed, ref, crossing">
+            <label class="settings-option nested">
+                <input type="checkbox" id="allTags">
+                Keep all tags
+            </label>
+        </div>
+        <div class="settings-section">
+            <h4>Elevation</h4>
+            <label class="settings-option" for="demFiles">Local DEM files (SRTM .hgt or GeoTIFF in lat/lon)</label>
+            <input type="file" id="demFiles" accept=".hgt,.tif,.tiff" multiple>
+            <div id="demStatus" class="area-hint">No DEM loaded; nodes get no elevation</div>
         </div>
         <div class="settings-section">
             <button id="generateGraph" class="settings-button">Generate Graph</button>
@@ -170,9 +262,76 @@ if (window.location.hostname === "www.openstreetmap.org") {
             <select id="exportFormat" style="width: 100%; margin-bottom: 10px;">
                 <option value="json">JSON</option>
                 <option value="graphml">GraphML</option>
+                <option value="gexf">GEXF (Gephi)</option>
+                <option value="dot">Graphviz DOT</option>
                 <option value="csv">CSV (edge list)</option>
                 <option value="tikz">LaTeX TikZ</option>
+                <option value="svg">SVG map</option>
+                <option value="geojson">GeoJSON</option>
+                <option value="neo4j">Neo4j bulk import (CSV)</option>
+                <option value="dimacs">DIMACS shortest path (.gr/.co)</option>
+                <option value="sumo">SUMO plain XML (.nod/.edg)</option>
+                <option value="matsim">MATSim network.xml</option>
+                <option value="ml">ML arrays (PyTorch Geometric / NumPy)</option>
+                <option value="osm">OSM XML (source data)</option>
+            </select>
+            <label class="settings-option">
+                <input type="checkbox" id="turnGraph">
+                Edge-expanded turn graph (applies turn restrictions)
+            </label>
+            <label class="settings-option">
+                <input type="checkbox" id="geojsonSplit">
+                Split GeoJSON into node and edge files
+            </label>
+            <label class="settings-option">
+                <input type="checkbox" id="neo4jCypher">
+                Add a Cypher LOAD CSV script to the Neo4j bundle
+            </label>
+            <label class="settings-option">
+                SVG map size
+                <input type="number" id="svgWidth" class="inline-number" min="100" step="10" value="800"> ×
+                <input type="number" id="svgHeight" class="inline-number" min="100" step="10" value="600"> px
+            </label>
+            <label class="settings-option nested">
+                <input type="checkbox" id="svgArrows">
+                One-way arrows
+            </label>
+            <label class="settings-option nested">
+                <input type="checkbox" id="svgLabels">
+                Street name labels
+            </label>
+            <label class="settings-option" for="tikzProjection">TikZ projection and node labels</label>
+            <select id="tikzProjection" style="width: 100%; margin-bottom: 6px;">
+                <option value="equirectangular">Equirectangular</option>
+                <option value="utm">Local UTM zone</option>
+            </select>
+            <select id="tikzNodeLabels" style="width: 100%; margin-bottom: 6px;">
+                <option value="none">No node labels</option>
+                <option value="id">OSM node id</option>
+                <option value="index">Node index</option>
             </select>
+            <label class="settings-option nested">
+                <input type="checkbox" id="tikzLegend" checked>
+                Highway legend
+            </label>
+            <label class="settings-option nested">
+                <input type="checkbox" id="tikzScaleBar" checked>
+                Scale bar
+            </label>
+            <label class="settings-option" for="dimacsWeight">DIMACS arc weight</label>
+            <select id="dimacsWeight" style="width: 100%; margin-bottom: 6px;">
+                <option value="distance">Distance (metres)</option>
+                <option value="time">Travel time (deciseconds)</option>
+            </select>
+            <label class="settings-option" for="mlFormat">ML arrays file</label>
+            <select id="mlFormat" style="width: 100%; margin-bottom: 6px;">
+                <option value="npz">NumPy archive (.npz)</option>
+                <option value="json">JSON with typed arrays (missing values as null)</option>
+            </select>
+            <label class="settings-option" for="matsimLinkDefaults">
+                MATSim lanes × capacity (veh/h per lane) by highway class
+            </label>
+            <textarea id="matsimLinkDefaults" rows="2" placeholder="primary=2x1500&#10;residential=1x600"></textarea>
             <button id="exportGraph" class="settings-button">Export Graph</button>
         </div>
     `;
@@ -290,6 +449,61 @@ if (window.location.hostname === "www.openstreetmap.org") {
                     justify-content: space-between;
                     padding: 0 20px;
                 }
+                .area-tools {
+                    display: flex;
+                    gap: 6px;
+                }
+                .area-button {
+                    flex: 1;
+                    padding: 4px;
+                    background: white;
+                    color: #0074d9;
+                    border: 1px solid #0074d9;
+                    border-radius: 4px;
+                    font-size: 12px;
+                    cursor: pointer;
+                }
+                .area-button:disabled {
+                    opacity: 0.5;
+                    cursor: not-allowed;
+                }
+                .area-hint {
+                    margin-top: 4px;
+                    font-size: 11px;
+                    color: #666;
+                }
+                .settings-option {
+                    display: block;
+                    margin: 6px 0;
+                    font-size: 13px;
+                }
+                .settings-option.nested {
+                    margin-left: 20px;
+                }
+                .settings-option .inline-number {
+                    width: 50px;
+                    padding: 2px 4px;
+                    border: 1px solid #ccc;
+                    border-radius: 4px;
+                    font-size: 12px;
+                }
+                .settings-section .text-input {
+                    width: 100%;
+                    box-sizing: border-box;
+                    padding: 4px;
+                    border: 1px solid #ccc;
+                    border-radius: 4px;
+                    font-size: 12px;
+                }
+                .settings-section textarea {
+                    width: 100%;
+                    box-sizing: border-box;
+                    padding: 4px;
+                    border: 1px solid #ccc;
+                    border-radius: 4px;
+                    font-family: monospace;
+                    font-size: 12px;
+                }
                 select {
                     padding: 6px;
                     border-radius: 4px;
@@ -304,6 +518,46 @@ if (window.location.hostname === "www.openstreetmap.org") {
 
       document.head.appendChild(style);
 
+      // Sub-options are only meaningful while their parent option is checked
+      const simplifyCheckbox = this.settingsPanel.querySelector("#simplify");
+      simplifyCheckbox.addEventListener("change", () => {
+        this.settingsPanel.querySelector("#mergeAcrossAttributes").disabled = !simplifyCheckbox.checked;
+      });
+      const allTagsCheckbox = this.settingsPanel.querySelector("#allTags");
+      allTagsCheckbox.addEventListener("change", () => {
+        this.settingsPanel.querySelector("#retainTags").disabled = allTagsCheckbox.checked;
+      });
+      const consolidateCheckbox = this.settingsPanel.querySelector("#consolidate");
+      consolidateCheckbox.addEventListener("change", () => {
+        this.settingsPanel.querySelector("#consolidationTolerance").disabled = !consolidateCheckbox.checked;
+      });
+
+      // Area drawing; edited coordinates move or resize the drawn shape
+      this.settingsPanel.querySelector("#drawRectangle").addEventListener("click", () => {
+        this.startDrawing('rectangle');
+      });
+      this.settingsPanel.querySelector("#drawPolygon").addEventListener("click", () => {
+        this.startDrawing('polygon');
+      });
+      this.settingsPanel.querySelector("#clearArea").addEventListener("click", () => {
+        this.clearArea();
+      });
+      this.settingsPanel.querySelector("#findBoundary").addEventListener("click", () => {
+        this.findBoundary();
+      });
+      this.settingsPanel.querySelector("#boundaryCandidates").addEventListener("change", event => {
+        this.settingsPanel.querySelector("#relationId").value = event.target.value;
+      });
+      for (const id of ['north', 'south', 'east', 'west']) {
+        this.settingsPanel.querySelector(`#${id}`).addEventListener("change", () => {
+          this.updateAreaFromInputs();
+        });
+      }
+
+      this.settingsPanel.querySelector("#demFiles").addEventListener("change", event => {
+        this.loadDemFiles(event.target.files);
+      });
+
       // Add event listeners
       this.settingsPanel
         .querySelector("#generateGraph")
@@ -326,7 +580,466 @@ if (window.location.hostname === "www.openstreetmap.org") {
     }
 
     /**
-     * Generate graph from current coordinate bounds
+     * Overlay a transparent Leaflet map on OSM's map for drawing the area.
+     * The page's own Leaflet instance is not reachable from the content script,
+     * so the overlay follows the page's view: its centre and zoom come from the
+     * URL hash, and pans in between are mirrored from the page's map pane.
+     */
+    setupAreaDrawing() {
+      const mapElement = document.getElementById('map');
+      if (typeof L === 'undefined' || !L.Draw || !mapElement) {
+        console.error('Leaflet.draw or map container not available');
+        this.settingsPanel.querySelectorAll('.area-button').forEach(button => {
+          button.disabled = true;
+        });
+        return;
+      }
+
+      this.drawContainer = document.createElement('div');
+      this.drawContainer.className = 'osm-graph-draw-layer';
+      this.drawContainer.style.display = 'none';
+      mapElement.parentNode.insertBefore(this.drawContainer, mapElement.nextSibling);
+
+      // The overlay never moves by itself; the user pans and zooms OSM's map
+      this.drawMap = L.map(this.drawContainer, {
+        zoomControl: false,
+        attributionControl: false,
+        dragging: false,
+        scrollWheelZoom: false,
+        doubleClickZoom: false,
+        boxZoom: false,
+        keyboard: false,
+        touchZoom: false,
+        zoomAnimation: false,
+        fadeAnimation: false
+      });
+      this.syncDrawMap();
+
+      this.drawMap.on(L.Draw.Event.CREATED, event => {
+        this.setAreaLayer(event.layer);
+      });
+      this.drawMap.on(L.Draw.Event.DRAWSTOP, () => {
+        this.drawHandler = null;
+        this.drawContainer.style.pointerEvents = 'none';
+      });
+      document.addEventListener('keydown', event => {
+        if (event.key === 'Escape' && this.drawHandler) {
+          this.drawHandler.disable();
+        }
+      });
+
+      new ResizeObserver(() => this.positionDrawLayer()).observe(mapElement);
+
+      const mapPane = mapElement.querySelector('.leaflet-map-pane');
+      if (mapPane) {
+        new MutationObserver(() => this.followPageMap()).observe(mapPane, {
+          attributes: true,
+          attributeFilter: ['style']
+        });
+      }
+    }
+
+    /**
+     * Place the drawing overlay exactly over OSM's map
+     */
+    positionDrawLayer() {
+      const mapElement = document.getElementById('map');
+      if (!this.drawMap || !mapElement) return;
+
+      Object.assign(this.drawContainer.style, {
+        top: `${mapElement.offsetTop}px`,
+        left: `${mapElement.offsetLeft}px`,
+        width: `${mapElement.offsetWidth}px`,
+        height: `${mapElement.offsetHeight}px`
+      });
+      this.drawMap.invalidateSize({ pan: false });
+      this.syncDrawMap();
+    }
+
+    /**
+     * Set the overlay's view from the map centre and zoom in the URL hash
+     */
+    syncDrawMap() {
+      if (!this.drawMap) return;
+      const mapParam = new URLSearchParams(window.location.hash.slice(1)).get('map');
+      if (!mapParam) return;
+
+      const [zoom, lat, lon] = mapParam.split('/').map(parseFloat);
+      if ([zoom, lat, lon].some(v => isNaN(v))) return;
+
+      this.drawMap.setView([lat, lon], zoom, { animate: false });
+      this.drawContainer.style.transform = '';
+      this.syncedHash = window.location.hash;
+      this.paneOrigin = this.readPagePanePosition();
+    }
+
+    /**
+     * Read the pixel offset of OSM's map pane, which Leaflet moves while panning
+     * @returns {Object|null} Offset {x, y}, or null if the pane is not found
+     */
+    readPagePanePosition() {
+      const mapPane = document.querySelector('#map .leaflet-map-pane');
+      if (!mapPane) return null;
+
+      const match = mapPane.style.transform.match(/translate(?:3d)?\((-?[\d.]+)px,\s*(-?[\d.]+)px/);
+      if (match) {
+        return { x: parseFloat(match[1]), y: parseFloat(match[2]) };
+      }
+      return { x: parseFloat(mapPane.style.left) || 0, y: parseFloat(mapPane.style.top) || 0 };
+    }
+
+    /**
+     * Mirror a pan of OSM's map on the overlay until the URL hash catches up
+     */
+    followPageMap() {
+      if (window.location.hash !== this.syncedHash) {
+        this.syncDrawMap();
+        return;
+      }
+
+      const position = this.readPagePanePosition();
+      if (position && this.paneOrigin) {
+        const dx = position.x - this.paneOrigin.x;
+        const dy = position.y - this.paneOrigin.y;
+        this.drawContainer.style.transform = `translate(${dx}px, ${dy}px)`;
+      }
+
+      // OSM may update the hash shortly after the map stops moving
+      clearTimeout(this.syncTimer);
+      this.syncTimer = setTimeout(() => {
+        if (window.location.hash !== this.syncedHash) {
+          this.syncDrawMap();
+        }
+      }, 300);
+    }
+
+    /**
+     * Start drawing a new area on the map
+     * @param {string} kind - Either 'rectangle' or 'polygon'
+     */
+    startDrawing(kind) {
+      if (!this.drawMap) return;
+      if (this.drawHandler) {
+        this.drawHandler.disable();
+      }
+
+      const shapeOptions = { color: '#0074d9', weight: 2, fillOpacity: 0.1 };
+      this.drawHandler = kind === 'rectangle'
+        ? new L.Draw.Rectangle(this.drawMap, { shapeOptions })
+        : new L.Draw.Polygon(this.drawMap, { shapeOptions, allowIntersection: false });
+
+      // The overlay only captures the mouse while drawing
+      this.syncDrawMap();
+      this.drawContainer.style.pointerEvents = 'auto';
+      this.drawHandler.enable();
+      this.showToast(kind === 'rectangle'
+        ? 'Drag on the map to draw a rectangle'
+        : 'Click to add vertices, click the first vertex to finish');
+    }
+
+    /**
+     * Use a drawn shape as the export area, replacing any previous one
+     * @param {L.Polygon} layer - Drawn rectangle or polygon
+     */
+    setAreaLayer(layer) {
+      this.clearArea();
+      this.areaLayer = layer.addTo(this.drawMap);
+      this.areaLayer.editing.enable();
+      this.areaLayer.on('edit', () => this.updateInputsFromArea());
+      this.areaLayer.on('mousedown', event => this.startAreaDrag(event));
+      this.settingsPanel.querySelector('#clearArea').disabled = false;
+      this.updateInputsFromArea();
+    }
+
+    /**
+     * Remove the drawn shape; the inputs define the area again
+     */
+    clearArea() {
+      if (!this.areaLayer) return;
+      this.areaLayer.editing.disable();
+      this.areaLayer.remove();
+      this.areaLayer = null;
+      this.settingsPanel.querySelector('#clearArea').disabled = true;
+    }
+
+    /**
+     * Drag the drawn shape with the mouse. leaflet.draw only moves rectangles,
+     * so the shape is translated in pixel space for both kinds.
+     * @param {Object} event - Leaflet mousedown event on the shape
+     */
+    startAreaDrag(event) {
+      if (this.drawHandler) return;
+      L.DomEvent.preventDefault(event.originalEvent);
+
+      const layer = this.areaLayer;
+      const start = this.drawMap.mouseEventToLayerPoint(event.originalEvent);
+      const points = layer.getLatLngs()[0].map(latlng => this.drawMap.latLngToLayerPoint(latlng));
+      layer.editing.disable();
+
+      const onMove = moveEvent => {
+        const offset = this.drawMap.mouseEventToLayerPoint(moveEvent).subtract(start);
+        layer.setLatLngs([points.map(point => this.drawMap.layerPointToLatLng(point.add(offset)))]);
+      };
+      const onUp = () => {
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+        layer.editing.enable();
+        this.updateInputsFromArea();
+      };
+      document.addEventListener('mousemove', onMove);
+      document.addEventListener('mouseup', onUp);
+    }
+
+    /**
+     * Set the N/S/E/W inputs to the bounding box of the drawn shape
+     */
+    updateInputsFromArea() {
+      if (!this.areaLayer) return;
+      const bounds = this.areaLayer.getBounds();
+      this.settingsPanel.querySelector('#north').value = bounds.getNorth().toFixed(4);
+      this.settingsPanel.querySelector('#south').value = bounds.getSouth().toFixed(4);
+      this.settingsPanel.querySelector('#east').value = bounds.getEast().toFixed(4);
+      this.settingsPanel.querySelector('#west').value = bounds.getWest().toFixed(4);
+    }
+
+    /**
+     * Fit the drawn shape to edited N/S/E/W inputs. Rectangles take the new
+     * bounds, polygons are scaled and moved so their bounding box matches.
+     */
+    updateAreaFromInputs() {
+      if (!this.areaLayer) return;
+      const value = id => parseFloat(this.settingsPanel.querySelector(`#${id}`).value);
+      const north = value('north');
+      const south = value('south');
+      const east = value('east');
+      const west = value('west');
+      if ([north, south, east, west].some(v => isNaN(v)) || north <= south || east <= west) {
+        return;
+      }
+
+      this.areaLayer.editing.disable();
+      if (this.areaLayer instanceof L.Rectangle) {
+        this.areaLayer.setBounds([[south, west], [north, east]]);
+      } else {
+        const old = this.areaLayer.getBounds();
+        const latScale = (north - south) / (old.getNorth() - old.getSouth());
+        const lonScale = (east - west) / (old.getEast() - old.getWest());
+        this.areaLayer.setLatLngs([this.areaLayer.getLatLngs()[0].map(latlng => L.latLng(
+          south + (latlng.lat - old.getSouth()) * latScale,
+          west + (latlng.lng - old.getWest()) * lonScale
+        ))]);
+      }
+      this.areaLayer.editing.enable();
+    }
+
+    /**
+     * Get the drawn shape as a polygon for the background script
+     * @returns {Array[]|undefined} Vertices as [lon, lat] pairs, or undefined
+     *   if no shape is drawn
+     */
+    getAreaPolygon() {
+      if (!this.areaLayer) return undefined;
+      const round = value => Math.round(value * 1e6) / 1e6;
+      return this.areaLayer.getLatLngs()[0].map(latlng => [round(latlng.lng), round(latlng.lat)]);
+    }
+
+    /**
+     * Read graph generation options from the settings panel
+     * @returns {Object} Options passed to the background script
+     */
+    getGraphOptions() {
+      const checked = id => this.settingsPanel.querySelector(`#${id}`).checked;
+      return {
+        profile: this.settingsPanel.querySelector('#profile').value,
+        onewayPolicy: this.settingsPanel.querySelector('#onewayPolicy').value,
+        clipMode: this.settingsPanel.querySelector('#clipMode').value,
+        multigraph: checked('multigraph'),
+        edgeGeometry: checked('edgeGeometry'),
+        simplify: checked('simplify'),
+        mergeAcrossAttributes: checked('mergeAcrossAttributes'),
+        consolidate: checked('consolidate'),
+        consolidationTolerance: parseFloat(this.settingsPanel.querySelector('#consolidationTolerance').value),
+        largestComponent: this.settingsPanel.querySelector('#largestComponent').value,
+        highwaySpeeds: this.parseHighwaySpeeds(this.settingsPanel.querySelector('#highwaySpeeds').value),
+        tags: checked('allTags')
+          ? 'all'
+          : this.settingsPanel.querySelector('#retainTags').value
+              .split(',').map(tag => tag.trim()).filter(Boolean)
+      };
+    }
+
+    /**
+     * Read export options from the settings panel
+     * @returns {Object} Options passed to the background script
+     */
+    getExportOptions() {
+      return {
+        turnGraph: this.settingsPanel.querySelector('#turnGraph').checked,
+        geojsonSplit: this.settingsPanel.querySelector('#geojsonSplit').checked,
+        neo4jCypher: this.settingsPanel.querySelector('#neo4jCypher').checked,
+        dimacsWeight: this.settingsPanel.querySelector('#dimacsWeight').value,
+        mlFormat: this.settingsPanel.querySelector('#mlFormat').value,
+        svg: {
+          width: parseInt(this.settingsPanel.querySelector('#svgWidth').value, 10) || undefined,
+          height: parseInt(this.settingsPanel.querySelector('#svgHeight').value, 10) || undefined,
+          arrows: this.settingsPanel.querySelector('#svgArrows').checked,
+          labels: this.settingsPanel.querySelector('#svgLabels').checked
+        },
+        tikz: {
+          projection: this.settingsPanel.querySelector('#tikzProjection').value,
+          nodeLabels: this.settingsPanel.querySelector('#tikzNodeLabels').value,
+          legend: this.settingsPanel.querySelector('#tikzLegend').checked,
+          scaleBar: this.settingsPanel.querySelector('#tikzScaleBar').checked
+        },
+        matsimLinkDefaults: this.parseLinkDefaults(this.settingsPanel.querySelector('#matsimLinkDefaults').value)
+      };
+    }
+
+    /**
+     * Parse "highway=speed" lines into a speed table, ignoring malformed lines
+     * @param {string} text - One "highway=km/h" pair per line (or comma-separated)
+     * @returns {Object} Map of highway class to speed in km/h
+     */
+    parseHighwaySpeeds(text) {
+      const speeds = {};
+      for (const entry of text.split(/[\n,]/)) {
+        const [highway, value] = entry.split('=').map(part => part.trim());
+        const speed = parseFloat(value);
+        if (highway && speed > 0) {
+          speeds[highway] = speed;
+        }
+      }
+      return speeds;
+    }
+
+    /**
+     * Parse "highway=lanesxcapacity" lines into MATSim link defaults, ignoring malformed lines
+     * @param {string} text - One "highway=2x1500" entry per line (or comma-separated)
+     * @returns {Object} Map of highway class to {lanes, capacity}
+     */
+    parseLinkDefaults(text) {
+      const defaults = {};
+      for (const entry of text.split(/[\n,]/)) {
+        const [highway, value] = entry.split('=').map(part => part.trim());
+        const match = /^(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)$/i.exec(value || '');
+        if (highway && match && Number(match[1]) > 0 && Number(match[2]) > 0) {
+          defaults[highway] = { lanes: Number(match[1]), capacity: Number(match[2]) };
+        }
+      }
+      return defaults;
+    }
+
+    /**
+     * Load lib/graph-utils.js, which the content script cannot import statically
+     * @returns {Promise<Object>} The module's exports
+     */
+    loadGraphUtils() {
+      if (!this.graphUtils) {
+        this.graphUtils = import(chrome.runtime.getURL('lib/graph-utils.js'));
+      }
+      return this.graphUtils;
+    }
+
+    /**
+     * Parse the selected DEM files; elevation is then sampled locally, with no
+     * web service involved
+     * @param {FileList} files - Selected .hgt or GeoTIFF files
+     */
+    async loadDemFiles(files) {
+      const status = this.settingsPanel.querySelector('#demStatus');
+      const dems = [];
+      try {
+        const { parseDEM } = await this.loadGraphUtils();
+        for (const file of files) {
+          status.textContent = `Reading ${file.name}...`;
+          dems.push(await parseDEM(await file.arrayBuffer(), file.name));
+        }
+      } catch (error) {
+        console.error("DEM error:", error);
+        status.textContent = "No DEM loaded; nodes get no elevation";
+        this.showToast("Could not read DEM: " + error.message, "error");
+        return;
+      }
+
+      this.dems = dems;
+      status.textContent = dems.length
+        ? `${dems.length} DEM file${dems.length > 1 ? 's' : ''} loaded: ${Array.from(files, f => f.name).join(', ')}`
+        : "No DEM loaded; nodes get no elevation";
+      if (this.graphData) {
+        await this.applyElevation();
+      }
+    }
+
+    /**
+     * Add elevation from the loaded DEMs to the current graph, hand the result
+     * to the background script (for exports from the popup) and refresh the preview
+     */
+    async applyElevation() {
+      if (this.dems.length > 0) {
+        try {
+          const { addElevation } = await this.loadGraphUtils();
+          this.graphData = addElevation(this.graphData, this.dems);
+          chrome.runtime.sendMessage({ type: "SET_GRAPH", data: this.graphData });
+        } catch (error) {
+          console.error("Elevation error:", error);
+          this.showToast("Could not add elevation: " + error.message, "error");
+        }
+      }
+      this.renderPreview(this.graphData);
+    }
+
+    /**
+     * Look up the administrative boundaries containing the map centre and
+     * offer them for selection, most local first
+     */
+    findBoundary() {
+      const mapParam = new URLSearchParams(window.location.hash.slice(1)).get('map');
+      if (!mapParam) {
+        this.showToast("Error: Map position not found in the URL", "error");
+        return;
+      }
+      const [, lat, lon] = mapParam.split('/').map(parseFloat);
+
+      if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.sendMessage) {
+        console.error("Chrome extension API not available");
+        this.showToast("Error: Extension context not available", "error");
+        return;
+      }
+
+      this.showToast("Looking up boundaries...");
+      chrome.runtime.sendMessage({ type: "FIND_BOUNDARY", lat, lon }, response => {
+        if (chrome.runtime.lastError) {
+          this.showToast("Extension error: " + chrome.runtime.lastError.message, "error");
+          return;
+        }
+        if (!response || !response.success) {
+          const errorMessage = response ? response.error : "Unknown error occurred";
+          this.showToast("Boundary lookup failed: " + errorMessage, "error");
+          return;
+        }
+        if (response.data.length === 0) {
+          this.showToast("No administrative boundary found at the map centre", "error");
+          return;
+        }
+
+        const select = this.settingsPanel.querySelector('#boundaryCandidates');
+        select.innerHTML = '';
+        for (const candidate of response.data) {
+          const option = document.createElement('option');
+          option.value = candidate.id;
+          option.textContent = candidate.adminLevel
+            ? `${candidate.name} (admin level ${candidate.adminLevel})`
+            : candidate.name;
+          select.appendChild(option);
+        }
+        select.style.display = 'block';
+        this.settingsPanel.querySelector('#relationId').value = response.data[0].id;
+        this.showToast(`Selected ${response.data[0].name}`);
+      });
+    }
+
+    /**
+     * Generate graph from the boundary relation, drawn shape or coordinate bounds
      * Communicates with background script via Chrome extension API
      */
     generateGraph() {
@@ -337,19 +1050,23 @@ if (window.location.hostname === "www.openstreetmap.org") {
         east: parseFloat(this.settingsPanel.querySelector('#east').value),
         west: parseFloat(this.settingsPanel.querySelector('#west').value)
       };
+      const relationId = parseInt(this.settingsPanel.querySelector('#relationId').value, 10);
+      const useRelation = relationId > 0;
 
-      // Validate coordinates
-      if (Object.values(coords).some(v => isNaN(v))) {
-        this.showToast("Error: All coordinates must be valid numbers", "error");
-        return;
-      }
-      if (coords.north <= coords.south) {
-        this.showToast("Error: North must be greater than South", "error");
-        return;
-      }
-      if (coords.east <= coords.west) {
-        this.showToast("Error: East must be greater than West", "error");
-        return;
+      // Validate coordinates; a boundary relation brings its own area
+      if (!useRelation) {
+        if (Object.values(coords).some(v => isNaN(v))) {
+          this.showToast("Error: All coordinates must be valid numbers", "error");
+          return;
+        }
+        if (coords.north <= coords.south) {
+          this.showToast("Error: North must be greater than South", "error");
+          return;
+        }
+        if (coords.east <= coords.west) {
+          this.showToast("Error: East must be greater than West", "error");
+          return;
+        }
       }
 
       const generateButton = this.settingsPanel.querySelector("#generateGraph");
@@ -367,7 +1084,10 @@ if (window.location.hostname === "www.openstreetmap.org") {
           // Request graph generation from background script
           chrome.runtime.sendMessage({
             type: "FETCH_OSM_DATA",
-            bounds: coords
+            bounds: coords,
+            polygon: this.getAreaPolygon(),
+            relationId: useRelation ? relationId : undefined,
+            options: this.getGraphOptions()
           }, response => {
             // Re-enable generate button
             if (generateButton) {
@@ -382,8 +1102,9 @@ if (window.location.hostname === "www.openstreetmap.org") {
             // Handle response
             if (response && response.success) {
               this.graphData = response.data;
+              this.osmSource = response.source;
               this.showToast("Graph generated successfully!");
-              this.renderPreview(response.data);
+              this.applyElevation();
 
               // Enable export functionality
               const exportButton = this.settingsPanel.querySelector("#exportGraph");
@@ -414,7 +1135,7 @@ if (window.location.hostname === "www.openstreetmap.org") {
 
     /**
      * Export generated graph in specified format
-     * @param {string} format - Either 'json' or 'graphml'
+     * @param {string} format - One of the formats in the export dropdown
      */
     exportGraph(format) {
       // Check if we have graph data to export
@@ -430,25 +1151,35 @@ if (window.location.hostname === "www.openstreetmap.org") {
           chrome.runtime.sendMessage({
             type: "EXPORT_GRAPH",
             format: format,
-            data: this.graphData
+            data: this.graphData,
+            // Only the OSM XML export reads the (large) source data
+            source: format === 'osm' ? this.osmSource : undefined,
+            options: this.getExportOptions()
           }, response => {
             if (chrome.runtime.lastError) {
               this.showToast("Extension error: " + chrome.runtime.lastError.message, "error");
               return;
             }
             if (response && response.success) {
-              // Create and trigger download
-              const mimeTypes = { json: "application/json", graphml: "application/xml", csv: "text/csv", tikz: "application/x-tex" };
-              const blob = new Blob([response.data], {
-                type: mimeTypes[format] || "text/plain"
+              // Create and trigger a download per file
+              const mimeTypes = { json: "application/json", graphml: "application/xml", gexf: "application/gexf+xml", dot: "text/vnd.graphviz", csv: "text/csv", tikz: "application/x-tex", svg: "image/svg+xml", geojson: "application/geo+json", neo4j: "application/zip", dimacs: "application/zip", sumo: "application/zip", matsim: "application/xml", ml: "application/octet-stream", osm: "application/xml" };
+              const extensions = { tikz: 'tex', matsim: 'network.xml' };
+              const files = response.files || [{ name: `osm-graph.${extensions[format] || format}`, data: response.data }];
+              files.forEach(file => {
+                // Binary files (ZIP bundles) arrive base64-encoded
+                const content = file.encoding === 'base64'
+                  ? Uint8Array.from(atob(file.data), c => c.charCodeAt(0))
+                  : file.data;
+                const blob = new Blob([content], {
+                  type: file.type || mimeTypes[format] || "text/plain"
+                });
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement("a");
+                a.href = url;
+                a.download = file.name;
+                a.click();
+                URL.revokeObjectURL(url);
               });
-              const url = URL.createObjectURL(blob);
-              const a = document.createElement("a");
-              a.href = url;
-              const extensions = { tikz: 'tex' };
-              a.download = `osm-graph.${extensions[format] || format}`;
-              a.click();
-              URL.revokeObjectURL(url);
               this.showToast("Graph exported successfully!");
             } else {
               const errorMessage = response ? response.error : "Unknown error occurred";
@@ -497,8 +1228,20 @@ if (window.location.hostname === "www.openstreetmap.org") {
         if (sidebar && sidebar.firstChild !== this.settingsPanel) {
           sidebar.insertBefore(this.settingsPanel, sidebar.firstChild);
         }
+
+        // Drawn shapes are only shown while the panel is open
+        if (this.drawContainer) {
+          this.drawContainer.style.display = "block";
+          this.positionDrawLayer();
+        }
       } else {
         this.settingsPanel.style.display = "none";
+        if (this.drawHandler) {
+          this.drawHandler.disable();
+        }
+        if (this.drawContainer) {
+          this.drawContainer.style.display = "none";
+        }
       }
     }
 
@@ -515,7 +1258,16 @@ if (window.location.hostname === "www.openstreetmap.org") {
       container.style.display = 'block';
 
       const uniqueEdges = graph.directed ? Math.floor(graph.edges.length / 2) : graph.edges.length;
-      stats.textContent = `${graph.nodes.length} nodes, ${graph.edges.length} edges`;
+      const attrs = graph.graph || {};
+      const restrictions = attrs.restrictions || [];
+      stats.textContent = `${graph.nodes.length} nodes, ${graph.edges.length} edges` +
+        (restrictions.length ? `, ${restrictions.length} turn restrictions` : '') +
+        (attrs.largestComponent
+          ? `, ${attrs.componentsRemoved} ${attrs.largestComponent} components removed`
+          : `, ${attrs.weakComponents} weak / ${attrs.strongComponents} strong components`) +
+        (attrs.elevationGain !== undefined
+          ? `, elevation +${attrs.elevationGain} m / -${attrs.elevationLoss} m`
+          : '');
 
       const ctx = canvas.getContext('2d');
       const w = canvas.width;
@@ -625,7 +1377,12 @@ if (window.location.hostname === "www.openstreetmap.org") {
       console.log('Updating coordinates...');
       const urlParams = new URLSearchParams(window.location.hash.slice(1));
       const mapParam = urlParams.get('map');
-      
+
+      // A drawn shape defines the area; the inputs follow the shape instead
+      if (this.areaLayer) {
+        return;
+      }
+
       if (mapParam && this.settingsPanel) {
         console.log('Map parameters found:', mapParam);
         const [zoom, lat, lon] = mapParam.split('/');
@@ -5,6 +5,78 @@
 
 const DEFAULT_TIMEOUT = 25;
 
+// Overpass derives the id of a relation's area by adding this offset
+const AREA_ID_OFFSET = 3600000000;
+
+const MPH_TO_KPH = 1.609344;
+const KNOTS_TO_KPH = 1.852;
+
+/**
+ * Default travel speeds in km/h per highway class, used when a way
+ * has no usable maxspeed tag. Can be overridden via convertToGraph options.
+ */
+export const DEFAULT_HIGHWAY_SPEEDS = {
+    motorway: 120,
+    motorway_link: 60,
+    trunk: 100,
+    trunk_link: 50,
+    primary: 70,
+    primary_link: 40,
+    secondary: 60,
+    secondary_link: 40,
+    tertiary: 50,
+    tertiary_link: 30,
+    unclassified: 40,
+    residential: 30,
+    living_street: 7,
+    service: 20,
+    road: 40,
+    track: 15,
+    busway: 50,
+    cycleway: 15,
+    path: 5,
+    footway: 5,
+    pedestrian: 5,
+    steps: 3
+};
+
+// Speed used for highway classes missing from the speed table
+const FALLBACK_SPEED = 40;
+
+// Implicit maxspeed values (`CC:zone` and keywords), in km/h.
+// Country-specific entries take precedence over the generic zone suffix.
+const IMPLICIT_MAXSPEEDS = {
+    'AT:rural': 100,
+    'AT:motorway': 130,
+    'BE:rural': 70,
+    'CH:rural': 80,
+    'CH:motorway': 120,
+    'DE:rural': 100,
+    'DE:motorway': null,
+    'DE:bicycle_road': 30,
+    'FR:rural': 80,
+    'FR:motorway': 130,
+    'GB:nsl_single': 60 * MPH_TO_KPH,
+    'GB:nsl_dual': 70 * MPH_TO_KPH,
+    'GB:motorway': 70 * MPH_TO_KPH,
+    'UK:nsl_single': 60 * MPH_TO_KPH,
+    'UK:nsl_dual': 70 * MPH_TO_KPH,
+    'UK:motorway': 70 * MPH_TO_KPH,
+    'NL:rural': 80,
+    'NL:motorway': 130,
+    'PL:rural': 90,
+    'PL:motorway': 140,
+    'urban': 50,
+    'rural': 90,
+    'trunk': 100,
+    'motorway': 120,
+    'living_street': 7,
+    'pedestrian_zone': 5,
+    'bicycle_road': 30,
+    'walk': 5,
+    'none': null
+};
+
 /**
  * Converts degrees to radians
  * @param {number} degrees - Angle in degrees
@@ -70,26 +142,303 @@ export function validateBounds(bounds) {
 }
 
 /**
- * Builds an Overpass QL query string for fetching road data
- * @param {Object} bounds - Bounding box coordinates {north, south, east, west}
+ * Validates a polygon ring
+ * @param {Array[]} polygon - Vertices as [lon, lat] pairs; the ring is closed
+ *   implicitly, a repeated first vertex at the end is allowed
+ * @throws {Error} If the polygon is invalid
+ */
+export function validatePolygon(polygon) {
+    if (!Array.isArray(polygon)) {
+        throw new Error('Polygon must be an array of [lon, lat] vertices');
+    }
+
+    for (const vertex of polygon) {
+        if (!Array.isArray(vertex) || vertex.length !== 2 ||
+            vertex.some(value => typeof value !== 'number' || isNaN(value))) {
+            throw new Error('Polygon vertices must be [lon, lat] number pairs');
+        }
+        const [lon, lat] = vertex;
+        if (lat > 90 || lat < -90) {
+            throw new Error('Latitude must be between -90 and 90');
+        }
+        if (lon > 180 || lon < -180) {
+            throw new Error('Longitude must be between -180 and 180');
+        }
+    }
+
+    if (openRing(polygon).length < 3) {
+        throw new Error('Polygon must have at least 3 vertices');
+    }
+}
+
+/**
+ * Drops the repeated closing vertex of a ring, if any
+ * @param {Array[]} ring - Vertices as [lon, lat] pairs
+ * @returns {Array[]} Ring without a closing vertex
+ */
+function openRing(ring) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (ring.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+        return ring.slice(0, -1);
+    }
+    return ring;
+}
+
+/**
+ * Computes the bounding box of a polygon
+ * @param {Array[]} polygon - Vertices as [lon, lat] pairs
+ * @returns {Object} Bounding box {north, south, east, west}
+ * @throws {Error} If the polygon is invalid
+ */
+export function polygonBounds(polygon) {
+    validatePolygon(polygon);
+    // Boundaries can have far more vertices than Math.max(...) accepts
+    const bounds = { north: -Infinity, south: Infinity, east: -Infinity, west: Infinity };
+    for (const [lon, lat] of polygon) {
+        if (lat > bounds.north) bounds.north = lat;
+        if (lat < bounds.south) bounds.south = lat;
+        if (lon > bounds.east) bounds.east = lon;
+        if (lon < bounds.west) bounds.west = lon;
+    }
+    return bounds;
+}
+
+/**
+ * Network-type profiles. Each profile defines which highway classes are fetched
+ * and kept (`exclude`), which excluded classes are still allowed with an explicit
+ * permission tag (`optIn`), which access tags apply to its travel mode, from
+ * least to most specific (`accessKeys`), which turn restriction keys apply
+ * (`restrictionKeys`) and the mode name matched against a restriction's `except`.
+ */
+export const NETWORK_PROFILES = {
+    drive: {
+        exclude: 'abandoned|bridleway|bus_guideway|construction|corridor|cycleway|elevator|escalator|footway|path|pedestrian|platform|proposed|raceway|service|steps|track',
+        optIn: null,
+        accessKeys: ['access', 'vehicle', 'motor_vehicle', 'motorcar'],
+        restrictionKeys: ['restriction', 'restriction:vehicle', 'restriction:motor_vehicle', 'restriction:motorcar'],
+        mode: 'motorcar'
+    },
+    bike: {
+        exclude: 'abandoned|bus_guideway|construction|corridor|elevator|escalator|footway|motorway|motorway_link|pedestrian|platform|proposed|raceway|steps',
+        optIn: { highway: 'footway|pedestrian', key: 'bicycle' },
+        accessKeys: ['access', 'vehicle', 'bicycle'],
+        restrictionKeys: ['restriction', 'restriction:vehicle', 'restriction:bicycle'],
+        mode: 'bicycle'
+    },
+    walk: {
+        exclude: 'abandoned|bus_guideway|construction|cycleway|motorway|motorway_link|platform|proposed|raceway',
+        optIn: { highway: 'cycleway', key: 'foot' },
+        accessKeys: ['access', 'foot'],
+        restrictionKeys: ['restriction:foot'],
+        mode: 'foot'
+    },
+    all: {
+        exclude: 'abandoned|construction|no|planned|platform|proposed|raceway|razed',
+        optIn: null,
+        accessKeys: [],
+        restrictionKeys: ['restriction'],
+        mode: null
+    }
+};
+
+export const DEFAULT_PROFILE = 'drive';
+
+// Access values that forbid use of a way for a profile's travel mode
+const DENIED_ACCESS = ['no', 'private', 'agricultural', 'forestry', 'emergency', 'military'];
+
+// Access values that explicitly allow use (for opt-in highway classes)
+const GRANTED_ACCESS = ['yes', 'designated', 'permissive', 'destination'];
+
+/**
+ * Looks up a network profile by name
+ * @param {string} [name] - Profile name (drive, bike, walk, all)
+ * @returns {Object} Profile definition with its name
+ * @throws {Error} If the profile is unknown
+ */
+export function getProfile(name = DEFAULT_PROFILE) {
+    const profile = NETWORK_PROFILES[name];
+    if (!profile) {
+        throw new Error(`Unknown network profile: ${name}`);
+    }
+    return { name, ...profile };
+}
+
+/**
+ * Builds an Overpass QL query string for fetching road data.
+ * Besides the ways and their nodes, the turn restriction relations
+ * referencing the fetched ways are returned.
+ * @param {Object|null} bounds - Bounding box coordinates {north, south, east, west};
+ *   may be null with `options.relationId` to fetch the whole area
+ * @param {Object} [options] - Query options
+ * @param {string} [options.profile='drive'] - Network profile (drive, bike, walk, all)
+ * @param {string[]|string} [options.tags] - Tags to retain (see convertToGraph);
+ *   way nodes are always fetched with their tags, which the OSM XML export keeps
+ * @param {Array[]} [options.polygon] - Area as [lon, lat] vertices; ways are
+ *   selected with a `poly:` filter, intersected with the bounding box (which
+ *   may be one tile of the polygon's bounds)
+ * @param {number} [options.relationId] - Boundary relation; ways are selected
+ *   inside its Overpass area, intersected with the bounding box if given
  * @returns {string} Formatted Overpass QL query
- * @throws {Error} If bounds are invalid
+ * @throws {Error} If bounds, polygon or relation id are invalid or the profile
+ *   is unknown
  */
-export function buildOverpassQuery(bounds) {
-    validateBounds(bounds);
+export function buildOverpassQuery(bounds, options = {}) {
+    const relationId = options.relationId;
+    if (relationId !== undefined) {
+        validateRelationId(relationId);
+    }
+    if (bounds || relationId === undefined) {
+        validateBounds(bounds);
+    }
+    const profile = getProfile(options.profile);
+
+    let bbox = bounds ? `(${bounds.south},${bounds.west},${bounds.north},${bounds.east})` : '';
+    if (options.polygon) {
+        validatePolygon(options.polygon);
+        const poly = openRing(options.polygon).map(([lon, lat]) => `${lat} ${lon}`).join(' ');
+        bbox = `(poly:"${poly}")${bbox}`;
+    }
+    let areaStatement = '';
+    if (relationId !== undefined) {
+        areaStatement = `area(${AREA_ID_OFFSET + relationId})->.searchArea;`;
+        bbox = `(area.searchArea)${bbox}`;
+    }
+
+    const statements = [
+        `way["highway"]["area"!~"yes"]
+                [highway!~"^(${profile.exclude})$"]
+                ${bbox};`
+    ];
+    if (profile.optIn) {
+        statements.push(`way[highway~"^(${profile.optIn.highway})$"]
+                ["${profile.optIn.key}"~"^(${GRANTED_ACCESS.join('|')})$"]
+                ${bbox};`);
+    }
+
     return `
         [out:json][timeout:${DEFAULT_TIMEOUT}];
+        ${areaStatement}
         (
-            way["highway"]
-                [highway!~"footway|cycleway|path|service|track"]
-                (${bounds.south},${bounds.west},${bounds.north},${bounds.east});
-        );
+            ${statements.join('\n            ')}
+        )->.ways;
+        .ways out body;
+        .ways >;
+        out body qt;
+        rel(bw.ways)["type"="restriction"];
         out body;
-        >;
-        out skel qt;
     `;
 }
 
+/**
+ * Validates an OSM relation id
+ * @param {number} relationId - Relation id
+ * @throws {Error} If the id is not a positive integer
+ */
+function validateRelationId(relationId) {
+    if (!Number.isInteger(relationId) || relationId <= 0) {
+        throw new Error('Relation id must be a positive integer');
+    }
+}
+
+/**
+ * Builds an Overpass QL query for a relation with the geometry of its members
+ * @param {number} relationId - Boundary relation id
+ * @returns {string} Formatted Overpass QL query
+ * @throws {Error} If the relation id is invalid
+ */
+export function buildBoundaryQuery(relationId) {
+    validateRelationId(relationId);
+    return `
+        [out:json][timeout:${DEFAULT_TIMEOUT}];
+        rel(${relationId});
+        out geom;
+    `;
+}
+
+/**
+ * Builds an Overpass QL query for the administrative boundaries containing a point
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string} Formatted Overpass QL query
+ */
+export function buildBoundaryLookupQuery(lat, lon) {
+    return `
+        [out:json][timeout:${DEFAULT_TIMEOUT}];
+        is_in(${lat},${lon})->.containing;
+        rel(pivot.containing)["boundary"="administrative"];
+        out tags;
+    `;
+}
+
+/**
+ * Lists the boundary relations of an Overpass response, most local first
+ * @param {Object} osmData - Response of a boundary lookup query
+ * @returns {Object[]} Boundaries as {id, name, adminLevel}, sorted by
+ *   descending admin_level, then name
+ */
+export function parseBoundaryCandidates(osmData) {
+    const elements = (osmData && osmData.elements) || [];
+    return elements
+        .filter(el => el.type === 'relation')
+        .map(el => {
+            const tags = el.tags || {};
+            return {
+                id: el.id,
+                name: tags.name || `relation ${el.id}`,
+                adminLevel: parseInt(tags.admin_level, 10) || null
+            };
+        })
+        .sort((a, b) => (b.adminLevel || 0) - (a.adminLevel || 0) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Assembles the outline of a boundary relation fetched with `out geom`.
+ * Member ways are joined end to end into closed rings; outer and inner rings
+ * are not told apart, since clipping uses the even-odd rule.
+ * @param {Object} osmData - Response of buildBoundaryQuery
+ * @param {number} relationId - Boundary relation id
+ * @returns {Object} Boundary {id, name, rings}, rings being arrays of [lon, lat]
+ * @throws {Error} If the relation is missing or has no closed ring
+ */
+export function parseBoundary(osmData, relationId) {
+    const elements = (osmData && osmData.elements) || [];
+    const relation = elements.find(el => el.type === 'relation' && el.id === relationId);
+    if (!relation) {
+        throw new Error(`Boundary relation ${relationId} not found`);
+    }
+
+    const segments = (relation.members || [])
+        .filter(m => m.type === 'way' && ['outer', 'inner', ''].includes(m.role || '') &&
+            Array.isArray(m.geometry) && m.geometry.length > 1)
+        .map(m => m.geometry.map(p => [p.lon, p.lat]));
+
+    const samePoint = (a, b) => a[0] === b[0] && a[1] === b[1];
+    const rings = [];
+    while (segments.length > 0) {
+        const ring = segments.shift();
+        while (!samePoint(ring[0], ring[ring.length - 1])) {
+            const end = ring[ring.length - 1];
+            const next = segments.findIndex(seg => samePoint(seg[0], end) || samePoint(seg[seg.length - 1], end));
+            if (next === -1) break;
+            const [segment] = segments.splice(next, 1);
+            if (!samePoint(segment[0], end)) segment.reverse();
+            ring.push(...segment.slice(1));
+        }
+        // Rings that cannot be closed are left out
+        if (samePoint(ring[0], ring[ring.length - 1]) && ring.length > 3) {
+            rings.push(ring.slice(0, -1));
+        }
+    }
+
+    if (rings.length === 0) {
+        throw new Error(`Boundary relation ${relationId} has no closed outline`);
+    }
+
+    const tags = relation.tags || {};
+    return { id: relationId, name: tags.name || null, rings };
+}
+
 /**
  * Splits a bounding box into smaller tiles for pagination
  * @param {Object} bounds - {north, south, east, west}
@@ -137,20 +486,274 @@ export function mergeOsmData(results) {
     return { elements };
 }
 
+/**
+ * Parses an OSM maxspeed value into km/h.
+ * Understands plain numbers (`50`), units (`30 mph`, `50 km/h`, `10 knots`),
+ * implicit zones (`DE:urban`, `GB:nsl_single`, `DE:zone30`), the keywords
+ * `walk` and `none`, and semicolon-separated lists (the lowest value wins).
+ * @param {string|number} value - Raw maxspeed tag value
+ * @returns {number|null} Speed in km/h, or null if there is no usable limit
+ *   (missing, unparseable, `none`, `signals`, `variable`, ...)
+ */
+export function parseMaxspeed(value) {
+    if (typeof value === 'number') return value > 0 ? value : null;
+    if (typeof value !== 'string' || value.trim() === '') return null;
+
+    const speeds = value.split(';')
+        .map(part => parseSingleMaxspeed(part.trim()))
+        .filter(speed => speed !== null);
+    return speeds.length ? Math.min(...speeds) : null;
+}
+
+/**
+ * Parses one maxspeed value (no semicolon lists)
+ * @param {string} value - Single maxspeed value
+ * @returns {number|null} Speed in km/h or null
+ */
+function parseSingleMaxspeed(value) {
+    const numeric = value.match(/^(\d+(?:\.\d+)?)\s*(mph|knots|km\/h|kmh|kph)?$/i);
+    if (numeric) {
+        const speed = parseFloat(numeric[1]);
+        if (!(speed > 0)) return null;
+        const unit = (numeric[2] || '').toLowerCase();
+        if (unit === 'mph') return speed * MPH_TO_KPH;
+        if (unit === 'knots') return speed * KNOTS_TO_KPH;
+        return speed;
+    }
+
+    const lower = value.toLowerCase();
+    if (lower in IMPLICIT_MAXSPEEDS) return IMPLICIT_MAXSPEEDS[lower];
+
+    const zoned = value.match(/^([A-Za-z]{2}):(.+)$/);
+    if (zoned) {
+        const key = `${zoned[1].toUpperCase()}:${zoned[2].toLowerCase()}`;
+        if (key in IMPLICIT_MAXSPEEDS) return IMPLICIT_MAXSPEEDS[key];
+
+        const zone = zoned[2].toLowerCase().match(/^zone:?(\d+)$/);
+        if (zone) return parseFloat(zone[1]);
+
+        if (zoned[2].toLowerCase() in IMPLICIT_MAXSPEEDS) {
+            return IMPLICIT_MAXSPEEDS[zoned[2].toLowerCase()];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Determines the travel speed for a way from its maxspeed tag,
+ * falling back to the default speed of its highway class
+ * @param {Object} tags - OSM way tags
+ * @param {Object} [highwaySpeeds] - Default km/h per highway class
+ * @returns {number} Speed in km/h
+ */
+export function resolveSpeed(tags, highwaySpeeds = DEFAULT_HIGHWAY_SPEEDS) {
+    const parsed = parseMaxspeed(tags.maxspeed);
+    if (parsed !== null) return parsed;
+
+    const fallback = highwaySpeeds[tags.highway];
+    return typeof fallback === 'number' && fallback > 0 ? fallback : FALLBACK_SPEED;
+}
+
+/**
+ * Decides whether a way can be used by a network profile. Checks the
+ * profile's excluded highway classes (unless explicitly opted in) and its
+ * access tags, where the most specific tag present wins.
+ * @param {Object} tags - OSM way tags
+ * @param {Object} profile - Profile from getProfile
+ * @returns {boolean} True if the way should become edges
+ */
+export function isWayAccessible(tags, profile) {
+    const highway = tags.highway || '';
+    if (highway && new RegExp(`^(${profile.exclude})$`).test(highway)) {
+        const { optIn } = profile;
+        const optedIn = optIn && new RegExp(`^(${optIn.highway})$`).test(highway) &&
+            GRANTED_ACCESS.includes(tags[optIn.key]);
+        if (!optedIn) return false;
+    }
+
+    for (let i = profile.accessKeys.length - 1; i >= 0; i--) {
+        const value = tags[profile.accessKeys[i]];
+        if (value !== undefined) {
+            return !DENIED_ACCESS.includes(value);
+        }
+    }
+    return true;
+}
+
+export const ONEWAY_POLICIES = ['omit', 'bidirectional', 'flag'];
+
+const CONTRAFLOW_KEYS = ['cycleway', 'cycleway:left', 'cycleway:right', 'cycleway:both'];
+
+/**
+ * Interprets a oneway-style tag value
+ * @param {string} value - Tag value
+ * @param {string} key - Tag key, used for the reason
+ * @returns {Object|null} Direction with reason, or null if the value is not
+ *   a plain yes/no/-1 value
+ */
+function parseOnewayValue(value, key) {
+    const reason = `${key}=${value}`;
+    if (['yes', 'true', '1'].includes(value)) return { forward: true, backward: false, reason };
+    if (['-1', 'reverse'].includes(value)) return { forward: false, backward: true, reason };
+    if (['no', 'false', '0'].includes(value)) return { forward: true, backward: true, reason };
+    return null;
+}
+
+/**
+ * Applies the reversible/conditional policy to a direction
+ * @param {Object} direction - Direction the way would get without the policy
+ * @param {string} flag - 'reversible' or 'conditional'
+ * @param {string} policy - One of ONEWAY_POLICIES
+ * @returns {Object} Direction after applying the policy
+ */
+function applyOnewayPolicy(direction, flag, policy) {
+    if (policy === 'omit') return { forward: false, backward: false, reason: direction.reason };
+    if (policy === 'bidirectional') return { forward: true, backward: true, reason: direction.reason };
+    return { ...direction, flag };
+}
+
+/**
+ * Determines in which directions a way can be travelled by a profile,
+ * following the OSM wiki semantics of `oneway`:
+ * - explicit `oneway=yes/true/1`, `-1/reverse` and `no/false/0` win;
+ * - otherwise `junction=roundabout`, `junction=circular` and
+ *   `highway=motorway/motorway_link` imply a one-way forward;
+ * - `oneway=reversible/alternating` and `oneway:conditional` are handled
+ *   by the policy: omitted, treated as two-way, or flagged (reversible ways
+ *   become two-way, conditional ways keep their unconditional direction).
+ * Bike honours `oneway:bicycle` and contraflow cycle lanes (`cycleway*=opposite*`);
+ * walk ignores `oneway` except on pedestrian ways and for `oneway:foot`.
+ * @param {Object} tags - OSM way tags
+ * @param {Object} profile - Profile from getProfile
+ * @param {Object} [options] - Direction options
+ * @param {string} [options.onewayPolicy='flag'] - One of ONEWAY_POLICIES
+ * @returns {{forward: boolean, backward: boolean, reason: string, flag?: string}}
+ *   Allowed travel directions, the tag that decided them, and the policy flag
+ * @throws {Error} If the policy is unknown
+ */
+export function resolveDirection(tags, profile, options = {}) {
+    const { onewayPolicy = 'flag' } = options;
+    if (!ONEWAY_POLICIES.includes(onewayPolicy)) {
+        throw new Error(`Unknown oneway policy: ${onewayPolicy}`);
+    }
+    const highway = tags.highway || '';
+
+    if (profile.name === 'walk') {
+        const foot = tags['oneway:foot'] !== undefined && parseOnewayValue(tags['oneway:foot'], 'oneway:foot');
+        if (foot) return foot;
+        if (!/^(footway|path|pedestrian|steps)$/.test(highway)) {
+            return { forward: true, backward: true, reason: 'foot_two_way' };
+        }
+    }
+
+    if (profile.name === 'bike') {
+        const bicycle = tags['oneway:bicycle'] !== undefined && parseOnewayValue(tags['oneway:bicycle'], 'oneway:bicycle');
+        if (bicycle) return bicycle;
+        const contraflow = CONTRAFLOW_KEYS
+            .find(key => typeof tags[key] === 'string' && tags[key].startsWith('opposite'));
+        if (contraflow) return { forward: true, backward: true, reason: `${contraflow}=${tags[contraflow]}` };
+    }
+
+    const oneway = tags.oneway;
+    if (oneway === 'reversible' || oneway === 'alternating') {
+        return applyOnewayPolicy(
+            { forward: true, backward: true, reason: `oneway=${oneway}` }, 'reversible', onewayPolicy);
+    }
+
+    let direction = oneway !== undefined ? parseOnewayValue(oneway, 'oneway') : null;
+    if (!direction) {
+        if (tags.junction === 'roundabout' || tags.junction === 'circular') {
+            direction = { forward: true, backward: false, reason: `junction=${tags.junction}` };
+        } else if (highway === 'motorway' || highway === 'motorway_link') {
+            direction = { forward: true, backward: false, reason: `highway=${highway}` };
+        } else {
+            direction = { forward: true, backward: true, reason: 'default' };
+        }
+    }
+
+    if (tags['oneway:conditional'] !== undefined) {
+        return applyOnewayPolicy(direction, 'conditional', onewayPolicy);
+    }
+    return direction;
+}
+
+// Attribute names that retained OSM tags must not overwrite: the built-in
+// ones and those later steps write (consolidation, clipping, components,
+// elevation, snapshots)
+const RESERVED_NODE_ATTRS = [
+    'id', 'lat', 'lon', 'osmids', 'boundary',
+    'weak_component', 'strong_component', 'elevation', 'spells'
+];
+const RESERVED_EDGE_ATTRS = [
+    'source', 'target', 'key', 'wayId', 'weight', 'highway', 'name',
+    'speed_kph', 'travel_time', 'direction_reason', 'direction_flag', 'geometry',
+    'grade', 'grade_abs', 'spells'
+];
+
+/**
+ * Tells whether a tag selection retains any tags
+ * @param {string[]|string} [selection] - Tag keys or 'all'
+ * @returns {boolean} True if tags should be retained
+ */
+function hasTagSelection(selection) {
+    return selection === 'all' || (Array.isArray(selection) && selection.length > 0);
+}
+
+/**
+ * Picks the retained tags of an OSM element
+ * @param {Object} [tags] - OSM element tags
+ * @param {string[]|string} [selection] - Tag keys to keep, or 'all'
+ * @param {string[]} reserved - Attribute names that must not be overwritten
+ * @returns {Object} Retained tags
+ */
+function selectTags(tags, selection, reserved) {
+    const retained = {};
+    if (!tags || !hasTagSelection(selection)) return retained;
+
+    const keys = selection === 'all' ? Object.keys(tags) : selection;
+    for (const key of keys) {
+        if (tags[key] !== undefined && !reserved.includes(key)) {
+            retained[key] = tags[key];
+        }
+    }
+    return retained;
+}
+
 /**
  * Converts raw OSM data into a directed graph structure.
  * Respects one-way tags: two-way roads get edges in both directions,
- * one-way roads get a single directed edge.
- * Includes highway type and road name from way tags.
+ * one-way roads get a single directed edge. Ways the network profile cannot
+ * use are skipped, and direction follows the profile's one-way rules.
+ * Includes highway type and road name from way tags, and a travel speed
+ * (`speed_kph`) and travel time in seconds (`travel_time`) per edge.
  * @param {Object} osmData - Raw data from Overpass API
+ * @param {Object} [options] - Conversion options
+ * @param {Object} [options.highwaySpeeds] - Default km/h per highway class for ways
+ *   without a usable maxspeed; merged over DEFAULT_HIGHWAY_SPEEDS
+ * @param {string} [options.profile='drive'] - Network profile (drive, bike, walk, all),
+ *   recorded as `profile` in the graph attributes; the turn restrictions that apply
+ *   to it are listed in `restrictions`
+ * @param {string[]|string} [options.tags] - OSM tag keys to copy onto edges (from
+ *   ways) and nodes, or 'all' for every tag; keys that clash with built-in
+ *   attributes are not copied
+ * @param {string} [options.onewayPolicy='flag'] - How reversible and conditional
+ *   one-way ways are handled (see resolveDirection); each edge records the tag
+ *   that decided its direction in `direction_reason` and the policy flag in
+ *   `direction_flag`
  * @returns {Object} Graph with nodes and edges arrays (NetworkX node-link format)
+ * @throws {Error} If the profile or oneway policy is unknown
  */
-export function convertToGraph(osmData) {
+export function convertToGraph(osmData, options = {}) {
+    const highwaySpeeds = { ...DEFAULT_HIGHWAY_SPEEDS, ...options.highwaySpeeds };
+    const profile = getProfile(options.profile);
     const nodes = new Map();
     const edges = [];
+    const usedNodes = new Set();
+    const skippedNodes = new Set();
 
     if (!osmData || !Array.isArray(osmData.elements)) {
-        return { directed: true, multigraph: false, graph: {}, nodes: [], edges: [] };
+        return { directed: true, multigraph: false, graph: { profile: profile.name, restrictions: [] }, nodes: [], edges: [] };
     }
 
     // First pass: collect all nodes with their coordinates
@@ -159,7 +762,8 @@ export function convertToGraph(osmData) {
             nodes.set(element.id, {
                 id: element.id,
                 lat: element.lat,
-                lon: element.lon
+                lon: element.lon,
+                ...selectTags(element.tags, options.tags, RESERVED_NODE_ATTRS)
             });
         }
     });
@@ -168,9 +772,19 @@ export function convertToGraph(osmData) {
     osmData.elements.forEach(element => {
         if (element.type === 'way' && Array.isArray(element.nodes)) {
             const tags = element.tags || {};
+
+            const direction = resolveDirection(tags, profile, { onewayPolicy: options.onewayPolicy });
+
+            if (!isWayAccessible(tags, profile) || (!direction.forward && !direction.backward)) {
+                element.nodes.forEach(id => skippedNodes.add(id));
+                return;
+            }
+            element.nodes.forEach(id => usedNodes.add(id));
+
             const highway = tags.highway || '';
             const name = tags.name || '';
-            const oneway = tags.oneway;
+            const speed = resolveSpeed(tags, highwaySpeeds);
+            const retained = selectTags(tags, options.tags, RESERVED_EDGE_ATTRS);
 
             for (let i = 0; i < element.nodes.length - 1; i++) {
                 const fromNode = nodes.get(element.nodes[i]);
@@ -187,15 +801,18 @@ export function convertToGraph(osmData) {
                         weight,
                         highway,
                         name,
+                        speed_kph: speed,
+                        travel_time: weight / speed * 3600,
+                        direction_reason: direction.reason,
+                        ...(direction.flag ? { direction_flag: direction.flag } : {}),
+                        ...retained
                     };
 
-                    // Forward edge (unless oneway=-1 which means reverse-only)
-                    if (oneway !== '-1') {
+                    if (direction.forward) {
                         edges.push({ source: fromNode.id, target: toNode.id, ...edgeAttrs });
                     }
 
-                    // Reverse edge (unless explicitly one-way forward)
-                    if (oneway !== 'yes' && oneway !== 'true' && oneway !== '1') {
+                    if (direction.backward) {
                         edges.push({ source: toNode.id, target: fromNode.id, ...edgeAttrs });
                     }
                 }
@@ -203,181 +820,3273 @@ export function convertToGraph(osmData) {
         }
     });
 
+    // Nodes that only belong to ways the profile cannot use are dropped
+    for (const id of skippedNodes) {
+        if (!usedNodes.has(id)) nodes.delete(id);
+    }
+
     return {
         directed: true,
         multigraph: false,
-        graph: {},
+        graph: {
+            profile: profile.name,
+            restrictions: parseTurnRestrictions(osmData, { profile: profile.name })
+        },
         nodes: Array.from(nodes.values()),
         edges: edges
     };
 }
 
 /**
- * Escapes a value for safe XML attribute/content use
- * @param {*} value - Value to escape
- * @returns {string} XML-safe string
- */
-export function escapeXml(value) {
-    return String(value)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&apos;');
-}
-
-/**
- * Converts graph data to GraphML format (directed)
- * @param {Object} graph - Graph data with nodes and edges
- * @returns {string} GraphML formatted XML string
- */
-export function convertToGraphML(graph) {
-    let graphml = `<?xml version="1.0" encoding="UTF-8"?>
-<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
-    <key id="lat" for="node" attr.name="lat" attr.type="double"/>
-    <key id="lon" for="node" attr.name="lon" attr.type="double"/>
-    <key id="weight" for="edge" attr.name="weight" attr.type="double"/>
-    <key id="wayId" for="edge" attr.name="wayId" attr.type="long"/>
-    <key id="highway" for="edge" attr.name="highway" attr.type="string"/>
-    <key id="name" for="edge" attr.name="name" attr.type="string"/>
-    <graph id="G" edgedefault="directed">
-`;
-
-    graph.nodes.forEach(node => {
-        graphml += `        <node id="${escapeXml(node.id)}">
-            <data key="lat">${escapeXml(node.lat)}</data>
-            <data key="lon">${escapeXml(node.lon)}</data>
-        </node>\n`;
-    });
-
-    graph.edges.forEach((edge, index) => {
-        graphml += `        <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">
-            <data key="weight">${escapeXml(edge.weight)}</data>
-            <data key="wayId">${escapeXml(edge.wayId)}</data>
-            <data key="highway">${escapeXml(edge.highway || '')}</data>
-            <data key="name">${escapeXml(edge.name || '')}</data>
-        </edge>\n`;
-    });
-
-    graphml += '    </graph>\n</graphml>';
-    return graphml;
-}
-
-/**
- * Escapes a value for CSV output (RFC 4180)
- * @param {*} value - Value to escape
- * @returns {string} CSV-safe string
+ * Gives every edge a `geometry` polyline of [lon, lat] pairs. Edges that
+ * already have one (merged chains from simplifyGraph) keep their full
+ * polyline; the others get the straight line between their end nodes.
+ * @param {Object} graph - Graph in NetworkX node-link format
+ * @returns {Object} New graph whose edges all carry `geometry`
  */
-function csvEscape(value) {
-    const str = String(value ?? '');
-    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-        return '"' + str.replace(/"/g, '""') + '"';
-    }
-    return str;
+export function addEdgeGeometry(graph) {
+    const nodeById = new Map((graph.nodes || []).map(n => [n.id, n]));
+    return {
+        ...graph,
+        edges: (graph.edges || []).map(edge => {
+            if (Array.isArray(edge.geometry) && edge.geometry.length >= 2) return edge;
+            const a = nodeById.get(edge.source);
+            const b = nodeById.get(edge.target);
+            if (!a || !b) return edge;
+            return { ...edge, geometry: [[a.lon, a.lat], [b.lon, b.lat]] };
+        })
+    };
 }
 
-/**
- * Converts graph data to CSV edge list format
- * @param {Object} graph - Graph data with nodes and edges
- * @returns {string} CSV string with header row
- */
-export function convertToCSV(graph) {
-    const header = 'source,target,weight,highway,name,wayId';
-    const rows = graph.edges.map(edge =>
-        [
-            csvEscape(edge.source),
-            csvEscape(edge.target),
-            csvEscape(edge.weight),
-            csvEscape(edge.highway || ''),
-            csvEscape(edge.name || ''),
-            csvEscape(edge.wayId)
-        ].join(',')
-    );
-    return [header, ...rows].join('\n');
-}
+// Edge attributes that are summed when a chain of edges is merged into one
+const ADDITIVE_EDGE_ATTRS = ['weight', 'travel_time'];
 
 /**
- * Escapes a string for safe use in LaTeX
- * @param {*} value - Value to escape
- * @returns {string} LaTeX-safe string
+ * Returns the attribute signature that must match for two edges to be merged
+ * @param {Object} edge - Graph edge
+ * @returns {string} Signature built from wayId, highway and name
  */
-function latexEscape(value) {
-    return String(value ?? '')
-        .replace(/\\/g, '\\textbackslash{}')
-        .replace(/[&%$#_{}~^]/g, m => '\\' + m);
+function edgeSignature(edge) {
+    return `${edge.wayId}|${edge.highway || ''}|${edge.name || ''}`;
 }
 
 /**
- * Converts graph data to a LaTeX TikZ standalone document.
- * Node positions are projected from lat/lon to a local coordinate system in cm.
- * @param {Object} graph - Graph data with nodes and edges
- * @returns {string} Complete LaTeX document string
+ * Simplifies a graph topologically by collapsing interstitial (degree-2) nodes.
+ * Only intersections and dead ends are kept as nodes; the chains between them
+ * become single edges with summed weight and a `geometry` attribute holding the
+ * full polyline as [lon, lat] pairs. One-way chains stay one-way, and a node where
+ * one-way and two-way segments meet is always kept.
+ * @param {Object} graph - Graph from convertToGraph (NetworkX node-link format)
+ * @param {Object} [options] - Simplification options
+ * @param {boolean} [options.mergeAcrossAttributes=false] - Also merge chains whose
+ *   wayId, highway or name change; the merged edge keeps the first segment's attributes
+ * @returns {Object} New simplified graph
  */
-export function convertToTikZ(graph) {
+export function simplifyGraph(graph, options = {}) {
+    const { mergeAcrossAttributes = false } = options;
     const nodes = graph.nodes || [];
     const edges = graph.edges || [];
 
-    if (nodes.length === 0) {
-        return `\\documentclass[tikz]{standalone}
-\\begin{document}
-\\begin{tikzpicture}
-  % empty graph
-\\end{tikzpicture}
-\\end{document}`;
+    const nodeById = new Map(nodes.map(n => [n.id, n]));
+    const outEdges = new Map(nodes.map(n => [n.id, []]));
+    const inEdges = new Map(nodes.map(n => [n.id, []]));
+    for (const edge of edges) {
+        if (!outEdges.has(edge.source) || !inEdges.has(edge.target)) continue;
+        outEdges.get(edge.source).push(edge);
+        inEdges.get(edge.target).push(edge);
     }
 
-    // Compute bounding box
-    let minLat = Infinity, maxLat = -Infinity, minLon = Infinity, maxLon = -Infinity;
-    for (const n of nodes) {
-        if (n.lat < minLat) minLat = n.lat;
-        if (n.lat > maxLat) maxLat = n.lat;
-        if (n.lon < minLon) minLon = n.lon;
-        if (n.lon > maxLon) maxLon = n.lon;
-    }
+    // A node is interstitial if it is a pass-through point of a single road:
+    // exactly two neighbours, one edge each way per neighbour (two-way) or one
+    // edge in and one edge out (one-way), and no attribute change across it.
+    const isInterstitial = id => {
+        const outs = outEdges.get(id);
+        const ins = inEdges.get(id);
+        const incident = [...outs, ...ins];
+        if (incident.some(e => e.source === e.target)) return false;
 
-    // Scale so the longer axis fits in 10 cm
-    const latRange = maxLat - minLat || 1;
-    const lonRange = maxLon - minLon || 1;
-    const scale = 10 / Math.max(latRange, lonRange);
+        const neighbours = new Set([...outs.map(e => e.target), ...ins.map(e => e.source)]);
+        if (neighbours.size !== 2) return false;
 
-    // Build node id→index map for TikZ node names
-    const idToIdx = new Map();
-    nodes.forEach((n, i) => idToIdx.set(n.id, i));
+        if (outs.length === 1 && ins.length === 1) {
+            if (outs[0].target === ins[0].source) return false;
+        } else if (outs.length === 2 && ins.length === 2) {
+            for (const nb of neighbours) {
+                if (outs.filter(e => e.target === nb).length !== 1) return false;
+                if (ins.filter(e => e.source === nb).length !== 1) return false;
+            }
+        } else {
+            return false;
+        }
 
-    // Coordinate lines: x from lon, y from lat (origin at minLon, minLat)
-    const coordLines = nodes.map(n => {
-        const x = ((n.lon - minLon) * scale).toFixed(4);
-        const y = ((n.lat - minLat) * scale).toFixed(4);
-        return `  \\node[vertex] (n${idToIdx.get(n.id)}) at (${x},${y}) {};`;
-    });
+        if (!mergeAcrossAttributes) {
+            const signature = edgeSignature(incident[0]);
+            if (incident.some(e => edgeSignature(e) !== signature)) return false;
+        }
+        return true;
+    };
 
-    // Deduplicate edges: for directed graph with bidirectional edges, draw once without arrow
-    const edgeSet = new Set();
-    const edgeLines = [];
-    for (const e of edges) {
-        const si = idToIdx.get(e.source);
-        const ti = idToIdx.get(e.target);
-        if (si === undefined || ti === undefined) continue;
+    const endpoints = new Set();
+    for (const node of nodes) {
+        if (!isInterstitial(node.id)) endpoints.add(node.id);
+    }
 
-        // Canonical key for dedup (undirected drawing)
-        const lo = Math.min(si, ti);
-        const hi = Math.max(si, ti);
-        const key = `${lo}-${hi}`;
-        if (edgeSet.has(key)) continue;
-        edgeSet.add(key);
+    const coordsOf = edge => {
+        if (Array.isArray(edge.geometry) && edge.geometry.length >= 2) return edge.geometry;
+        const a = nodeById.get(edge.source);
+        const b = nodeById.get(edge.target);
+        return [[a.lon, a.lat], [b.lon, b.lat]];
+    };
 
-        edgeLines.push(`  \\draw[edge] (n${si}) -- (n${ti});`);
-    }
+    const visited = new Set();
+    const newEdges = [];
 
-    return `\\documentclass[tikz]{standalone}
-\\usepackage{tikz}
-\\begin{document}
+    const walkFrom = start => {
+        for (const first of outEdges.get(start)) {
+            if (visited.has(first)) continue;
+
+            const path = [first];
+            visited.add(first);
+            let prev = start;
+            let current = first.target;
+
+            while (!endpoints.has(current)) {
+                const next = outEdges.get(current).find(e => e.target !== prev);
+                if (!next || visited.has(next)) {
+                    endpoints.add(current);
+                    break;
+                }
+                path.push(next);
+                visited.add(next);
+                prev = current;
+                current = next.target;
+            }
+
+            if (path.length === 1) {
+                newEdges.push(first);
+                continue;
+            }
+
+            const merged = { ...first, source: start, target: current };
+            for (const attr of ADDITIVE_EDGE_ATTRS) {
+                if (typeof first[attr] === 'number') {
+                    merged[attr] = path.reduce((sum, e) => sum + (e[attr] || 0), 0);
+                }
+            }
+            if (merged.travel_time > 0 && typeof merged.speed_kph === 'number') {
+                // Effective speed over the whole chain
+                merged.speed_kph = merged.weight / merged.travel_time * 3600;
+            }
+
+            const geometry = [];
+            for (const edge of path) {
+                const coords = coordsOf(edge);
+                geometry.push(...(geometry.length ? coords.slice(1) : coords));
+            }
+            merged.geometry = geometry;
+            newEdges.push(merged);
+        }
+    };
+
+    for (const id of endpoints) walkFrom(id);
+
+    // Remaining edges belong to isolated rings without any endpoint:
+    // promote one node of each ring to an endpoint and walk from there.
+    for (const edge of edges) {
+        if (visited.has(edge) || !outEdges.has(edge.source) || !inEdges.has(edge.target)) continue;
+        endpoints.add(edge.source);
+        walkFrom(edge.source);
+    }
+
+    return {
+        ...graph,
+        graph: { ...graph.graph, simplified: true },
+        nodes: nodes.filter(n => endpoints.has(n.id)),
+        edges: newEdges
+    };
+}
+
+/**
+ * Consolidates clusters of nearby nodes (complex junctions, dual carriageways)
+ * into single intersections. Intersections and dead ends closer than `tolerance`
+ * metres are grouped by single linkage. Shape points (two neighbours, one way)
+ * are never clustered, so the streets of an unsimplified graph cannot chain
+ * into one node. Each group becomes one node at the cluster centroid that keeps
+ * the smallest original id and lists all merged ids in `osmids`. Edges are rewired
+ * to the representative nodes and self-loops created by the merge are dropped.
+ * @param {Object} graph - Graph in NetworkX node-link format
+ * @param {Object} [options] - Consolidation options
+ * @param {number} [options.tolerance=10] - Merge distance in metres
+ * @returns {Object} New consolidated graph
+ * @throws {Error} If tolerance is not a positive number
+ */
+export function consolidateIntersections(graph, options = {}) {
+    const { tolerance = 10 } = options;
+    if (typeof tolerance !== 'number' || !(tolerance > 0)) {
+        throw new Error('Tolerance must be a positive number');
+    }
+
+    const nodes = graph.nodes || [];
+    const edges = graph.edges || [];
+
+    // Union-find over node indices
+    const parent = nodes.map((_, i) => i);
+    const find = i => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    const union = (a, b) => {
+        const ra = find(a);
+        const rb = find(b);
+        if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+    };
+
+    // Shape points lie inside a single way between exactly two neighbours
+    const neighbours = new Map(nodes.map(n => [n.id, new Set()]));
+    const ways = new Map(nodes.map(n => [n.id, new Set()]));
+    for (const edge of edges) {
+        if (!neighbours.has(edge.source) || !neighbours.has(edge.target)) continue;
+        neighbours.get(edge.source).add(edge.target);
+        neighbours.get(edge.target).add(edge.source);
+        ways.get(edge.source).add(edge.wayId);
+        ways.get(edge.target).add(edge.wayId);
+    }
+    const isShapePoint = n => neighbours.get(n.id).size === 2 && ways.get(n.id).size === 1;
+
+    // Bucket nodes into a grid of tolerance-sized cells so only
+    // neighbouring cells need pairwise distance checks. One column width
+    // for the whole graph keeps neighbouring nodes in consistent columns
+    const cellLat = tolerance / 111320;
+    const meanLat = nodes.reduce((sum, n) => sum + n.lat, 0) / (nodes.length || 1);
+    const cellLon = cellLat / Math.max(Math.cos(toRad(meanLat)), 1e-6);
+    const grid = new Map();
+    nodes.forEach((n, i) => {
+        if (isShapePoint(n)) return;
+        const key = `${Math.floor(n.lat / cellLat)},${Math.floor(n.lon / cellLon)}`;
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(i);
+    });
+
+    nodes.forEach((n, i) => {
+        if (isShapePoint(n)) return;
+        const row = Math.floor(n.lat / cellLat);
+        const col = Math.floor(n.lon / cellLon);
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                for (const j of grid.get(`${row + dr},${col + dc}`) || []) {
+                    if (j <= i) continue;
+                    const m = nodes[j];
+                    if (calculateDistance(n.lat, n.lon, m.lat, m.lon) * 1000 <= tolerance) {
+                        union(i, j);
+                    }
+                }
+            }
+        }
+    });
+
+    const clusters = new Map();
+    nodes.forEach((n, i) => {
+        const root = find(i);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(n);
+    });
+
+    const newNodes = [];
+    const representative = new Map();
+    for (const members of clusters.values()) {
+        if (members.length === 1) {
+            newNodes.push(members[0]);
+            representative.set(members[0].id, members[0]);
+            continue;
+        }
+
+        const ids = members.map(n => n.id).sort((a, b) => a - b);
+        const merged = {
+            ...members.find(n => n.id === ids[0]),
+            lat: members.reduce((sum, n) => sum + n.lat, 0) / members.length,
+            lon: members.reduce((sum, n) => sum + n.lon, 0) / members.length,
+            osmids: ids
+        };
+        newNodes.push(merged);
+        for (const n of members) representative.set(n.id, merged);
+    }
+
+    const newEdges = [];
+    for (const edge of edges) {
+        const source = representative.get(edge.source);
+        const target = representative.get(edge.target);
+        if (!source || !target || source === target) continue;
+
+        const rewired = { ...edge, source: source.id, target: target.id };
+        if (Array.isArray(edge.geometry) && edge.geometry.length >= 2) {
+            rewired.geometry = [
+                [source.lon, source.lat],
+                ...edge.geometry.slice(1, -1),
+                [target.lon, target.lat]
+            ];
+        }
+        newEdges.push(rewired);
+    }
+
+    return {
+        ...graph,
+        graph: { ...graph.graph, consolidationTolerance: tolerance },
+        nodes: newNodes,
+        edges: newEdges
+    };
+}
+
+export const CLIP_MODES = ['drop', 'keep_first', 'cut'];
+
+/**
+ * Indexes the segments of boundary rings in a uniform grid over their
+ * bounding box, so crossing and containment tests only look at the segments
+ * near an edge or point instead of walking every boundary vertex
+ * @param {Array[]} rings - Rings of [lon, lat] vertices
+ * @returns {Object} Index with the rings' `bounds` and
+ *   `forEachIn(west, south, east, north, callback)`, which calls back once per
+ *   segment [px, py, qx, qy] in the grid cells the box touches
+ */
+function segmentIndex(rings) {
+    const segments = [];
+    for (const ring of rings) {
+        for (let i = 0; i < ring.length; i++) {
+            const [px, py] = ring[i];
+            const [qx, qy] = ring[(i + 1) % ring.length];
+            segments.push([px, py, qx, qy]);
+        }
+    }
+
+    const bounds = { west: Infinity, south: Infinity, east: -Infinity, north: -Infinity };
+    for (const [px, py, qx, qy] of segments) {
+        bounds.west = Math.min(bounds.west, px, qx);
+        bounds.east = Math.max(bounds.east, px, qx);
+        bounds.south = Math.min(bounds.south, py, qy);
+        bounds.north = Math.max(bounds.north, py, qy);
+    }
+
+    // About one segment per cell on a square grid
+    const size = Math.max(1, Math.ceil(Math.sqrt(segments.length)));
+    const cellWidth = (bounds.east - bounds.west) / size || 1;
+    const cellHeight = (bounds.north - bounds.south) / size || 1;
+    const clamp = i => Math.min(size - 1, Math.max(0, i));
+    const col = lon => clamp(Math.floor((lon - bounds.west) / cellWidth));
+    const row = lat => clamp(Math.floor((lat - bounds.south) / cellHeight));
+
+    const cells = Array.from({ length: size * size }, () => []);
+    segments.forEach(([px, py, qx, qy], id) => {
+        for (let r = row(Math.min(py, qy)); r <= row(Math.max(py, qy)); r++) {
+            for (let c = col(Math.min(px, qx)); c <= col(Math.max(px, qx)); c++) {
+                cells[r * size + c].push(id);
+            }
+        }
+    });
+
+    // Segments spanning several cells are visited once per query
+    const seen = new Uint32Array(segments.length);
+    let query = 0;
+
+    return {
+        bounds,
+        forEachIn: (west, south, east, north, callback) => {
+            if (east < bounds.west || west > bounds.east || north < bounds.south || south > bounds.north) return;
+            query++;
+            for (let r = row(south); r <= row(north); r++) {
+                for (let c = col(west); c <= col(east); c++) {
+                    for (const id of cells[r * size + c]) {
+                        if (seen[id] === query) continue;
+                        seen[id] = query;
+                        callback(segments[id]);
+                    }
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Creates a clipping region for a bounding box
+ * @param {Object} bounds - {north, south, east, west}
+ * @returns {Object} Region with `contains(lat, lon)`, its boundary `rings`
+ *   (arrays of [lon, lat] corners) and their segment `index`
+ */
+function boundsRegion(bounds) {
+    const { north, south, east, west } = bounds;
+    const rings = [[[west, south], [east, south], [east, north], [west, north]]];
+    return {
+        contains: (lat, lon) => lat >= south && lat <= north && lon >= west && lon <= east,
+        rings,
+        index: segmentIndex(rings)
+    };
+}
+
+/**
+ * Creates a clipping region for one or more polygon rings. Points are inside
+ * by the even-odd rule, so inner rings of a multipolygon become holes.
+ * @param {Array[]} rings - Rings of [lon, lat] vertices
+ * @returns {Object} Region with `contains(lat, lon)`, its boundary `rings`
+ *   and their segment `index`
+ */
+function polygonRegion(rings) {
+    const openRings = rings.map(openRing);
+    const index = segmentIndex(openRings);
+    return {
+        // Ray casting: count boundary crossings of a ray running east,
+        // looking only at the segments in the grid row of the point
+        contains: (lat, lon) => {
+            let inside = false;
+            index.forEachIn(lon, lat, index.bounds.east, lat, ([xi, yi, xj, yj]) => {
+                if ((yi > lat) !== (yj > lat) &&
+                    lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+                    inside = !inside;
+                }
+            });
+            return inside;
+        },
+        rings: openRings,
+        index
+    };
+}
+
+/**
+ * Finds where a straight segment crosses the boundary of a region
+ * @param {Object} a - Segment start {lat, lon}
+ * @param {Object} b - Segment end {lat, lon}
+ * @param {Object} index - Segment index of the region boundary
+ * @returns {number[]} Sorted segment parameters in (0, 1) of the crossings
+ */
+function segmentCrossings(a, b, index) {
+    const dx = b.lon - a.lon;
+    const dy = b.lat - a.lat;
+    const params = [];
+
+    const west = Math.min(a.lon, b.lon);
+    const east = Math.max(a.lon, b.lon);
+    const south = Math.min(a.lat, b.lat);
+    const north = Math.max(a.lat, b.lat);
+    index.forEachIn(west, south, east, north, ([px, py, qx, qy]) => {
+        const ex = qx - px;
+        const ey = qy - py;
+        const denom = dx * ey - dy * ex;
+        if (denom === 0) return; // parallel
+
+        const t = ((px - a.lon) * ey - (py - a.lat) * ex) / denom;
+        const u = ((px - a.lon) * dy - (py - a.lat) * dx) / denom;
+        if (t > 1e-12 && t < 1 - 1e-12 && u >= 0 && u <= 1) {
+            params.push(t);
+        }
+    });
+
+    params.sort((x, y) => x - y);
+    return params.filter((t, i) => i === 0 || t - params[i - 1] > 1e-12);
+}
+
+/**
+ * Clips a graph to an area. Edges crossing the boundary are handled by mode:
+ * - `drop`: only edges with both ends inside are kept;
+ * - `keep_first`: edges leaving the area are kept up to their first node outside;
+ * - `cut`: edges are cut where they cross the boundary, at a synthetic node
+ *   (negative id, `boundary: true`) placed on the boundary; the weight and
+ *   travel time of the cut edge are interpolated by the fraction kept.
+ * Edges are clipped as straight segments between their end nodes, so clipping
+ * should run before simplification.
+ * @param {Object} graph - Graph in NetworkX node-link format
+ * @param {Object} bounds - Area to clip to {north, south, east, west}
+ * @param {Object} [options] - Clipping options
+ * @param {string} [options.mode='cut'] - One of CLIP_MODES
+ * @returns {Object} New clipped graph
+ * @throws {Error} If bounds are invalid or the mode is unknown
+ */
+export function clipGraph(graph, bounds, options = {}) {
+    validateBounds(bounds);
+    const region = boundsRegion(bounds);
+    const clipped = clipToRegion(graph, region, options);
+    return {
+        ...clipped,
+        graph: { ...clipped.graph, clipBounds: { ...bounds } }
+    };
+}
+
+/**
+ * Clips a graph to a polygon (see clipGraph for the modes)
+ * @param {Object} graph - Graph in NetworkX node-link format
+ * @param {Array[]} polygon - Area to clip to, as [lon, lat] vertices
+ * @param {Object} [options] - Clipping options
+ * @param {string} [options.mode='cut'] - One of CLIP_MODES
+ * @returns {Object} New clipped graph
+ * @throws {Error} If the polygon is invalid or the mode is unknown
+ */
+export function clipGraphToPolygon(graph, polygon, options = {}) {
+    validatePolygon(polygon);
+    const region = polygonRegion([polygon]);
+    const clipped = clipToRegion(graph, region, options);
+    return {
+        ...clipped,
+        graph: { ...clipped.graph, clipPolygon: region.rings[0].map(([lon, lat]) => [lon, lat]) }
+    };
+}
+
+/**
+ * Clips a graph to a boundary relation (see clipGraph for the modes)
+ * @param {Object} graph - Graph in NetworkX node-link format
+ * @param {Object} boundary - Boundary from parseBoundary {id, name, rings}
+ * @param {Object} [options] - Clipping options
+ * @param {string} [options.mode='cut'] - One of CLIP_MODES
+ * @returns {Object} New clipped graph, with `boundaryId` and `boundaryName`
+ *   in the graph attributes
+ * @throws {Error} If a ring is invalid or the mode is unknown
+ */
+export function clipGraphToBoundary(graph, boundary, options = {}) {
+    boundary.rings.forEach(validatePolygon);
+    const clipped = clipToRegion(graph, polygonRegion(boundary.rings), options);
+    const attrs = { ...clipped.graph, boundaryId: boundary.id };
+    if (boundary.name) {
+        attrs.boundaryName = boundary.name;
+    }
+    return { ...clipped, graph: attrs };
+}
+
+/**
+ * Clips a graph to a region (see clipGraph for the modes)
+ * @param {Object} graph - Graph in NetworkX node-link format
+ * @param {Object} region - Region with `contains` and a boundary segment `index`
+ * @param {Object} options - Clipping options
+ * @returns {Object} New clipped graph
+ */
+function clipToRegion(graph, region, options) {
+    const { mode = 'cut' } = options;
+    if (!CLIP_MODES.includes(mode)) {
+        throw new Error(`Unknown clip mode: ${mode}`);
+    }
+
+    const nodes = graph.nodes || [];
+    const edges = graph.edges || [];
+    const nodeById = new Map(nodes.map(n => [n.id, n]));
+    const inside = new Set(nodes.filter(n => region.contains(n.lat, n.lon)).map(n => n.id));
+
+    const keptNodes = new Set(inside);
+    const newEdges = [];
+    const boundaryNodes = new Map();
+    let nextBoundaryId = -1;
+
+    // Two directions of a segment cut at the same point share one boundary node
+    const boundaryNode = (lat, lon) => {
+        const key = `${lat.toFixed(9)},${lon.toFixed(9)}`;
+        if (!boundaryNodes.has(key)) {
+            boundaryNodes.set(key, { id: nextBoundaryId--, lat, lon, boundary: true });
+        }
+        return boundaryNodes.get(key);
+    };
+
+    for (const edge of edges) {
+        const a = nodeById.get(edge.source);
+        const b = nodeById.get(edge.target);
+        if (!a || !b) continue;
+        const aIn = inside.has(a.id);
+        const bIn = inside.has(b.id);
+
+        if (mode === 'drop') {
+            if (aIn && bIn) newEdges.push(edge);
+            continue;
+        }
+
+        if (mode === 'keep_first') {
+            if (aIn || bIn) {
+                newEdges.push(edge);
+                keptNodes.add(a.id);
+                keptNodes.add(b.id);
+            }
+            continue;
+        }
+
+        const params = [0, ...segmentCrossings(a, b, region.index), 1];
+        if (params.length === 2) {
+            if (aIn && bIn) newEdges.push(edge);
+            continue;
+        }
+
+        const pointAt = t => ({ lat: a.lat + (b.lat - a.lat) * t, lon: a.lon + (b.lon - a.lon) * t });
+        for (let k = 0; k < params.length - 1; k++) {
+            const t0 = params[k];
+            const t1 = params[k + 1];
+            const mid = pointAt((t0 + t1) / 2);
+            if (!region.contains(mid.lat, mid.lon)) continue;
+
+            const start = t0 === 0 ? a : boundaryNode(pointAt(t0).lat, pointAt(t0).lon);
+            const end = t1 === 1 ? b : boundaryNode(pointAt(t1).lat, pointAt(t1).lon);
+            const piece = { ...edge, source: start.id, target: end.id };
+            for (const attr of ADDITIVE_EDGE_ATTRS) {
+                if (typeof edge[attr] === 'number') piece[attr] = edge[attr] * (t1 - t0);
+            }
+            if (Array.isArray(edge.geometry)) {
+                piece.geometry = [[start.lon, start.lat], [end.lon, end.lat]];
+            }
+            newEdges.push(piece);
+        }
+    }
+
+    return {
+        ...graph,
+        graph: { ...graph.graph, clipMode: mode },
+        nodes: [
+            ...nodes.filter(n => keptNodes.has(n.id)),
+            ...boundaryNodes.values()
+        ],
+        edges: newEdges
+    };
+}
+
+/**
+ * Turns a graph into a multigraph whose edges carry a `key`, so parallel edges
+ * (different ways between the same nodes, or a way revisiting a node pair)
+ * survive a round trip through NetworkX's MultiDiGraph. Keys count from 0 per
+ * node pair (unordered in undirected graphs), ordered by `wayId` and then by
+ * position, so they are stable for the same data.
+ * @param {Object} graph - Graph in NetworkX node-link format
+ * @returns {Object} New graph with `multigraph: true` and keyed edges
+ */
+export function assignEdgeKeys(graph) {
+    const edges = graph.edges || [];
+    const groups = new Map();
+    edges.forEach((edge, index) => {
+        const ends = [String(edge.source), String(edge.target)];
+        const pair = (graph.directed ? ends : ends.sort()).join('|');
+        if (!groups.has(pair)) groups.set(pair, []);
+        groups.get(pair).push(index);
+    });
+
+    const keys = new Array(edges.length);
+    const wayOrder = id => (typeof edges[id].wayId === 'number' ? edges[id].wayId : Infinity);
+    for (const indices of groups.values()) {
+        indices
+            .sort((a, b) => wayOrder(a) - wayOrder(b) || a - b)
+            .forEach((index, key) => { keys[index] = key; });
+    }
+
+    return {
+        ...graph,
+        multigraph: true,
+        edges: edges.map(({ source, target, key, ...attrs }, index) => ({ source, target, key: keys[index], ...attrs }))
+    };
+}
+
+export const CONNECTIVITY_TYPES = ['weak', 'strong'];
+
+/**
+ * Builds adjacency lists of node ids
+ * @param {Object} graph - Graph in NetworkX node-link format
+ * @param {boolean} undirected - Whether to add every edge in both directions
+ * @returns {Map} Node id to array of neighbour ids
+ */
+function adjacencyLists(graph, undirected) {
+    const adjacency = new Map((graph.nodes || []).map(n => [n.id, []]));
+    for (const edge of graph.edges || []) {
+        if (!adjacency.has(edge.source) || !adjacency.has(edge.target)) continue;
+        adjacency.get(edge.source).push(edge.target);
+        if (undirected) adjacency.get(edge.target).push(edge.source);
+    }
+    return adjacency;
+}
+
+/**
+ * Orders components by descending size; ties keep their discovery order
+ * @param {Array[]} components - Arrays of node ids
+ * @returns {Array[]} Sorted components
+ */
+function sortComponents(components) {
+    return components.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Finds the weakly connected components of a graph (edge direction ignored)
+ * @param {Object} graph - Graph in NetworkX node-link format
+ * @returns {Array[]} Components as arrays of node ids, largest first
+ */
+export function weaklyConnectedComponents(graph) {
+    const adjacency = adjacencyLists(graph, true);
+    const seen = new Set();
+    const components = [];
+
+    for (const start of adjacency.keys()) {
+        if (seen.has(start)) continue;
+        seen.add(start);
+        const component = [];
+        const queue = [start];
+        while (queue.length > 0) {
+            const id = queue.pop();
+            component.push(id);
+            for (const next of adjacency.get(id)) {
+                if (!seen.has(next)) {
+                    seen.add(next);
+                    queue.push(next);
+                }
+            }
+        }
+        components.push(component);
+    }
+
+    return sortComponents(components);
+}
+
+/**
+ * Finds the strongly connected components of a graph with Tarjan's algorithm,
+ * run iteratively so long chains do not overflow the call stack. For
+ * undirected graphs these are the weakly connected components.
+ * @param {Object} graph - Graph in NetworkX node-link format
+ * @returns {Array[]} Components as arrays of node ids, largest first
+ */
+export function stronglyConnectedComponents(graph) {
+    if (!graph.directed) return weaklyConnectedComponents(graph);
+
+    const adjacency = adjacencyLists(graph, false);
+    const index = new Map();
+    const lowlink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let counter = 0;
+
+    const visit = id => {
+        index.set(id, counter);
+        lowlink.set(id, counter);
+        counter++;
+        stack.push(id);
+        onStack.add(id);
+    };
+
+    for (const root of adjacency.keys()) {
+        if (index.has(root)) continue;
+        visit(root);
+        // Each frame is [node id, index of the next neighbour to explore]
+        const frames = [[root, 0]];
+
+        while (frames.length > 0) {
+            const frame = frames[frames.length - 1];
+            const id = frame[0];
+            const neighbours = adjacency.get(id);
+
+            if (frame[1] < neighbours.length) {
+                const next = neighbours[frame[1]++];
+                if (!index.has(next)) {
+                    visit(next);
+                    frames.push([next, 0]);
+                } else if (onStack.has(next)) {
+                    lowlink.set(id, Math.min(lowlink.get(id), index.get(next)));
+                }
+                continue;
+            }
+
+            frames.pop();
+            if (frames.length > 0) {
+                const parent = frames[frames.length - 1][0];
+                lowlink.set(parent, Math.min(lowlink.get(parent), lowlink.get(id)));
+            }
+            if (lowlink.get(id) === index.get(id)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== id);
+                components.push(component);
+            }
+        }
+    }
+
+    return sortComponents(components);
+}
+
+/**
+ * Tags every node with the ids of its weakly and strongly connected
+ * components (`weak_component`, `strong_component`; 0 is the largest)
+ * @param {Object} graph - Graph in NetworkX node-link format
+ * @returns {Object} New graph, with the component counts as `weakComponents`
+ *   and `strongComponents` in the graph attributes
+ */
+export function labelComponents(graph) {
+    const weak = weaklyConnectedComponents(graph);
+    const strong = stronglyConnectedComponents(graph);
+    const componentOf = components => {
+        const lookup = new Map();
+        components.forEach((component, i) => component.forEach(id => lookup.set(id, i)));
+        return lookup;
+    };
+    const weakOf = componentOf(weak);
+    const strongOf = componentOf(strong);
+
+    return {
+        ...graph,
+        graph: { ...graph.graph, weakComponents: weak.length, strongComponents: strong.length },
+        nodes: (graph.nodes || []).map(n => ({
+            ...n,
+            weak_component: weakOf.get(n.id),
+            strong_component: strongOf.get(n.id)
+        }))
+    };
+}
+
+/**
+ * Keeps only the largest weakly or strongly connected component, so every
+ * node can reach (strong) or is linked to (weak) every other node
+ * @param {Object} graph - Graph in NetworkX node-link format
+ * @param {Object} [options] - Filtering options
+ * @param {string} [options.connectivity='strong'] - One of CONNECTIVITY_TYPES
+ * @returns {Object} New graph, with `largestComponent` (the connectivity) and
+ *   `componentsRemoved` in the graph attributes
+ * @throws {Error} If the connectivity is unknown
+ */
+export function keepLargestComponent(graph, options = {}) {
+    const { connectivity = 'strong' } = options;
+    if (!CONNECTIVITY_TYPES.includes(connectivity)) {
+        throw new Error(`Unknown connectivity: ${connectivity}`);
+    }
+
+    const components = connectivity === 'weak'
+        ? weaklyConnectedComponents(graph)
+        : stronglyConnectedComponents(graph);
+    const keep = new Set(components[0] || []);
+
+    return {
+        ...graph,
+        graph: {
+            ...graph.graph,
+            largestComponent: connectivity,
+            componentsRemoved: Math.max(components.length - 1, 0)
+        },
+        nodes: (graph.nodes || []).filter(n => keep.has(n.id)),
+        edges: (graph.edges || []).filter(e => keep.has(e.source) && keep.has(e.target))
+    };
+}
+
+/** Void value of SRTM .hgt files */
+const HGT_VOID = -32768;
+
+/**
+ * Parses an SRTM .hgt elevation tile: a square grid of big-endian 16-bit
+ * heights in metres covering one degree, rows running north to south
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} fileName - File name, which encodes the tile's south-west
+ *   corner (e.g. `N52E013.hgt`)
+ * @returns {Object} DEM {width, height, originLat, originLon, dLat, dLon,
+ *   data, nodata}; the origin is the north-west sample
+ * @throws {Error} If the size or file name is not that of an .hgt tile
+ */
+export function parseHGT(buffer, fileName) {
+    const size = Math.round(Math.sqrt(buffer.byteLength / 2));
+    if (size < 2 || size * size * 2 !== buffer.byteLength) {
+        throw new Error('HGT file must contain a square grid of 16-bit samples');
+    }
+
+    const match = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(fileName || '');
+    if (!match) {
+        throw new Error('HGT file name must encode its corner, like N52E013.hgt');
+    }
+    const south = parseInt(match[2], 10) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+    const west = parseInt(match[4], 10) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+
+    const view = new DataView(buffer);
+    const data = new Float32Array(size * size);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = view.getInt16(i * 2, false);
+    }
+
+    return {
+        width: size,
+        height: size,
+        originLat: south + 1,
+        originLon: west,
+        dLat: 1 / (size - 1),
+        dLon: 1 / (size - 1),
+        data,
+        nodata: HGT_VOID
+    };
+}
+
+/** Byte sizes of TIFF field types */
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 16: 8 };
+
+/**
+ * Reads the fields of the first image file directory of a TIFF
+ * @param {DataView} view - File contents
+ * @param {boolean} little - Whether the file is little-endian
+ * @returns {Map} Tag number to array of values (a string for ASCII fields)
+ */
+function readTiffFields(view, little) {
+    const fields = new Map();
+    const ifd = view.getUint32(4, little);
+    const count = view.getUint16(ifd, little);
+
+    for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        const tag = view.getUint16(entry, little);
+        const type = view.getUint16(entry + 2, little);
+        const n = view.getUint32(entry + 4, little);
+        const size = TIFF_TYPE_SIZES[type];
+        if (!size) continue;
+        const offset = n * size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+
+        if (type === 2) {
+            let text = '';
+            for (let k = 0; k < n; k++) {
+                const code = view.getUint8(offset + k);
+                if (code === 0) break;
+                text += String.fromCharCode(code);
+            }
+            fields.set(tag, text);
+            continue;
+        }
+
+        const values = [];
+        for (let k = 0; k < n; k++) {
+            const at = offset + k * size;
+            switch (type) {
+                case 1: case 7: values.push(view.getUint8(at)); break;
+                case 6: values.push(view.getInt8(at)); break;
+                case 3: values.push(view.getUint16(at, little)); break;
+                case 8: values.push(view.getInt16(at, little)); break;
+                case 4: values.push(view.getUint32(at, little)); break;
+                case 9: values.push(view.getInt32(at, little)); break;
+                case 11: values.push(view.getFloat32(at, little)); break;
+                case 12: values.push(view.getFloat64(at, little)); break;
+                case 5: values.push(view.getUint32(at, little) / view.getUint32(at + 4, little)); break;
+                case 10: values.push(view.getInt32(at, little) / view.getInt32(at + 4, little)); break;
+                default: values.push(Number(view.getBigUint64(at, little)));
+            }
+        }
+        fields.set(tag, values);
+    }
+
+    return fields;
+}
+
+/**
+ * Decodes TIFF LZW data (MSB-first codes with early change)
+ * @param {Uint8Array} input - Compressed bytes
+ * @returns {Uint8Array} Decompressed bytes
+ */
+function decodeLzw(input) {
+    const CLEAR = 256;
+    const END = 257;
+    const output = [];
+    let table = [];
+    let width = 9;
+    let previous = null;
+    let bitPos = 0;
+
+    const resetTable = () => {
+        table = [];
+        for (let i = 0; i < 256; i++) table.push([i]);
+        table.push(null, null);
+        width = 9;
+        previous = null;
+    };
+    const readCode = () => {
+        let code = 0;
+        for (let i = 0; i < width; i++) {
+            const byte = input[(bitPos + i) >> 3];
+            if (byte === undefined) return END;
+            code = (code << 1) | ((byte >> (7 - ((bitPos + i) & 7))) & 1);
+        }
+        bitPos += width;
+        return code;
+    };
+
+    resetTable();
+    for (;;) {
+        const code = readCode();
+        if (code === END) break;
+        if (code === CLEAR) {
+            resetTable();
+            continue;
+        }
+
+        let entry;
+        if (code < table.length) {
+            entry = table[code];
+            if (previous) table.push([...previous, entry[0]]);
+        } else {
+            entry = [...previous, previous[0]];
+            table.push(entry);
+        }
+        output.push(...entry);
+        previous = entry;
+
+        // Early change: the code width grows one code before the table fills
+        if (table.length >= (1 << width) - 1 && width < 12) width++;
+    }
+
+    return Uint8Array.from(output);
+}
+
+/**
+ * Decompresses zlib (Deflate) data with the platform's DecompressionStream
+ * @param {Uint8Array} input - Compressed bytes
+ * @returns {Promise<Uint8Array>} Decompressed bytes
+ */
+async function inflate(input) {
+    const stream = new Blob([input]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Parses a single-band GeoTIFF DEM in geographic (lat/lon) coordinates.
+ * Strips and tiles are supported, uncompressed or with LZW or Deflate
+ * compression and horizontal differencing; samples are 8 to 32-bit integers
+ * or 32/64-bit floats.
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Object>} DEM (see parseHGT); `nodata` comes from the
+ *   GDAL_NODATA tag, if present
+ * @throws {Error} If the file is not a supported GeoTIFF
+ */
+export async function parseGeoTIFF(buffer) {
+    const view = new DataView(buffer);
+    const order = buffer.byteLength >= 8 ? view.getUint16(0, false) : 0;
+    if (order !== 0x4949 && order !== 0x4d4d) {
+        throw new Error('Not a TIFF file');
+    }
+    const little = order === 0x4949;
+    const magic = view.getUint16(2, little);
+    if (magic === 43) {
+        throw new Error('BigTIFF files are not supported');
+    }
+    if (magic !== 42) {
+        throw new Error('Not a TIFF file');
+    }
+
+    const fields = readTiffFields(view, little);
+    const field = (tag, fallback) => (fields.has(tag) ? fields.get(tag) : fallback);
+    if (!fields.has(256) || !fields.has(257)) {
+        throw new Error('TIFF has no image size');
+    }
+    const width = field(256)[0];
+    const height = field(257)[0];
+    const bits = field(258, [1])[0];
+    const compression = field(259, [1])[0];
+    const samplesPerPixel = field(277, [1])[0];
+    const predictor = field(317, [1])[0];
+    const sampleFormat = field(339, [1])[0];
+
+    if (samplesPerPixel !== 1) {
+        throw new Error('Only single-band GeoTIFFs are supported');
+    }
+    if (![1, 5, 8, 32946].includes(compression)) {
+        throw new Error(`Unsupported TIFF compression: ${compression}`);
+    }
+    if (predictor !== 1 && !(predictor === 2 && sampleFormat !== 3)) {
+        throw new Error(`Unsupported TIFF predictor: ${predictor}`);
+    }
+
+    const readers = {
+        '1-8': (v, at) => v.getUint8(at),
+        '2-8': (v, at) => v.getInt8(at),
+        '1-16': (v, at) => v.getUint16(at, little),
+        '2-16': (v, at) => v.getInt16(at, little),
+        '1-32': (v, at) => v.getUint32(at, little),
+        '2-32': (v, at) => v.getInt32(at, little),
+        '3-32': (v, at) => v.getFloat32(at, little),
+        '3-64': (v, at) => v.getFloat64(at, little)
+    };
+    const read = readers[`${sampleFormat}-${bits}`];
+    if (!read) {
+        throw new Error(`Unsupported TIFF sample type: format ${sampleFormat}, ${bits} bits`);
+    }
+    const bytesPerSample = bits / 8;
+
+    // Georeferencing: pixel size and one tie point, in degrees
+    const geoKeys = new Map();
+    const directory = field(34735, []);
+    for (let i = 4; i + 3 < directory.length; i += 4) {
+        if (directory[i + 1] === 0) geoKeys.set(directory[i], directory[i + 3]);
+    }
+    if (geoKeys.get(1024) === 1) {
+        throw new Error('Only GeoTIFFs in geographic coordinates (EPSG:4326) are supported');
+    }
+    const scale = field(33550);
+    const tiepoint = field(33922);
+    if (!scale || !tiepoint) {
+        throw new Error('GeoTIFF has no pixel scale and tie point');
+    }
+    // Samples sit at pixel centres unless the raster is marked PixelIsPoint
+    const shift = geoKeys.get(1025) === 2 ? 0 : 0.5;
+
+    const tiled = fields.has(322);
+    const chunkWidth = tiled ? field(322)[0] : width;
+    const chunkHeight = tiled ? field(323)[0] : field(278, [height])[0];
+    const offsets = tiled ? field(324) : field(273);
+    const byteCounts = tiled ? field(325) : field(279);
+    const chunksAcross = Math.ceil(width / chunkWidth);
+
+    const data = new Float32Array(width * height);
+    for (let c = 0; c < offsets.length; c++) {
+        let bytes = new Uint8Array(buffer, offsets[c], byteCounts[c]);
+        if (compression === 5) bytes = decodeLzw(bytes);
+        else if (compression !== 1) bytes = await inflate(bytes);
+
+        const chunkView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const x0 = (c % chunksAcross) * chunkWidth;
+        const y0 = Math.floor(c / chunksAcross) * chunkHeight;
+        // Horizontal differencing wraps around like the integer sample type
+        const wrap = 2 ** bits;
+        const signed = sampleFormat === 2;
+
+        for (let y = 0; y < chunkHeight && y0 + y < height; y++) {
+            let previous = 0;
+            for (let x = 0; x < chunkWidth; x++) {
+                const at = (y * chunkWidth + x) * bytesPerSample;
+                if (at + bytesPerSample > bytes.byteLength) break;
+                let value = read(chunkView, at);
+                if (predictor === 2) {
+                    if (x > 0) {
+                        value = (value + previous) % wrap;
+                        if (value < 0) value += wrap;
+                        if (signed && value >= wrap / 2) value -= wrap;
+                    }
+                    previous = value;
+                }
+                if (x0 + x < width) data[(y0 + y) * width + x0 + x] = value;
+            }
+        }
+    }
+
+    const nodata = parseFloat(field(42113, ''));
+    return {
+        width,
+        height,
+        originLat: tiepoint[4] + (tiepoint[1] - shift) * scale[1],
+        originLon: tiepoint[3] + (shift - tiepoint[0]) * scale[0],
+        dLat: scale[1],
+        dLon: scale[0],
+        data,
+        // Samples are stored as 32-bit floats, so compare at that precision
+        nodata: isNaN(nodata) ? null : Math.fround(nodata)
+    };
+}
+
+/**
+ * Parses a DEM file by its name: `.hgt` for SRTM tiles, otherwise GeoTIFF
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} fileName - File name
+ * @returns {Promise<Object>} DEM (see parseHGT)
+ * @throws {Error} If the file cannot be parsed
+ */
+export async function parseDEM(buffer, fileName) {
+    if (/\.hgt$/i.test(fileName || '')) {
+        return parseHGT(buffer, fileName);
+    }
+    return parseGeoTIFF(buffer);
+}
+
+/**
+ * Samples a DEM at a point by bilinear interpolation of the four surrounding
+ * samples. Void samples are left out and the others reweighted.
+ * @param {Object} dem - DEM from parseDEM
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {number|null} Elevation in metres, or null outside the DEM or
+ *   where all four samples are void
+ */
+export function sampleElevation(dem, lat, lon) {
+    const col = (lon - dem.originLon) / dem.dLon;
+    const row = (dem.originLat - lat) / dem.dLat;
+    if (!(col >= 0 && row >= 0 && col <= dem.width - 1 && row <= dem.height - 1)) {
+        return null;
+    }
+
+    const c0 = Math.floor(col);
+    const r0 = Math.floor(row);
+    const c1 = Math.min(c0 + 1, dem.width - 1);
+    const r1 = Math.min(r0 + 1, dem.height - 1);
+    const fx = col - c0;
+    const fy = row - r0;
+
+    let sum = 0;
+    let weights = 0;
+    for (const [r, c, w] of [
+        [r0, c0, (1 - fx) * (1 - fy)],
+        [r0, c1, fx * (1 - fy)],
+        [r1, c0, (1 - fx) * fy],
+        [r1, c1, fx * fy]
+    ]) {
+        const value = dem.data[r * dem.width + c];
+        if (w === 0 || value === dem.nodata || isNaN(value)) continue;
+        sum += value * w;
+        weights += w;
+    }
+
+    return weights > 0 ? sum / weights : null;
+}
+
+/**
+ * Adds elevations from DEMs to the nodes and grades to the edges. Each node
+ * takes the first DEM that covers it; nodes outside all DEMs get no elevation
+ * and their edges no grade, even if an earlier call gave them one.
+ * @param {Object} graph - Graph in NetworkX node-link format
+ * @param {Object[]} dems - DEMs from parseDEM
+ * @returns {Object} New graph with node `elevation` (metres) and edge `grade`
+ *   (rise over run) and `grade_abs`; the graph attributes hold the summed
+ *   rises and drops as `elevationGain` and `elevationLoss`, counting each
+ *   street segment once in the direction of its first edge (the way's direction
+ *   for two-way streets), so the reverse edge does not cancel it out
+ */
+export function addElevation(graph, dems) {
+    // Values from an earlier run are dropped, so applying other DEMs to the
+    // same graph never mixes old and new elevations
+    const elevations = new Map();
+    const nodes = (graph.nodes || []).map(({ elevation: previousElevation, ...node }) => {
+        for (const dem of dems) {
+            const elevation = sampleElevation(dem, node.lat, node.lon);
+            if (elevation !== null) {
+                const rounded = Math.round(elevation * 100) / 100;
+                elevations.set(node.id, rounded);
+                return { ...node, elevation: rounded };
+            }
+        }
+        return node;
+    });
+
+    const reverseEdges = graph.directed === false
+        ? new Set()
+        : new Set(pairOppositeEdges(graph.edges || []).values());
+    let gain = 0;
+    let loss = 0;
+    const edges = (graph.edges || []).map(({ grade: previousGrade, grade_abs: previousGradeAbs, ...edge }, index) => {
+        const from = elevations.get(edge.source);
+        const to = elevations.get(edge.target);
+        if (from === undefined || to === undefined) return edge;
+
+        const rise = to - from;
+        if (!reverseEdges.has(index)) {
+            if (rise > 0) gain += rise;
+            else loss -= rise;
+        }
+
+        const run = edge.weight * 1000;
+        if (!(run > 0)) return edge;
+        const grade = Math.round(rise / run * 10000) / 10000;
+        return { ...edge, grade, grade_abs: Math.abs(grade) };
+    });
+
+    return {
+        ...graph,
+        graph: {
+            ...graph.graph,
+            elevationGain: Math.round(gain * 10) / 10,
+            elevationLoss: Math.round(loss * 10) / 10
+        },
+        nodes,
+        edges
+    };
+}
+
+/**
+ * Extracts turn restrictions from `type=restriction` relations.
+ * Only restriction keys that apply to the profile's travel mode are used
+ * (the most specific one wins), and restrictions whose `except` tag lists the
+ * mode are skipped. Relations with several `from` or `to` ways yield one entry
+ * per combination.
+ * @param {Object} osmData - Raw data from Overpass API
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.profile='drive'] - Network profile
+ * @returns {Object[]} Restrictions as {id, restriction, kind ('no' or 'only'),
+ *   from (way id), viaType ('node' or 'way'), via (array of ids), to (way id)}
+ */
+export function parseTurnRestrictions(osmData, options = {}) {
+    const profile = getProfile(options.profile);
+    const restrictions = [];
+
+    if (!osmData || !Array.isArray(osmData.elements)) {
+        return restrictions;
+    }
+
+    for (const element of osmData.elements) {
+        if (element.type !== 'relation' || !Array.isArray(element.members)) continue;
+        const tags = element.tags || {};
+        if (tags.type !== 'restriction') continue;
+
+        const key = [...profile.restrictionKeys].reverse().find(k => tags[k]);
+        if (!key) continue;
+        const kind = tags[key].match(/^(no|only)_/);
+        if (!kind) continue;
+
+        const exceptions = (tags.except || '').split(';').map(v => v.trim());
+        if (profile.mode && exceptions.includes(profile.mode)) continue;
+
+        const from = element.members.filter(m => m.role === 'from' && m.type === 'way');
+        const to = element.members.filter(m => m.role === 'to' && m.type === 'way');
+        const via = element.members.filter(m => m.role === 'via');
+        if (!from.length || !to.length || !via.length) continue;
+
+        const viaType = via[0].type;
+        if (via.some(m => m.type !== viaType)) continue;
+        if (viaType === 'node' ? via.length !== 1 : viaType !== 'way') continue;
+
+        for (const f of from) {
+            for (const t of to) {
+                restrictions.push({
+                    id: element.id,
+                    restriction: tags[key],
+                    kind: kind[1],
+                    from: f.ref,
+                    viaType,
+                    via: via.map(m => m.ref),
+                    to: t.ref
+                });
+            }
+        }
+    }
+
+    return restrictions;
+}
+
+/**
+ * Builds the edge-expanded (turn) graph of a graph. Every edge becomes a node
+ * (`e<index>`, placed at the edge midpoint, with `u`/`v` and the edge
+ * attributes), and every allowed movement from one edge into the next becomes
+ * an edge carrying the attributes of the edge it leaves plus the `via` node.
+ * Movements forbidden by the restrictions in `graph.graph.restrictions` are
+ * missing. Restrictions via ways are applied by duplicating the via path for
+ * each entering edge (duplicates have `copyOf` set), so the forbidden sequence
+ * cannot be driven while the via ways stay usable from elsewhere.
+ * Restrictions whose ways are not all in the graph (for example via ways the
+ * profile excludes) cannot be applied; their number is recorded as
+ * `restrictionsSkipped` in the graph attributes.
+ * U-turns onto the reverse edge are only kept at dead ends unless allowed.
+ * @param {Object} graph - Graph in NetworkX node-link format
+ * @param {Object} [options] - Turn graph options
+ * @param {boolean} [options.allowUTurns=false] - Keep U-turns everywhere
+ * @returns {Object} Turn graph in NetworkX node-link format
+ */
+export function buildTurnGraph(graph, options = {}) {
+    const { allowUTurns = false } = options;
+    const nodes = graph.nodes || [];
+    const edges = graph.edges || [];
+    const restrictions = (graph.graph && graph.graph.restrictions) || [];
+
+    const nodeById = new Map(nodes.map(n => [n.id, n]));
+
+    // OSM node id -> graph node id (consolidated nodes answer for all merged ids)
+    const alias = new Map();
+    for (const node of nodes) {
+        alias.set(node.id, node.id);
+        for (const id of node.osmids || []) alias.set(id, node.id);
+    }
+
+    const outEdges = new Map();
+    const inEdges = new Map();
+    edges.forEach((edge, i) => {
+        if (!outEdges.has(edge.source)) outEdges.set(edge.source, []);
+        if (!inEdges.has(edge.target)) inEdges.set(edge.target, []);
+        outEdges.get(edge.source).push(i);
+        inEdges.get(edge.target).push(i);
+    });
+
+    const turnId = i => `e${i}`;
+    const turns = new Map();
+    edges.forEach((edge, i) => {
+        const next = outEdges.get(edge.target) || [];
+        const deadEnd = next.every(j => edges[j].target === edge.source);
+        const allowed = new Set();
+        for (const j of next) {
+            if (edges[j].target === edge.source && !allowUTurns && !deadEnd) continue;
+            allowed.add(turnId(j));
+        }
+        turns.set(turnId(i), allowed);
+    });
+
+    const turnNode = (i, id = turnId(i)) => {
+        const { source, target, geometry, ...attrs } = edges[i];
+        const a = nodeById.get(source);
+        const b = nodeById.get(target);
+        return {
+            ...attrs,
+            id,
+            u: source,
+            v: target,
+            lat: a && b ? (a.lat + b.lat) / 2 : undefined,
+            lon: a && b ? (a.lon + b.lon) / 2 : undefined
+        };
+    };
+
+    const turnNodes = edges.map((_, i) => turnNode(i));
+    const copyEdge = new Map();
+    const edgeIndexOf = id => copyEdge.has(id) ? copyEdge.get(id) : Number(id.slice(1));
+    // Relation ids with at least one from/to pair found in the graph
+    const applied = new Set();
+
+    // Restrictions via a node only remove or keep single movements
+    for (const r of restrictions) {
+        if (r.viaType !== 'node') continue;
+        const via = alias.get(r.via[0]);
+        const exits = outEdges.get(via) || [];
+        if (via === undefined || !exits.some(j => edges[j].wayId === r.to)) continue;
+
+        for (const i of inEdges.get(via) || []) {
+            if (edges[i].wayId !== r.from) continue;
+            applied.add(r.id);
+            const allowed = turns.get(turnId(i));
+            for (const j of exits) {
+                const isTo = edges[j].wayId === r.to;
+                if (r.kind === 'no' ? isTo : !isTo) allowed.delete(turnId(j));
+            }
+        }
+    }
+
+    // Restrictions via ways span several movements: each entering edge gets
+    // its own copy of the via path whose last movement is restricted
+    for (const r of restrictions) {
+        if (r.viaType !== 'way') continue;
+        const viaWays = new Set(r.via);
+
+        edges.forEach((entering, i) => {
+            if (entering.wayId !== r.from) return;
+            const path = findViaPath(entering.target, viaWays, r.to, edges, outEdges);
+            if (!path) return;
+            applied.add(r.id);
+            if (!turns.get(turnId(i)).has(turnId(path[0]))) return;
+
+            const copies = path.map(j => `${turnId(j)}_r${r.id}_${turnId(i)}`);
+            const last = edges[path[path.length - 1]].target;
+            const enteringTurns = turns.get(turnId(i));
+            enteringTurns.delete(turnId(path[0]));
+            enteringTurns.add(copies[0]);
+
+            path.forEach((j, m) => {
+                let allowed;
+                if (m < path.length - 1) {
+                    allowed = r.kind === 'only'
+                        ? new Set([copies[m + 1]])
+                        : new Set([...turns.get(turnId(j))]
+                            .map(t => t === turnId(path[m + 1]) ? copies[m + 1] : t));
+                } else {
+                    allowed = new Set([...turns.get(turnId(j))].filter(t => {
+                        const exit = edges[edgeIndexOf(t)];
+                        const isTo = exit.source === last && exit.wayId === r.to;
+                        return r.kind === 'no' ? !isTo : isTo;
+                    }));
+                }
+                turns.set(copies[m], allowed);
+                turnNodes.push({ ...turnNode(j, copies[m]), copyOf: turnId(j) });
+                copyEdge.set(copies[m], j);
+            });
+        });
+    }
+
+    const turnEdges = [];
+    for (const [from, targets] of turns) {
+        // Edge keys identify parallel road edges; turn edges are not parallel
+        const { source, target, geometry, key, ...attrs } = edges[edgeIndexOf(from)];
+        for (const to of targets) {
+            turnEdges.push({ ...attrs, source: from, target: to, via: target });
+        }
+    }
+
+    return {
+        directed: true,
+        multigraph: false,
+        graph: {
+            ...graph.graph,
+            turnGraph: true,
+            restrictionsSkipped: new Set(restrictions.map(r => r.id).filter(id => !applied.has(id))).size
+        },
+        nodes: turnNodes,
+        edges: turnEdges
+    };
+}
+
+/**
+ * Finds the edge path along the via ways of a restriction, starting at the
+ * node where the from way enters and ending where the to way can be entered
+ * @param {*} start - Graph node id where the from way ends
+ * @param {Set} viaWays - Way ids of the via members
+ * @param {number} toWay - Way id of the to member
+ * @param {Object[]} edges - Graph edges
+ * @param {Map} outEdges - Node id -> indices of outgoing edges
+ * @returns {number[]|null} Edge indices along the via ways, or null
+ */
+function findViaPath(start, viaWays, toWay, edges, outEdges) {
+    const parentEdge = new Map([[start, null]]);
+    const queue = [start];
+
+    while (queue.length) {
+        const node = queue.shift();
+        const exits = outEdges.get(node) || [];
+
+        if (node !== start && exits.some(j => edges[j].wayId === toWay)) {
+            const path = [];
+            for (let n = node; parentEdge.get(n) !== null; n = edges[parentEdge.get(n)].source) {
+                path.unshift(parentEdge.get(n));
+            }
+            return path;
+        }
+
+        for (const j of exits) {
+            const next = edges[j].target;
+            if (!viaWays.has(edges[j].wayId) || parentEdge.has(next)) continue;
+            parentEdge.set(next, j);
+            queue.push(next);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Escapes a value for safe XML attribute/content use
+ * @param {*} value - Value to escape
+ * @returns {string} XML-safe string
+ */
+export function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Attributes every export declares, in this order, with fixed types
+const BASE_NODE_ATTRS = [['lat', 'double'], ['lon', 'double']];
+const BASE_EDGE_ATTRS = [['weight', 'double'], ['wayId', 'long'], ['highway', 'string'], ['name', 'string']];
+
+// Computed attributes whose type must not depend on the values at hand
+const KNOWN_ATTR_TYPES = {
+    speed_kph: 'double',
+    travel_time: 'double',
+    elevation: 'double',
+    grade: 'double',
+    grade_abs: 'double'
+};
+
+/**
+ * Infers the type of a single attribute value. Numeric strings (as OSM tag
+ * values like `lanes=2` are) count as numbers.
+ * @param {*} value - Attribute value
+ * @returns {string|null} 'boolean', 'long', 'double' or 'string'; null for empty values
+ */
+function inferType(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'boolean') return 'boolean';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'long' : 'double';
+    if (typeof value === 'string') {
+        // A leading zero (ref=01, postcodes) would be lost when read as a number
+        if (/^-?(0|[1-9]\d{0,14})$/.test(value)) return 'long';
+        if (/^-?(0|[1-9]\d*)\.\d+$/.test(value)) return 'double';
+    }
+    return 'string';
+}
+
+/**
+ * Combines two inferred types into one that can hold both
+ * @param {string|null} a - Type so far
+ * @param {string|null} b - Type of the next value
+ * @returns {string|null} Combined type
+ */
+function widenType(a, b) {
+    if (a === null || a === b) return b ?? a;
+    if (b === null) return a;
+    if ((a === 'long' && b === 'double') || (a === 'double' && b === 'long')) return 'double';
+    return 'string';
+}
+
+/**
+ * Collects the attribute schema of a list of nodes or edges: the base
+ * attributes first, then every other attribute in order of first appearance,
+ * each with a type that fits all of its values
+ * @param {Object[]} items - Nodes or edges
+ * @param {Array<[string, string]>} base - Always included [name, type] pairs
+ * @param {string[]} skip - Properties that are not attributes (ids, endpoints)
+ * @returns {Array<{name: string, type: string}>} Attribute schema
+ */
+function collectAttributes(items, base, skip) {
+    const fixed = new Map(base);
+    const types = new Map(base.map(([name]) => [name, null]));
+
+    for (const item of items) {
+        for (const [name, value] of Object.entries(item)) {
+            if (skip.includes(name) || fixed.has(name)) continue;
+            types.set(name, widenType(types.get(name) ?? null, inferType(value)));
+        }
+    }
+
+    return [...types].map(([name, type]) => ({
+        name,
+        type: fixed.get(name) || KNOWN_ATTR_TYPES[name] || type || 'string'
+    }));
+}
+
+/**
+ * Formats a [lon, lat] coordinate list as a WKT LineString
+ * @param {Array[]} coordinates - Polyline as [lon, lat] pairs
+ * @returns {string} WKT, e.g. `LINESTRING (13.4 52.52, 13.401 52.521)`
+ */
+function lineStringWKT(coordinates) {
+    return `LINESTRING (${coordinates.map(([lon, lat]) => `${lon} ${lat}`).join(', ')})`;
+}
+
+/**
+ * Formats an attribute value for text exports. Edge geometries become WKT,
+ * other lists and objects JSON.
+ * @param {*} value - Attribute value
+ * @param {string} [name] - Attribute name
+ * @returns {string} Text representation
+ */
+function formatAttribute(value, name) {
+    if (value === null || value === undefined) return '';
+    if (name === 'geometry' && Array.isArray(value)) return lineStringWKT(value);
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Converts graph data to GraphML format (directed).
+ * Key declarations are generated from the node and edge attributes present
+ * (including retained OSM tags), with types inferred from their values.
+ * Graph attributes (e.g. `profile`) are written as graph-level data;
+ * lists and objects such as `restrictions` or `osmids` are serialized as JSON strings.
+ * In multigraphs the edge `key` becomes the edge id, as NetworkX writes it.
+ * Edge geometries are written as WKT LineStrings.
+ * @param {Object} graph - Graph data with nodes and edges
+ * @returns {string} GraphML formatted XML string
+ */
+export function convertToGraphML(graph) {
+    const graphAttrs = Object.entries(graph.graph || {})
+        .filter(([, value]) => value !== null && value !== undefined);
+    const nodeAttrs = collectAttributes(graph.nodes, BASE_NODE_ATTRS, ['id']);
+    const keyed = Boolean(graph.multigraph);
+    const edgeAttrs = collectAttributes(graph.edges, BASE_EDGE_ATTRS, keyed ? ['source', 'target', 'key'] : ['source', 'target']);
+
+    // Edge keys use the attribute name as id; node keys do too unless an
+    // edge attribute of the same name exists (e.g. a `highway` node tag)
+    const edgeNames = new Set(edgeAttrs.map(a => a.name));
+    nodeAttrs.forEach(a => { a.id = edgeNames.has(a.name) ? `node_${a.name}` : a.name; });
+    edgeAttrs.forEach(a => { a.id = a.name; });
+
+    let graphml = `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+`;
+
+    const declare = (attrs, domain) => attrs.forEach(a => {
+        graphml += `    <key id="${escapeXml(a.id)}" for="${domain}" attr.name="${escapeXml(a.name)}" attr.type="${a.type}"/>\n`;
+    });
+    declare(nodeAttrs, 'node');
+    declare(edgeAttrs, 'edge');
+    declare(graphAttrs.map(([name, value]) => ({
+        id: `graph_${name}`,
+        name,
+        type: typeof value === 'object' ? 'string' : inferType(value) || 'string'
+    })), 'graph');
+
+    graphml += '    <graph id="G" edgedefault="directed">\n';
+
+    graphAttrs.forEach(([name, value]) => {
+        graphml += `        <data key="graph_${escapeXml(name)}">${escapeXml(formatAttribute(value))}</data>\n`;
+    });
+
+    const writeData = (item, attrs, indent) => {
+        for (const a of attrs) {
+            const value = item[a.name];
+            if (value === null || value === undefined) continue;
+            if (value === '' && a.type !== 'string') continue;
+            graphml += `${indent}<data key="${escapeXml(a.id)}">${escapeXml(formatAttribute(value, a.name))}</data>\n`;
+        }
+    };
+
+    graph.nodes.forEach(node => {
+        graphml += `        <node id="${escapeXml(node.id)}">\n`;
+        writeData(node, nodeAttrs, '            ');
+        graphml += '        </node>\n';
+    });
+
+    graph.edges.forEach((edge, index) => {
+        const id = keyed && edge.key !== undefined ? edge.key : `e${index}`;
+        graphml += `        <edge id="${escapeXml(id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">\n`;
+        writeData(edge, edgeAttrs, '            ');
+        graphml += '        </edge>\n';
+    });
+
+    graphml += '    </graph>\n</graphml>';
+    return graphml;
+}
+
+/**
+ * Merges dated snapshots of the same area into one temporal graph. Every node
+ * and edge gets `spells`, the [start, end) date ranges of the snapshots it
+ * appears in; the last range stays open. Attribute values come from the
+ * latest snapshot containing the node or edge. Edges are matched by source,
+ * target, way and key.
+ * @param {Array<{date: string, graph: Object}>} snapshots - Graphs with ISO dates
+ * @returns {Object} Graph with spells, and the dates as graph attribute `snapshots`
+ * @throws {Error} If there are no snapshots or a date is missing or repeated
+ */
+export function mergeSnapshots(snapshots) {
+    if (!Array.isArray(snapshots) || snapshots.length === 0) {
+        throw new Error('At least one snapshot is required');
+    }
+    const ordered = [...snapshots].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+    ordered.forEach((snapshot, i) => {
+        if (typeof snapshot.date !== 'string' || snapshot.date === '') {
+            throw new Error('Every snapshot needs a date');
+        }
+        if (i > 0 && snapshot.date === ordered[i - 1].date) {
+            throw new Error(`Duplicate snapshot date: ${snapshot.date}`);
+        }
+    });
+
+    const nodes = new Map();
+    const edges = new Map();
+
+    // Extends the item's last spell if it was present in the previous
+    // snapshot, otherwise opens a new one
+    const record = (items, id, item, index) => {
+        const start = ordered[index].date;
+        const end = index + 1 < ordered.length ? ordered[index + 1].date : null;
+        const entry = items.get(id);
+        if (!entry) {
+            items.set(id, { item, spells: [{ start, end }], last: index });
+            return;
+        }
+        entry.item = item;
+        if (entry.last === index - 1) {
+            entry.spells[entry.spells.length - 1].end = end;
+        } else {
+            entry.spells.push({ start, end });
+        }
+        entry.last = index;
+    };
+
+    ordered.forEach(({ graph }, index) => {
+        graph.nodes.forEach(node => record(nodes, node.id, node, index));
+        graph.edges.forEach(edge => {
+            const id = `${edge.source}|${edge.target}|${edge.wayId ?? ''}|${edge.key ?? ''}`;
+            record(edges, id, edge, index);
+        });
+    });
+
+    const latest = ordered[ordered.length - 1].graph;
+    const withSpells = ({ item, spells }) => ({
+        ...item,
+        spells: spells.map(({ start, end }) => (end === null ? { start } : { start, end }))
+    });
+
+    return {
+        directed: latest.directed,
+        multigraph: latest.multigraph,
+        graph: { ...latest.graph, snapshots: ordered.map(s => s.date) },
+        nodes: [...nodes.values()].map(withSpells),
+        edges: [...edges.values()].map(withSpells)
+    };
+}
+
+// Edge colours for the GEXF, DOT and SVG exports (OSM Carto-like, darkened
+// for a white canvas); `_link` roads take the colour of their class
+const HIGHWAY_COLORS = {
+    motorway: [224, 97, 128],
+    trunk: [232, 120, 84],
+    primary: [217, 148, 38],
+    secondary: [166, 166, 36],
+    tertiary: [110, 150, 60],
+    residential: [120, 120, 120],
+    living_street: [140, 140, 170],
+    unclassified: [150, 130, 110],
+    service: [180, 180, 180],
+    pedestrian: [150, 150, 200],
+    footway: [250, 128, 114],
+    path: [200, 110, 90],
+    steps: [250, 90, 80],
+    cycleway: [60, 60, 240],
+    track: [160, 110, 40]
+};
+const DEFAULT_HIGHWAY_COLOR = [200, 200, 200];
+
+/**
+ * Projects a coordinate to spherical Web Mercator (EPSG:3857)
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {number[]} [x, y] in metres
+ */
+function webMercator(lat, lon) {
+    const R = 6378137;
+    const clamped = Math.max(-85.05112878, Math.min(85.05112878, lat));
+    return [R * toRad(lon), R * Math.log(Math.tan(Math.PI / 4 + toRad(clamped) / 2))];
+}
+
+/**
+ * Returns the UTM zone (1-60) of a longitude, without the Norway and
+ * Svalbard exceptions
+ * @param {number} lon - Longitude in degrees
+ * @returns {number} Zone number
+ */
+export function utmZone(lon) {
+    return Math.min(60, Math.max(1, Math.floor((lon + 180) / 6) + 1));
+}
+
+/**
+ * Projects a coordinate to UTM on WGS 84 (transverse Mercator series,
+ * millimetre accuracy within the zone)
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} zone - UTM zone
+ * @param {boolean} [south=lat < 0] - Use the southern hemisphere false northing
+ * @returns {number[]} [easting, northing] in metres
+ */
+export function projectUTM(lat, lon, zone, south = lat < 0) {
+    const a = 6378137;
+    const f = 1 / 298.257223563;
+    const k0 = 0.9996;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+
+    const phi = toRad(lat);
+    const sin = Math.sin(phi);
+    const cos = Math.cos(phi);
+    const tan = Math.tan(phi);
+    const N = a / Math.sqrt(1 - e2 * sin * sin);
+    const T = tan * tan;
+    const C = ep2 * cos * cos;
+    const A = cos * toRad(lon - ((zone - 1) * 6 - 177));
+    const M = a * (
+        (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256) * phi
+        - (3 * e2 / 8 + 3 * e2 ** 2 / 32 + 45 * e2 ** 3 / 1024) * Math.sin(2 * phi)
+        + (15 * e2 ** 2 / 256 + 45 * e2 ** 3 / 1024) * Math.sin(4 * phi)
+        - (35 * e2 ** 3 / 3072) * Math.sin(6 * phi)
+    );
+
+    const x = 500000 + k0 * N * (
+        A + (1 - T + C) * A ** 3 / 6
+        + (5 - 18 * T + T * T + 72 * C - 58 * ep2) * A ** 5 / 120
+    );
+    const y = k0 * (M + N * tan * (
+        A * A / 2
+        + (5 - T + 9 * C + 4 * C * C) * A ** 4 / 24
+        + (61 - 58 * T + T * T + 600 * C - 330 * ep2) * A ** 6 / 720
+    ));
+    return [x, south ? y + 10000000 : y];
+}
+
+/**
+ * Picks the UTM zone and hemisphere for a graph from the centre of its nodes
+ * and projects every node
+ * @param {Object[]} nodes - Nodes with lat/lon
+ * @returns {{zone: number, south: boolean, epsg: number, proj4: string,
+ *   points: number[][], bounds: {minLat, maxLat, minLon, maxLon}}} Projection
+ */
+function projectNodesUTM(nodes) {
+    let minLat = Infinity, maxLat = -Infinity, minLon = Infinity, maxLon = -Infinity;
+    for (const n of nodes) {
+        if (n.lat < minLat) minLat = n.lat;
+        if (n.lat > maxLat) maxLat = n.lat;
+        if (n.lon < minLon) minLon = n.lon;
+        if (n.lon > maxLon) maxLon = n.lon;
+    }
+    const zone = utmZone(nodes.length > 0 ? (minLon + maxLon) / 2 : 0);
+    const south = nodes.length > 0 && (minLat + maxLat) / 2 < 0;
+    return {
+        zone,
+        south,
+        epsg: (south ? 32700 : 32600) + zone,
+        proj4: `+proj=utm +zone=${zone}${south ? ' +south' : ''} +ellps=WGS84 +datum=WGS84 +units=m +no_defs`,
+        points: nodes.map(n => projectUTM(n.lat, n.lon, zone, south)),
+        bounds: { minLat, maxLat, minLon, maxLon }
+    };
+}
+
+/**
+ * Converts graph data to GEXF 1.3 for Gephi.
+ * Attribute declarations are typed like the GraphML ones. Nodes get a
+ * `viz:position` in Web Mercator metres relative to the centre of the graph,
+ * so Gephi shows the map layout; edges get a `viz:color` by highway class and
+ * carry `weight` as the GEXF edge weight (in multigraphs, `key` stays an
+ * attribute). Graphs whose nodes or edges carry `spells` (see
+ * `mergeSnapshots`) are written in dynamic mode with GEXF spells.
+ * @param {Object} graph - Graph data with nodes and edges
+ * @returns {string} GEXF formatted XML string
+ */
+export function convertToGEXF(graph) {
+    const nodeAttrs = collectAttributes(graph.nodes, BASE_NODE_ATTRS, ['id', 'spells']);
+    // `weight` is the GEXF edge weight rather than an attribute column
+    const edgeAttrs = collectAttributes(graph.edges, BASE_EDGE_ATTRS, ['source', 'target', 'spells'])
+        .filter(a => a.name !== 'weight');
+    const items = [...graph.nodes, ...graph.edges];
+    const dynamic = items.some(item => Array.isArray(item.spells));
+    const dates = items.flatMap(item => (item.spells || []).flatMap(s => [s.start, s.end]))
+        .filter(date => date !== undefined && date !== null);
+    const timeformat = dates.every(date => /^\d{4}-\d{2}-\d{2}$/.test(date)) ? 'date' : 'dateTime';
+
+    const projected = graph.nodes.map(n => webMercator(n.lat, n.lon));
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (const [x, y] of projected) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+    }
+    const centreX = (minX + maxX) / 2 || 0;
+    const centreY = (minY + maxY) / 2 || 0;
+
+    let gexf = `<?xml version="1.0" encoding="UTF-8"?>
+<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://gexf.net/1.3 http://gexf.net/1.3/gexf.xsd" version="1.3">
+    <meta>
+        <creator>OSM Graph Selector</creator>
+    </meta>
+`;
+    const mode = dynamic ? ` mode="dynamic" timeformat="${timeformat}"` : ' mode="static"';
+    gexf += `    <graph defaultedgetype="${graph.directed === false ? 'undirected' : 'directed'}"${mode}>\n`;
+
+    const declare = (attrs, domain) => {
+        gexf += `        <attributes class="${domain}">\n`;
+        attrs.forEach(a => {
+            gexf += `            <attribute id="${escapeXml(a.name)}" title="${escapeXml(a.name)}" type="${a.type}"/>\n`;
+        });
+        gexf += '        </attributes>\n';
+    };
+    declare(nodeAttrs, 'node');
+    declare(edgeAttrs, 'edge');
+
+    const writeContent = (item, attrs, indent) => {
+        const values = attrs.filter(a => {
+            const value = item[a.name];
+            return value !== null && value !== undefined && (value !== '' || a.type === 'string');
+        });
+        if (values.length > 0) {
+            gexf += `${indent}<attvalues>\n`;
+            values.forEach(a => {
+                gexf += `${indent}    <attvalue for="${escapeXml(a.name)}" value="${escapeXml(formatAttribute(item[a.name], a.name))}"/>\n`;
+            });
+            gexf += `${indent}</attvalues>\n`;
+        }
+        if (Array.isArray(item.spells) && item.spells.length > 0) {
+            gexf += `${indent}<spells>\n`;
+            item.spells.forEach(({ start, end }) => {
+                const bounds = [['start', start], ['end', end]]
+                    .filter(([, date]) => date !== undefined && date !== null)
+                    .map(([name, date]) => ` ${name}="${escapeXml(date)}"`)
+                    .join('');
+                gexf += `${indent}    <spell${bounds}/>\n`;
+            });
+            gexf += `${indent}</spells>\n`;
+        }
+    };
+
+    gexf += '        <nodes>\n';
+    graph.nodes.forEach((node, i) => {
+        const [x, y] = projected[i];
+        gexf += `            <node id="${escapeXml(node.id)}" label="${escapeXml(node.id)}">\n`;
+        writeContent(node, nodeAttrs, '                ');
+        gexf += `                <viz:position x="${(x - centreX).toFixed(2)}" y="${(y - centreY).toFixed(2)}" z="0.0"/>\n`;
+        gexf += '            </node>\n';
+    });
+    gexf += '        </nodes>\n';
+
+    gexf += '        <edges>\n';
+    graph.edges.forEach((edge, index) => {
+        const label = edge.name ? ` label="${escapeXml(edge.name)}"` : '';
+        const weight = typeof edge.weight === 'number' ? ` weight="${edge.weight}"` : '';
+        const highway = String(edge.highway || '').replace(/_link$/, '');
+        const [r, g, b] = HIGHWAY_COLORS[highway] || DEFAULT_HIGHWAY_COLOR;
+        gexf += `            <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}"${label}${weight}>\n`;
+        writeContent(edge, edgeAttrs, '                ');
+        gexf += `                <viz:color r="${r}" g="${g}" b="${b}"/>\n`;
+        gexf += '            </edge>\n';
+    });
+    gexf += '        </edges>\n';
+
+    gexf += '    </graph>\n</gexf>';
+    return gexf;
+}
+
+/**
+ * Pairs edges with an opposite edge, i.e. finds the two directions of two-way
+ * streets. Opposite edges of the same way are paired first; the rest pair by
+ * reversed endpoints and geometry, since a chain merged across ways keeps the
+ * first way's id in each direction. Each edge belongs to at most one pair.
+ * @param {Object[]} edges - Directed edges
+ * @returns {Map<number, number>} Index of the first edge of each pair -> index of the second
+ */
+function pairOppositeEdges(edges) {
+    const pairs = new Map();
+    const paired = new Set();
+    const interior = (edge, reversed) => {
+        if (!Array.isArray(edge.geometry)) return '';
+        const points = edge.geometry.slice(1, -1);
+        return JSON.stringify(reversed ? points.reverse() : points);
+    };
+
+    const pairBy = (key, reverseKey) => {
+        const unpaired = new Map();
+        edges.forEach((edge, index) => {
+            if (paired.has(index)) return;
+            if (edge.source !== edge.target) {
+                const waiting = unpaired.get(reverseKey(edge));
+                if (waiting && waiting.length > 0) {
+                    const first = waiting.shift();
+                    pairs.set(first, index);
+                    paired.add(first);
+                    paired.add(index);
+                    return;
+                }
+            }
+            const own = key(edge);
+            if (!unpaired.has(own)) unpaired.set(own, []);
+            unpaired.get(own).push(index);
+        });
+    };
+
+    pairBy(
+        edge => `${edge.source}|${edge.target}|${edge.wayId ?? ''}`,
+        edge => `${edge.target}|${edge.source}|${edge.wayId ?? ''}`
+    );
+    pairBy(
+        edge => `${edge.source}|${edge.target}|${interior(edge, false)}`,
+        edge => `${edge.target}|${edge.source}|${interior(edge, true)}`
+    );
+    return pairs;
+}
+
+// Edge pen widths for the DOT and SVG exports, by highway class
+const HIGHWAY_PEN_WIDTHS = {
+    motorway: 4,
+    trunk: 3.5,
+    primary: 3,
+    secondary: 2.5,
+    tertiary: 2,
+    residential: 1.5,
+    living_street: 1.5,
+    unclassified: 1.5,
+    service: 1
+};
+const DEFAULT_PEN_WIDTH = 0.75;
+
+// Graphviz attributes the DOT export sets itself; data attributes of the
+// same name are not written
+const DOT_STYLE_ATTRS = ['pos', 'color', 'penwidth', 'dir', 'shape'];
+
+/**
+ * Quotes a value as a DOT string. DOT parsers only unescape `\"`, so quotes
+ * are escaped and backslashes kept as they are, except that an odd run of
+ * backslashes before a quote or at the end gets one more so it cannot escape
+ * the quote. Line breaks become `\n`; other characters, including non-ASCII,
+ * are kept as UTF-8.
+ * @param {*} value - Value to quote
+ * @returns {string} Double-quoted DOT string
+ */
+function dotQuote(value) {
+    const str = String(value ?? '')
+        .replace(/\\+(?="|$)/g, run => run.length % 2 ? `${run}\\` : run)
+        .replace(/"/g, '\\"')
+        .replace(/\r?\n/g, '\\n');
+    return `"${str}"`;
+}
+
+/**
+ * Formats an attribute list for a DOT node or edge statement
+ * @param {Array<[string, *]>} attrs - [name, value] pairs
+ * @returns {string} e.g. ` [pos="1,2!", color="#ff0000"]`
+ */
+function dotAttributes(attrs) {
+    const list = attrs.map(([name, value]) => `${dotQuote(name)}=${dotQuote(value)}`);
+    return list.length > 0 ? ` [${list.join(', ')}]` : '';
+}
+
+/**
+ * Converts graph data to Graphviz DOT.
+ * Nodes are pinned with `pos="x,y!"` from a Web Mercator projection scaled to
+ * 10 inches, for rendering with `neato -n`. Edges are coloured and sized by
+ * highway class. In directed graphs, the two edges of a two-way street are
+ * merged into one `dir=both` edge carrying the attributes of the first, so
+ * only one-way edges get a single arrowhead. All other node and edge
+ * attributes are written as DOT attributes.
+ * @param {Object} graph - Graph data with nodes and edges
+ * @returns {string} DOT source
+ */
+export function convertToDOT(graph) {
+    const directed = graph.directed !== false;
+    const projected = graph.nodes.map(n => webMercator(n.lat, n.lon));
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (const [x, y] of projected) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+    }
+    // Graphviz positions are in points; the longer side spans 720 pt
+    const scale = 720 / (Math.max(maxX - minX, maxY - minY) || 1);
+
+    const lines = [
+        `${directed ? 'digraph' : 'graph'} "osm" {`,
+        '    graph [outputorder="edgesfirst"];',
+        '    node [shape="point", width="0.04"];',
+        '    edge [arrowsize="0.4"];'
+    ];
+
+    graph.nodes.forEach((node, i) => {
+        const [x, y] = projected[i];
+        const pos = `${((x - minX) * scale).toFixed(2)},${((y - minY) * scale).toFixed(2)}!`;
+        const data = Object.entries(node)
+            .filter(([name, value]) => name !== 'id' && !DOT_STYLE_ATTRS.includes(name) && value !== null && value !== undefined)
+            .map(([name, value]) => [name, formatAttribute(value, name)]);
+        lines.push(`    ${dotQuote(node.id)}${dotAttributes([['pos', pos], ...data])};`);
+    });
+
+    // Two-way pairs are drawn once, as the first edge of the pair
+    const pairs = directed ? pairOppositeEdges(graph.edges) : new Map();
+    const merged = new Set(pairs.values());
+
+    const arrow = directed ? '->' : '--';
+    graph.edges.forEach((edge, index) => {
+        if (merged.has(index)) return;
+        const highway = String(edge.highway || '').replace(/_link$/, '');
+        const [r, g, b] = HIGHWAY_COLORS[highway] || DEFAULT_HIGHWAY_COLOR;
+        const color = '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+        const style = [
+            ['color', color],
+            ['penwidth', HIGHWAY_PEN_WIDTHS[highway] ?? DEFAULT_PEN_WIDTH]
+        ];
+        if (pairs.has(index)) style.push(['dir', 'both']);
+        const data = Object.entries(edge)
+            .filter(([name, value]) => !['source', 'target', ...DOT_STYLE_ATTRS].includes(name) && value !== null && value !== undefined)
+            .map(([name, value]) => [name, formatAttribute(value, name)]);
+        lines.push(`    ${dotQuote(edge.source)} ${arrow} ${dotQuote(edge.target)}${dotAttributes([...style, ...data])};`);
+    });
+
+    lines.push('}');
+    return lines.join('\n');
+}
+
+/**
+ * Escapes a value for CSV output (RFC 4180)
+ * @param {*} value - Value to escape
+ * @returns {string} CSV-safe string
+ */
+function csvEscape(value) {
+    const str = String(value ?? '');
+    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+        return '"' + str.replace(/"/g, '""') + '"';
+    }
+    return str;
+}
+
+/**
+ * Converts graph data to CSV edge list format.
+ * The header holds source, target (and key, in multigraphs) and the base edge
+ * attributes, followed by every other edge attribute present (e.g. travel
+ * time, retained OSM tags). Edge geometries are written as WKT LineStrings.
+ * @param {Object} graph - Graph data with nodes and edges
+ * @returns {string} CSV string with header row
+ */
+export function convertToCSV(graph) {
+    const baseOrder = ['weight', 'highway', 'name', 'wayId'];
+    const ends = graph.multigraph ? ['source', 'target', 'key'] : ['source', 'target'];
+    const columns = collectAttributes(graph.edges, BASE_EDGE_ATTRS, ends)
+        .map(a => a.name)
+        .sort((a, b) => {
+            const ia = baseOrder.indexOf(a);
+            const ib = baseOrder.indexOf(b);
+            return (ia < 0 ? baseOrder.length : ia) - (ib < 0 ? baseOrder.length : ib);
+        });
+
+    const header = [...ends, ...columns].map(csvEscape).join(',');
+    const rows = graph.edges.map(edge =>
+        [
+            ...ends.map(name => csvEscape(edge[name])),
+            ...columns.map(name => csvEscape(formatAttribute(edge[name], name)))
+        ].join(',')
+    );
+    return [header, ...rows].join('\n');
+}
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum used by ZIP
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned checksum
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Packs files into an uncompressed ZIP archive, for exports that consist of
+ * several files. Entries are dated 1980-01-01 so the same files give the same
+ * archive.
+ * @param {Array<{name: string, data: string|Uint8Array}>} files - Files; strings are written as UTF-8
+ * @returns {Uint8Array} ZIP archive
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const entries = files.map(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        return { name, data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    const zip = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(zip.buffer);
+    const DOS_DATE = 0x21; // 1980-01-01
+    const UTF8_NAMES = 0x0800;
+
+    let offset = 0;
+    const offsets = [];
+    for (const e of entries) {
+        offsets.push(offset);
+        view.setUint32(offset, 0x04034B50, true);
+        view.setUint16(offset + 4, 20, true);
+        view.setUint16(offset + 6, UTF8_NAMES, true);
+        view.setUint16(offset + 8, 0, true); // stored
+        view.setUint16(offset + 10, 0, true);
+        view.setUint16(offset + 12, DOS_DATE, true);
+        view.setUint32(offset + 14, e.crc, true);
+        view.setUint32(offset + 18, e.data.length, true);
+        view.setUint32(offset + 22, e.data.length, true);
+        view.setUint16(offset + 26, e.name.length, true);
+        view.setUint16(offset + 28, 0, true);
+        zip.set(e.name, offset + 30);
+        zip.set(e.data, offset + 30 + e.name.length);
+        offset += 30 + e.name.length + e.data.length;
+    }
+
+    const centralStart = offset;
+    entries.forEach((e, i) => {
+        view.setUint32(offset, 0x02014B50, true);
+        view.setUint16(offset + 4, 20, true);
+        view.setUint16(offset + 6, 20, true);
+        view.setUint16(offset + 8, UTF8_NAMES, true);
+        view.setUint16(offset + 10, 0, true);
+        view.setUint16(offset + 12, 0, true);
+        view.setUint16(offset + 14, DOS_DATE, true);
+        view.setUint32(offset + 16, e.crc, true);
+        view.setUint32(offset + 20, e.data.length, true);
+        view.setUint32(offset + 24, e.data.length, true);
+        view.setUint16(offset + 28, e.name.length, true);
+        // extra, comment, disk, internal and external attributes stay 0
+        view.setUint32(offset + 42, offsets[i], true);
+        zip.set(e.name, offset + 46);
+        offset += 46 + e.name.length;
+    });
+
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, centralStart, true);
+    return zip;
+}
+
+// Neo4j import types for the inferred attribute types
+const NEO4J_TYPES = { boolean: 'boolean', long: 'long', double: 'float', string: 'string' };
+const NEO4J_CYPHER_CASTS = { boolean: 'toBoolean', long: 'toInteger', float: 'toFloat' };
+
+/**
+ * Quotes a property name for Cypher when it is not a plain identifier
+ * @param {string} name - Property name
+ * @returns {string} Name, backquoted if needed
+ */
+function cypherName(name) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : '`' + name.replace(/`/g, '``') + '`';
+}
+
+/**
+ * Converts graph data to a `neo4j-admin database import` bundle: a node CSV
+ * (`id:ID`, typed attribute columns, `:LABEL`) and a relationship CSV
+ * (`:START_ID`, `:END_ID`, `:TYPE`, typed attribute columns). Every property
+ * column carries its type, so OSM tag names with colons stay intact. Nodes
+ * are labelled `OSMNode`, edges typed `ROAD_SEGMENT`; ids are stored as
+ * strings, as the import tool does. Optionally adds a Cypher `LOAD CSV`
+ * script that builds the same graph in a running database.
+ * @param {Object} graph - Graph data with nodes and edges
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.cypher=false] - Include the Cypher script
+ * @returns {{nodes: string, relationships: string, cypher?: string}} File contents
+ */
+export function convertToNeo4j(graph, options = {}) {
+    const typed = attrs => attrs.map(a => ({ ...a, type: NEO4J_TYPES[a.type] || 'string' }));
+    const nodeAttrs = typed(collectAttributes(graph.nodes, BASE_NODE_ATTRS, ['id']));
+    const edgeAttrs = typed(collectAttributes(graph.edges, BASE_EDGE_ATTRS, ['source', 'target']));
+    const header = attrs => attrs.map(a => csvEscape(`${a.name}:${a.type}`));
+    const values = (item, attrs) => attrs.map(a => csvEscape(formatAttribute(item[a.name], a.name)));
+
+    const nodes = [
+        ['id:ID', ...header(nodeAttrs), ':LABEL'].join(','),
+        ...graph.nodes.map(node => [csvEscape(node.id), ...values(node, nodeAttrs), 'OSMNode'].join(','))
+    ].join('\n') + '\n';
+
+    const relationships = [
+        [':START_ID', ':END_ID', ':TYPE', ...header(edgeAttrs)].join(','),
+        ...graph.edges.map(edge =>
+            [csvEscape(edge.source), csvEscape(edge.target), 'ROAD_SEGMENT', ...values(edge, edgeAttrs)].join(','))
+    ].join('\n') + '\n';
+
+    if (!options.cypher) return { nodes, relationships };
+
+    const properties = attrs => attrs.map(a => {
+        const column = `row.${cypherName(`${a.name}:${a.type}`)}`;
+        const cast = NEO4J_CYPHER_CASTS[a.type];
+        return `${cypherName(a.name)}: ${cast ? `${cast}(${column})` : column}`;
+    }).join(', ');
+
+    const cypher = `// Builds the graph from osm-graph-nodes.csv and osm-graph-relationships.csv
+// in Neo4j's import directory. Run with cypher-shell, or prefix each
+// statement with :auto in Neo4j Browser.
+CREATE CONSTRAINT osm_node_id IF NOT EXISTS FOR (n:OSMNode) REQUIRE n.id IS UNIQUE;
+
+LOAD CSV WITH HEADERS FROM 'file:///osm-graph-nodes.csv' AS row
+CALL {
+    WITH row
+    CREATE (:OSMNode {id: row.\`id:ID\`, ${properties(nodeAttrs)}})
+} IN TRANSACTIONS OF 1000 ROWS;
+
+LOAD CSV WITH HEADERS FROM 'file:///osm-graph-relationships.csv' AS row
+CALL {
+    WITH row
+    MATCH (a:OSMNode {id: row.\`:START_ID\`}), (b:OSMNode {id: row.\`:END_ID\`})
+    CREATE (a)-[:ROAD_SEGMENT {${properties(edgeAttrs)}}]->(b)
+} IN TRANSACTIONS OF 1000 ROWS;
+`;
+    return { nodes, relationships, cypher };
+}
+
+export const DIMACS_WEIGHTS = ['distance', 'time'];
+
+/**
+ * Converts graph data to the 9th DIMACS Implementation Challenge format:
+ * a `.gr` arc file, a `.co` coordinate file (degrees × 10^6) and a CSV mapping
+ * the 1-based DIMACS node ids back to graph node ids. Arc weights are
+ * integers, at least 1: metres for 'distance', deciseconds for 'time'.
+ * Undirected graphs get an arc in each direction.
+ * @param {Object} graph - Graph data with nodes and edges
+ * @param {Object} [options] - Export options
+ * @param {string} [options.weight='distance'] - 'distance' (metres) or 'time' (deciseconds)
+ * @returns {{gr: string, co: string, ids: string}} File contents
+ * @throws {Error} If the weight is unknown, or a node lacks coordinates or an edge its weight
+ */
+export function convertToDIMACS(graph, options = {}) {
+    const { weight = 'distance' } = options;
+    if (!DIMACS_WEIGHTS.includes(weight)) {
+        throw new Error(`Unknown DIMACS weight: ${weight}`);
+    }
+
+    const dimacsId = new Map();
+    graph.nodes.forEach((node, i) => dimacsId.set(node.id, i + 1));
+
+    const arcs = [];
+    for (const edge of graph.edges) {
+        const u = dimacsId.get(edge.source);
+        const v = dimacsId.get(edge.target);
+        if (u === undefined || v === undefined) continue;
+        const value = weight === 'time' ? edge.travel_time * 10 : edge.weight * 1000;
+        if (!Number.isFinite(value)) {
+            throw new Error(`Edge ${edge.source}->${edge.target} has no ${weight === 'time' ? 'travel_time' : 'weight'}`);
+        }
+        const w = Math.max(1, Math.round(value));
+        arcs.push(`a ${u} ${v} ${w}`);
+        if (graph.directed === false) arcs.push(`a ${v} ${u} ${w}`);
+    }
+
+    const unit = weight === 'time' ? 'travel time in deciseconds' : 'distance in metres';
+    const gr = [
+        'c 9th DIMACS Implementation Challenge: Shortest Paths',
+        `c OSM road graph, arc weights: ${unit}`,
+        `p sp ${graph.nodes.length} ${arcs.length}`,
+        ...arcs
+    ].join('\n') + '\n';
+
+    const coords = graph.nodes.map((node, i) => {
+        if (!Number.isFinite(node.lat) || !Number.isFinite(node.lon)) {
+            throw new Error(`Node ${node.id} has no coordinates`);
+        }
+        return `v ${i + 1} ${Math.round(node.lon * 1e6)} ${Math.round(node.lat * 1e6)}`;
+    });
+    const co = [
+        'c 9th DIMACS Implementation Challenge: Shortest Paths',
+        'c OSM road graph, coordinates: longitude and latitude in millionths of a degree',
+        `p aux sp co ${graph.nodes.length}`,
+        ...coords
+    ].join('\n') + '\n';
+
+    const ids = ['dimacs_id,node_id', ...graph.nodes.map((node, i) => `${i + 1},${csvEscape(node.id)}`)]
+        .join('\n') + '\n';
+
+    return { gr, co, ids };
+}
+
+/**
+ * Names edges like SUMO does: way id and segment number (`10#0`), with the
+ * opposite direction of a two-way street prefixed by `-` (`-10#0`)
+ * @param {Object[]} edges - Directed edges
+ * @param {Map<number, number>} pairs - Two-way pairs from pairOppositeEdges
+ * @returns {Map<number, string>} Edge index -> id
+ */
+function segmentEdgeIds(edges, pairs) {
+    const ids = new Map();
+    const segments = new Map();
+    edges.forEach((edge, index) => {
+        if (ids.has(index)) return;
+        const base = edge.wayId ?? 'e';
+        const n = segments.get(base) ?? 0;
+        segments.set(base, n + 1);
+        ids.set(index, `${base}#${n}`);
+        if (pairs.has(index)) ids.set(pairs.get(index), `-${base}#${n}`);
+    });
+    return ids;
+}
+
+/**
+ * Lanes of one direction from a retained `lanes` tag, which counts both
+ * directions of a two-way street
+ * @param {Object} edge - Graph edge
+ * @param {boolean} twoWay - Whether the edge has an opposite edge
+ * @returns {number|null} Lane count, or null without a usable tag
+ */
+function edgeLanes(edge, twoWay) {
+    const lanes = parseInt(edge.lanes, 10);
+    if (!(lanes > 0)) return null;
+    return twoWay ? Math.max(1, Math.floor(lanes / 2)) : lanes;
+}
+
+// SUMO edge types by highway class: junction priority, default lanes per
+// direction and the vehicle classes of footways and cycleways, following
+// SUMO's own osmNetconvert type map. Speeds come from DEFAULT_HIGHWAY_SPEEDS.
+const SUMO_TYPES = {
+    motorway: { priority: 14, numLanes: 2, disallow: 'pedestrian bicycle' },
+    motorway_link: { priority: 9, numLanes: 1, disallow: 'pedestrian bicycle' },
+    trunk: { priority: 13, numLanes: 2, disallow: 'pedestrian bicycle' },
+    trunk_link: { priority: 8, numLanes: 1, disallow: 'pedestrian bicycle' },
+    primary: { priority: 12, numLanes: 2 },
+    primary_link: { priority: 7, numLanes: 1 },
+    secondary: { priority: 11, numLanes: 1 },
+    secondary_link: { priority: 6, numLanes: 1 },
+    tertiary: { priority: 10, numLanes: 1 },
+    tertiary_link: { priority: 5, numLanes: 1 },
+    unclassified: { priority: 5, numLanes: 1 },
+    residential: { priority: 4, numLanes: 1 },
+    living_street: { priority: 3, numLanes: 1 },
+    service: { priority: 2, numLanes: 1 },
+    track: { priority: 1, numLanes: 1 },
+    busway: { priority: 4, numLanes: 1, allow: 'bus' },
+    cycleway: { priority: 1, numLanes: 1, allow: 'bicycle' },
+    pedestrian: { priority: 1, numLanes: 1, allow: 'pedestrian' },
+    footway: { priority: 1, numLanes: 1, allow: 'pedestrian' },
+    path: { priority: 1, numLanes: 1, allow: 'pedestrian bicycle' },
+    steps: { priority: 1, numLanes: 1, allow: 'pedestrian' }
+};
+const DEFAULT_SUMO_TYPE = { priority: 1, numLanes: 1 };
+
+/**
+ * Converts graph data to SUMO plain XML: node, edge and type files for
+ * `netconvert`. Nodes are projected to UTM and shifted to the origin; the
+ * `<location>` element keeps the georeference. Each highway class becomes a
+ * `highway.*` edge type; edges override its speed with `speed_kph` and its
+ * lane count with a retained `lanes` tag (split between the two directions of
+ * a two-way street). The two directions of a two-way street become opposite
+ * edges `X` and `-X` laid out right of the centre line; one-way edges are
+ * centred on it.
+ * @param {Object} graph - Graph data with nodes and edges
+ * @returns {{nodes: string, edges: string, types: string}} File contents
+ */
+export function convertToSUMO(graph) {
+    const projection = projectNodesUTM(graph.nodes);
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (const [x, y] of projection.points) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+    }
+    if (graph.nodes.length === 0) minX = maxX = minY = maxY = 0;
+    const local = (lat, lon) => {
+        const [x, y] = projectUTM(lat, lon, projection.zone, projection.south);
+        return `${(x - minX).toFixed(2)},${(y - minY).toFixed(2)}`;
+    };
+    const { minLat, maxLat, minLon, maxLon } = projection.bounds;
+    const nodeById = new Map(graph.nodes.map(n => [n.id, n]));
+
+    let nodes = `<?xml version="1.0" encoding="UTF-8"?>
+<nodes xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="http://sumo.dlr.de/xsd/nodes_file.xsd">
+`;
+    if (graph.nodes.length > 0) {
+        nodes += `    <location netOffset="${(-minX).toFixed(2)},${(-minY).toFixed(2)}" convBoundary="0.00,0.00,${(maxX - minX).toFixed(2)},${(maxY - minY).toFixed(2)}" origBoundary="${minLon},${minLat},${maxLon},${maxLat}" projParameter="${projection.proj4}"/>\n`;
+    }
+    graph.nodes.forEach((node, i) => {
+        const [x, y] = projection.points[i];
+        nodes += `    <node id="${escapeXml(node.id)}" x="${(x - minX).toFixed(2)}" y="${(y - minY).toFixed(2)}"/>\n`;
+    });
+    nodes += '</nodes>\n';
+
+    const pairs = pairOppositeEdges(graph.edges);
+    const partner = new Map();
+    for (const [first, second] of pairs) {
+        partner.set(first, second);
+        partner.set(second, first);
+    }
+
+    const ids = segmentEdgeIds(graph.edges, pairs);
+
+    const usedTypes = new Set();
+    let edges = `<?xml version="1.0" encoding="UTF-8"?>
+<edges xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="http://sumo.dlr.de/xsd/edges_file.xsd">
+`;
+    graph.edges.forEach((edge, index) => {
+        if (!nodeById.has(edge.source) || !nodeById.has(edge.target)) return;
+        const highway = edge.highway || 'road';
+        usedTypes.add(highway);
+        const twoWay = partner.has(index);
+
+        const attrs = [
+            ['id', ids.get(index)],
+            ['from', edge.source],
+            ['to', edge.target],
+            ['type', `highway.${highway}`]
+        ];
+        const lanes = edgeLanes(edge, twoWay);
+        if (lanes !== null) attrs.push(['numLanes', lanes]);
+        if (typeof edge.speed_kph === 'number') {
+            attrs.push(['speed', (edge.speed_kph / 3.6).toFixed(2)]);
+        }
+        if (edge.name) attrs.push(['name', edge.name]);
+        if (Array.isArray(edge.geometry) && edge.geometry.length > 2) {
+            attrs.push(['shape', edge.geometry.map(([lon, lat]) => local(lat, lon)).join(' ')]);
+        }
+        if (!twoWay) attrs.push(['spreadType', 'center']);
+
+        edges += `    <edge ${attrs.map(([name, value]) => `${name}="${escapeXml(value)}"`).join(' ')}/>\n`;
+    });
+    edges += '</edges>\n';
+
+    let types = `<?xml version="1.0" encoding="UTF-8"?>
+<types xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:noNamespaceSchemaLocation="http://sumo.dlr.de/xsd/types_file.xsd">
+`;
+    for (const highway of usedTypes) {
+        const type = SUMO_TYPES[highway] || DEFAULT_SUMO_TYPE;
+        const speed = (DEFAULT_HIGHWAY_SPEEDS[highway] ?? FALLBACK_SPEED) / 3.6;
+        const access = type.allow ? ` allow="${type.allow}"` : type.disallow ? ` disallow="${type.disallow}"` : '';
+        types += `    <type id="highway.${escapeXml(highway)}" priority="${type.priority}" numLanes="${type.numLanes}" speed="${speed.toFixed(2)}"${access}/>\n`;
+    }
+    types += '</types>\n';
+
+    return { nodes, edges, types };
+}
+
+/**
+ * MATSim link defaults per highway class: lanes per direction and capacity
+ * in vehicles per hour and lane, after MATSim's OSM network reader. Can be
+ * overridden via convertToMATSim options.
+ */
+export const MATSIM_LINK_DEFAULTS = {
+    motorway: { lanes: 2, capacity: 2000 },
+    motorway_link: { lanes: 1, capacity: 1500 },
+    trunk: { lanes: 1, capacity: 2000 },
+    trunk_link: { lanes: 1, capacity: 1500 },
+    primary: { lanes: 1, capacity: 1500 },
+    primary_link: { lanes: 1, capacity: 1500 },
+    secondary: { lanes: 1, capacity: 1000 },
+    secondary_link: { lanes: 1, capacity: 1000 },
+    tertiary: { lanes: 1, capacity: 600 },
+    tertiary_link: { lanes: 1, capacity: 600 },
+    unclassified: { lanes: 1, capacity: 600 },
+    residential: { lanes: 1, capacity: 600 },
+    living_street: { lanes: 1, capacity: 300 },
+    service: { lanes: 1, capacity: 300 },
+    road: { lanes: 1, capacity: 600 },
+    track: { lanes: 1, capacity: 100 },
+    busway: { lanes: 1, capacity: 600 }
+};
+
+// Link defaults for highway classes missing from the table (paths, cycleways, ...)
+const FALLBACK_MATSIM_LINK = { lanes: 1, capacity: 300 };
+
+// Network modes allowed by each highway class before access tags are applied
+const MATSIM_MODES = {
+    motorway: ['car'],
+    motorway_link: ['car'],
+    trunk: ['car'],
+    trunk_link: ['car'],
+    living_street: ['car', 'bike', 'walk'],
+    busway: ['bus'],
+    cycleway: ['bike'],
+    path: ['bike', 'walk'],
+    footway: ['walk'],
+    pedestrian: ['walk'],
+    steps: ['walk']
+};
+const DEFAULT_MATSIM_MODES = ['car', 'bike'];
+
+// Access tags that add or remove a mode when retained on the edge
+const MODE_ACCESS_TAGS = {
+    car: ['motor_vehicle', 'motorcar'],
+    bike: ['bicycle'],
+    walk: ['foot']
+};
+
+/**
+ * Converts graph data to a MATSim network (network_v2 DTD). Nodes are
+ * projected to the UTM zone of the graph's centre; the CRS is written as the
+ * network attribute `coordinateReferenceSystem`. Links get their length from
+ * `weight`, freespeed from `speed_kph`, permlanes from a retained `lanes` tag
+ * or the class default, capacity as lanes times the class capacity per lane,
+ * and modes from the highway class, adjusted by retained access tags
+ * (`bicycle`, `foot`, `motor_vehicle`, `motorcar`).
+ * @param {Object} graph - Graph data with nodes and edges
+ * @param {Object} [options] - Export options
+ * @param {Object} [options.linkDefaults] - Per-class `{lanes, capacity}`
+ *   merged over MATSIM_LINK_DEFAULTS
+ * @returns {string} network.xml content
+ */
+export function convertToMATSim(graph, options = {}) {
+    const linkDefaults = { ...MATSIM_LINK_DEFAULTS };
+    for (const [highway, values] of Object.entries(options.linkDefaults || {})) {
+        linkDefaults[highway] = { ...(linkDefaults[highway] || FALLBACK_MATSIM_LINK), ...values };
+    }
+
+    const projection = projectNodesUTM(graph.nodes);
+    const nodeById = new Map(graph.nodes.map(n => [n.id, n]));
+    const pairs = pairOppositeEdges(graph.edges);
+    const twoWay = new Set([...pairs.keys(), ...pairs.values()]);
+    const ids = segmentEdgeIds(graph.edges, pairs);
+
+    let xml = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE network SYSTEM "http://www.matsim.org/files/dtd/network_v2.dtd">
+<network>
+    <attributes>
+        <attribute name="coordinateReferenceSystem" class="java.lang.String">EPSG:${projection.epsg}</attribute>
+    </attributes>
+    <nodes>
+`;
+    graph.nodes.forEach((node, i) => {
+        const [x, y] = projection.points[i];
+        xml += `        <node id="${escapeXml(node.id)}" x="${x.toFixed(2)}" y="${y.toFixed(2)}"/>\n`;
+    });
+    xml += '    </nodes>\n';
+    xml += '    <links capperiod="01:00:00" effectivecellsize="7.5" effectivelanewidth="3.75">\n';
+
+    graph.edges.forEach((edge, index) => {
+        if (!nodeById.has(edge.source) || !nodeById.has(edge.target)) return;
+        const highway = edge.highway || 'road';
+        const defaults = linkDefaults[highway] || FALLBACK_MATSIM_LINK;
+        const lanes = edgeLanes(edge, twoWay.has(index)) ?? defaults.lanes;
+        const speed = typeof edge.speed_kph === 'number'
+            ? edge.speed_kph
+            : DEFAULT_HIGHWAY_SPEEDS[highway] ?? FALLBACK_SPEED;
+
+        const modes = new Set(MATSIM_MODES[highway] || DEFAULT_MATSIM_MODES);
+        for (const [mode, keys] of Object.entries(MODE_ACCESS_TAGS)) {
+            for (const key of keys) {
+                if (edge[key] === undefined) continue;
+                if (DENIED_ACCESS.includes(edge[key])) modes.delete(mode);
+                else if (GRANTED_ACCESS.includes(edge[key])) modes.add(mode);
+            }
+        }
+
+        xml += `        <link id="${escapeXml(ids.get(index))}" from="${escapeXml(edge.source)}" to="${escapeXml(edge.target)}"` +
+            ` length="${(edge.weight * 1000).toFixed(2)}" freespeed="${(speed / 3.6).toFixed(2)}"` +
+            ` capacity="${(lanes * defaults.capacity).toFixed(1)}" permlanes="${lanes.toFixed(1)}"` +
+            ` oneway="1" modes="${[...modes].join(',')}">\n`;
+        xml += '            <attributes>\n';
+        if (edge.wayId !== undefined) {
+            xml += `                <attribute name="osm:way:id" class="java.lang.Long">${escapeXml(edge.wayId)}</attribute>\n`;
+        }
+        xml += `                <attribute name="osm:way:highway" class="java.lang.String">${escapeXml(highway)}</attribute>\n`;
+        if (edge.name) {
+            xml += `                <attribute name="osm:way:name" class="java.lang.String">${escapeXml(edge.name)}</attribute>\n`;
+        }
+        xml += '            </attributes>\n';
+        xml += '        </link>\n';
+    });
+
+    xml += '    </links>\n</network>\n';
+    return xml;
+}
+
+/**
+ * Highway classes of the one-hot edge encoding in ML exports. The list is
+ * fixed so that encodings agree across exports; classes not in it count as
+ * `other`. Never reorder it.
+ */
+export const HIGHWAY_VOCABULARY = [
+    'motorway', 'motorway_link', 'trunk', 'trunk_link', 'primary', 'primary_link',
+    'secondary', 'secondary_link', 'tertiary', 'tertiary_link', 'unclassified',
+    'residential', 'living_street', 'service', 'road', 'track', 'busway',
+    'cycleway', 'path', 'footway', 'pedestrian', 'steps', 'other'
+];
+
+// Node attributes that are bookkeeping rather than features
+const NON_FEATURE_NODE_ATTRS = ['id', 'lat', 'lon', 'osmids', 'weak_component', 'strong_component', 'spells'];
+
+/**
+ * Builds ML-ready arrays from a graph, with nodes renumbered 0..N-1 in graph
+ * order:
+ * - `node_ids`: graph node id of each index (int64, or str for non-integer ids)
+ * - `edge_index`: [2, E] int64 source and target indices; undirected graphs
+ *   list each edge in both directions
+ * - `pos`: [N, 2] float64 lat and lon, since float32 loses about a decimetre
+ * - `x`: [N, F] float32 node features: lat, lon, degree, then every other
+ *   node attribute (numbers as is, booleans as 0/1, strings as 1 when set;
+ *   NaN when missing), named in `node_feature_names`
+ * - `edge_attr`: [E, 1 + V] float32 edge features: weight (km), then a
+ *   one-hot highway encoding over `highway_vocabulary`, named in
+ *   `edge_feature_names`
+ * Each array is `{dtype, shape, data}` with `data` flat in row-major order.
+ * JSON has no NaN, so `JSON.stringify` writes missing values as `null`.
+ * @param {Object} graph - Graph data with nodes and edges
+ * @param {Object} [options] - Export options
+ * @param {string[]} [options.vocabulary=HIGHWAY_VOCABULARY] - Highway classes,
+ *   e.g. from an earlier export; `other` is appended if missing
+ * @returns {Object<string, {dtype: string, shape: number[], data: Array}>} Named arrays
+ */
+export function buildTensors(graph, options = {}) {
+    const vocabulary = [...(options.vocabulary || HIGHWAY_VOCABULARY)];
+    if (!vocabulary.includes('other')) vocabulary.push('other');
+    const slot = new Map(vocabulary.map((name, i) => [name, i]));
+
+    const index = new Map(graph.nodes.map((node, i) => [node.id, i]));
+    const undirected = graph.directed === false;
+    const sources = [];
+    const targets = [];
+    const edgeRows = [];
+    const degree = new Array(graph.nodes.length).fill(0);
+
+    for (const edge of graph.edges) {
+        const u = index.get(edge.source);
+        const v = index.get(edge.target);
+        if (u === undefined || v === undefined) continue;
+        const row = new Array(1 + vocabulary.length).fill(0);
+        row[0] = typeof edge.weight === 'number' ? edge.weight : NaN;
+        row[1 + (slot.get(edge.highway) ?? slot.get('other'))] = 1;
+
+        sources.push(u);
+        targets.push(v);
+        edgeRows.push(row);
+        if (undirected) {
+            sources.push(v);
+            targets.push(u);
+            edgeRows.push(row);
+        }
+        degree[u]++;
+        degree[v]++;
+    }
+
+    const extra = [];
+    for (const node of graph.nodes) {
+        for (const name of Object.keys(node)) {
+            if (!NON_FEATURE_NODE_ATTRS.includes(name) && !extra.includes(name)) extra.push(name);
+        }
+    }
+    const feature = value => {
+        if (value === null || value === undefined || value === '') return NaN;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        const number = Number(value);
+        if (typeof value === 'number' || Number.isFinite(number)) return number;
+        return 1;
+    };
+    const nodeRows = graph.nodes.map((node, i) =>
+        [node.lat, node.lon, degree[i], ...extra.map(name => feature(node[name]))]);
+
+    const integerIds = graph.nodes.every(node => Number.isSafeInteger(node.id));
+    const nodeFeatureNames = ['lat', 'lon', 'degree', ...extra];
+    const edgeFeatureNames = ['weight', ...vocabulary.map(name => `highway=${name}`)];
+
+    return {
+        node_ids: {
+            dtype: integerIds ? 'int64' : 'str',
+            shape: [graph.nodes.length],
+            data: graph.nodes.map(node => (integerIds ? node.id : String(node.id)))
+        },
+        edge_index: { dtype: 'int64', shape: [2, sources.length], data: [...sources, ...targets] },
+        pos: { dtype: 'float64', shape: [graph.nodes.length, 2], data: graph.nodes.flatMap(node => [node.lat, node.lon]) },
+        x: { dtype: 'float32', shape: [nodeRows.length, nodeFeatureNames.length], data: nodeRows.flat() },
+        edge_attr: { dtype: 'float32', shape: [edgeRows.length, edgeFeatureNames.length], data: edgeRows.flat() },
+        node_feature_names: { dtype: 'str', shape: [nodeFeatureNames.length], data: nodeFeatureNames },
+        edge_feature_names: { dtype: 'str', shape: [edgeFeatureNames.length], data: edgeFeatureNames },
+        highway_vocabulary: { dtype: 'str', shape: [vocabulary.length], data: vocabulary }
+    };
+}
+
+/**
+ * Encodes an array from buildTensors as a NumPy .npy file (format 1.0,
+ * little-endian; strings as fixed-width UTF-32)
+ * @param {{dtype: string, shape: number[], data: Array}} array - Array
+ * @returns {Uint8Array} .npy file
+ */
+function encodeNPY({ dtype, shape, data }) {
+    const chars = dtype === 'str' ? data.map(value => Array.from(String(value))) : [];
+    const width = chars.reduce((max, c) => Math.max(max, c.length), 1);
+    const descr = { int64: '<i8', float64: '<f8', float32: '<f4', str: `<U${width}` }[dtype];
+    const itemSize = { int64: 8, float64: 8, float32: 4, str: 4 * width }[dtype];
+    const shapeText = shape.length === 1 ? `(${shape[0]},)` : `(${shape.join(', ')})`;
+
+    // The header is padded with spaces so the data starts 64-byte aligned
+    let header = `{'descr': '${descr}', 'fortran_order': False, 'shape': ${shapeText}, }`;
+    header += ' '.repeat(63 - ((10 + header.length) % 64)) + '\n';
+
+    const bytes = new Uint8Array(10 + header.length + itemSize * data.length);
+    const view = new DataView(bytes.buffer);
+    bytes.set([0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0]); // \x93NUMPY, version 1.0
+    view.setUint16(8, header.length, true);
+    for (let i = 0; i < header.length; i++) bytes[10 + i] = header.charCodeAt(i);
+
+    let offset = 10 + header.length;
+    data.forEach((value, i) => {
+        if (dtype === 'int64') {
+            view.setBigInt64(offset, BigInt(value), true);
+        } else if (dtype === 'float64') {
+            view.setFloat64(offset, value, true);
+        } else if (dtype === 'float32') {
+            view.setFloat32(offset, value, true);
+        } else {
+            chars[i].forEach((c, j) => view.setUint32(offset + 4 * j, c.codePointAt(0), true));
+        }
+        offset += itemSize;
+    });
+    return bytes;
+}
+
+/**
+ * Packs arrays from buildTensors into a NumPy .npz archive
+ * (`numpy.load("osm-graph-ml.npz")`)
+ * @param {Object} tensors - Named arrays from buildTensors
+ * @returns {Uint8Array} .npz file
+ */
+export function convertToNPZ(tensors) {
+    return createZip(Object.entries(tensors).map(([name, array]) => ({
+        name: `${name}.npy`,
+        data: encodeNPY(array)
+    })));
+}
+
+export const GEOJSON_LAYERS = ['all', 'nodes', 'edges'];
+
+/**
+ * Converts graph data to a GeoJSON FeatureCollection (RFC 7946: WGS 84,
+ * [lon, lat] order). Nodes become Point features and edges LineString
+ * features along their `geometry` (or straight between their end nodes);
+ * all attributes become properties, edges keeping `source` and `target`.
+ * @param {Object} graph - Graph data with nodes and edges
+ * @param {Object} [options] - Export options
+ * @param {string} [options.layer='all'] - Features to write: 'all', 'nodes' or 'edges'
+ * @returns {string} GeoJSON string
+ * @throws {Error} If the layer is unknown
+ */
+export function convertToGeoJSON(graph, options = {}) {
+    const { layer = 'all' } = options;
+    if (!GEOJSON_LAYERS.includes(layer)) {
+        throw new Error(`Unknown GeoJSON layer: ${layer}`);
+    }
+
+    const features = [];
+    const nodeById = new Map(graph.nodes.map(n => [n.id, n]));
+
+    if (layer !== 'edges') {
+        for (const node of graph.nodes) {
+            features.push({
+                type: 'Feature',
+                id: node.id,
+                geometry: { type: 'Point', coordinates: [node.lon, node.lat] },
+                properties: { ...node }
+            });
+        }
+    }
+
+    if (layer !== 'nodes') {
+        for (const edge of graph.edges) {
+            const { geometry, ...properties } = edge;
+            let coordinates = geometry;
+            if (!Array.isArray(coordinates) || coordinates.length < 2) {
+                const a = nodeById.get(edge.source);
+                const b = nodeById.get(edge.target);
+                if (!a || !b) continue;
+                coordinates = [[a.lon, a.lat], [b.lon, b.lat]];
+            }
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates },
+                properties
+            });
+        }
+    }
+
+    return JSON.stringify({ type: 'FeatureCollection', features });
+}
+
+/**
+ * Converts raw Overpass data (as fetched, possibly merged from tiles) to an
+ * OSM XML file with all nodes, ways and relations and their tags, so the
+ * source of a graph can be fed to OSRM, osm2pgsql or osmnx. Elements are
+ * ordered nodes, ways, relations, each by id.
+ * @param {Object} osmData - Overpass JSON with an `elements` array
+ * @param {Object} bounds - Fetched area as {south, west, north, east}
+ * @returns {string} OSM XML string
+ */
+export function convertToOSMXML(osmData, bounds) {
+    const order = { node: 0, way: 1, relation: 2 };
+    const elements = (osmData.elements || [])
+        .filter(element => element.type in order)
+        .sort((a, b) => order[a.type] - order[b.type] || a.id - b.id);
+
+    const tags = element => Object.entries(element.tags || {})
+        .map(([k, v]) => `    <tag k="${escapeXml(k)}" v="${escapeXml(v)}"/>\n`)
+        .join('');
+
+    let xml = `<?xml version="1.0" encoding="UTF-8"?>
+<osm version="0.6" generator="OSM Graph Selector">
+  <bounds minlat="${bounds.south}" minlon="${bounds.west}" maxlat="${bounds.north}" maxlon="${bounds.east}"/>
+`;
+    for (const element of elements) {
+        if (element.type === 'node') {
+            const head = `  <node id="${element.id}" lat="${element.lat}" lon="${element.lon}"`;
+            const body = tags(element);
+            xml += body ? `${head}>\n${body}  </node>\n` : `${head}/>\n`;
+        } else if (element.type === 'way') {
+            xml += `  <way id="${element.id}">\n`;
+            (element.nodes || []).forEach(ref => { xml += `    <nd ref="${ref}"/>\n`; });
+            xml += tags(element);
+            xml += '  </way>\n';
+        } else {
+            xml += `  <relation id="${element.id}">\n`;
+            (element.members || []).forEach(m => {
+                xml += `    <member type="${escapeXml(m.type)}" ref="${m.ref}" role="${escapeXml(m.role || '')}"/>\n`;
+            });
+            xml += tags(element);
+            xml += '  </relation>\n';
+        }
+    }
+    xml += '</osm>\n';
+    return xml;
+}
+
+/**
+ * Rounds a length down to 1, 2 or 5 times a power of ten, for scale bars
+ * @param {number} metres - Upper limit in metres
+ * @returns {number} Round length in metres
+ */
+function roundScaleLength(metres) {
+    const power = 10 ** Math.floor(Math.log10(metres));
+    const step = [5, 2, 1].find(s => s * power <= metres) || 1;
+    return step * power;
+}
+
+/**
+ * Converts graph data to a standalone SVG map.
+ * Nodes are projected with Web Mercator and fitted into the given size, so
+ * shapes and angles are true. Edges follow their geometry, coloured and sized
+ * by highway class (major roads on top); the two directions of a two-way
+ * street are drawn once. A scale bar and north arrow are always included.
+ * @param {Object} graph - Graph data with nodes and edges
+ * @param {Object} [options] - Drawing options
+ * @param {number} [options.width=800] - Width in pixels
+ * @param {number} [options.height=600] - Height in pixels
+ * @param {boolean} [options.arrows=false] - Draw an arrow on one-way edges
+ * @param {boolean} [options.labels=false] - Write street names along edges that are long enough
+ * @returns {string} SVG document string
+ * @throws {Error} If the size is not positive
+ */
+export function convertToSVG(graph, options = {}) {
+    const { width = 800, height = 600, arrows = false, labels = false } = options;
+    if (!(width > 0) || !(height > 0)) {
+        throw new Error('SVG size must be positive');
+    }
+
+    const nodeById = new Map(graph.nodes.map(n => [n.id, n]));
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity, sumLat = 0;
+    for (const n of graph.nodes) {
+        const [x, y] = webMercator(n.lat, n.lon);
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+        sumLat += n.lat;
+    }
+    const pad = 20;
+    const empty = graph.nodes.length === 0;
+    const scale = empty ? 1 : Math.min(
+        (width - 2 * pad) / (maxX - minX || 1),
+        (height - 2 * pad) / (maxY - minY || 1)
+    );
+    const offX = empty ? 0 : (width - (maxX - minX) * scale) / 2;
+    const offY = empty ? 0 : (height - (maxY - minY) * scale) / 2;
+    const toPoint = (lat, lon) => {
+        const [x, y] = webMercator(lat, lon);
+        return [offX + (x - minX) * scale, height - offY - (y - minY) * scale];
+    };
+    const fmt = v => v.toFixed(2);
+
+    // Each street once: the second edge of a two-way pair is skipped
+    const directed = graph.directed !== false;
+    const pairs = directed ? pairOppositeEdges(graph.edges) : new Map();
+    const skipped = new Set(pairs.values());
+    const drawn = [];
+    graph.edges.forEach((edge, index) => {
+        if (skipped.has(index)) return;
+        const a = nodeById.get(edge.source);
+        const b = nodeById.get(edge.target);
+        if (!a || !b) return;
+        const coords = Array.isArray(edge.geometry) && edge.geometry.length >= 2
+            ? edge.geometry
+            : [[a.lon, a.lat], [b.lon, b.lat]];
+        const highway = String(edge.highway || '').replace(/_link$/, '');
+        drawn.push({
+            edge,
+            points: coords.map(([lon, lat]) => toPoint(lat, lon)),
+            color: HIGHWAY_COLORS[highway] || DEFAULT_HIGHWAY_COLOR,
+            penWidth: HIGHWAY_PEN_WIDTHS[highway] ?? DEFAULT_PEN_WIDTH,
+            oneway: directed && !pairs.has(index)
+        });
+    });
+    drawn.sort((a, b) => a.penWidth - b.penWidth);
+
+    const pathData = points => points.map(([x, y], i) => `${i ? 'L' : 'M'}${fmt(x)} ${fmt(y)}`).join(' ');
+    const lengthOf = points => points.slice(1)
+        .reduce((sum, [x, y], i) => sum + Math.hypot(x - points[i][0], y - points[i][1]), 0);
+
+    let svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <rect width="${width}" height="${height}" fill="#ffffff"/>
+  <g fill="none" stroke-linecap="round" stroke-linejoin="round">
+`;
+    for (const { points, color: [r, g, b], penWidth } of drawn) {
+        svg += `    <path d="${pathData(points)}" stroke="rgb(${r},${g},${b})" stroke-width="${penWidth}"/>\n`;
+    }
+    svg += '  </g>\n';
+
+    if (arrows) {
+        svg += '  <g fill="#333333">\n';
+        for (const { points, oneway } of drawn) {
+            if (!oneway) continue;
+            // Arrow at the middle of the polyline, pointing along it
+            let remaining = lengthOf(points) / 2;
+            for (let i = 1; i < points.length; i++) {
+                const [x1, y1] = points[i - 1];
+                const [x2, y2] = points[i];
+                const segment = Math.hypot(x2 - x1, y2 - y1);
+                if (segment >= remaining || i === points.length - 1) {
+                    const t = segment > 0 ? Math.min(1, remaining / segment) : 0;
+                    const angle = Math.atan2(y2 - y1, x2 - x1) * 180 / Math.PI;
+                    svg += `    <path d="M-3 -2.5 L3 0 L-3 2.5 Z" transform="translate(${fmt(x1 + (x2 - x1) * t)} ${fmt(y1 + (y2 - y1) * t)}) rotate(${fmt(angle)})"/>\n`;
+                    break;
+                }
+                remaining -= segment;
+            }
+        }
+        svg += '  </g>\n';
+    }
+
+    if (labels) {
+        const fontSize = 9;
+        let defs = '';
+        let texts = '';
+        let count = 0;
+        for (const { edge, points } of drawn) {
+            if (!edge.name) continue;
+            if (lengthOf(points) < String(edge.name).length * fontSize * 0.6 + 4) continue;
+            // Text runs left to right, never upside down
+            const ordered = points[points.length - 1][0] < points[0][0] ? [...points].reverse() : points;
+            defs += `    <path id="label${count}" d="${pathData(ordered)}"/>\n`;
+            texts += `    <text><textPath xlink:href="#label${count}" startOffset="50%">${escapeXml(edge.name)}</textPath></text>\n`;
+            count++;
+        }
+        if (count > 0) {
+            svg += `  <defs>\n${defs}  </defs>\n`;
+            svg += `  <g font-family="sans-serif" font-size="${fontSize}" fill="#222222" text-anchor="middle" dominant-baseline="central" stroke="#ffffff" stroke-width="2" paint-order="stroke">\n${texts}  </g>\n`;
+        }
+    }
+
+    // Scale bar: ground metres per pixel at the mean latitude
+    const metresPerPixel = Math.cos(toRad(empty ? 0 : sumLat / graph.nodes.length)) / scale;
+    const barMetres = roundScaleLength(metresPerPixel * width / 4);
+    const barLength = barMetres / metresPerPixel;
+    const barLabel = barMetres >= 1000 ? `${barMetres / 1000} km` : `${barMetres} m`;
+    svg += `  <g font-family="sans-serif" font-size="10" fill="#222222">
+    <path d="M${pad} ${height - pad - 4} V${height - pad} H${fmt(pad + barLength)} V${height - pad - 4}" fill="none" stroke="#222222" stroke-width="1.5"/>
+    <text x="${fmt(pad + barLength / 2)}" y="${height - pad - 7}" text-anchor="middle">${barLabel}</text>
+    <g transform="translate(${width - pad - 8} ${pad})">
+      <path d="M0 0 L6 18 L0 14 L-6 18 Z" stroke="#222222" stroke-width="1"/>
+      <text x="0" y="30" text-anchor="middle">N</text>
+    </g>
+  </g>
+</svg>
+`;
+    return svg;
+}
+
+/**
+ * Escapes a string for safe use in LaTeX
+ * @param {*} value - Value to escape
+ * @returns {string} LaTeX-safe string
+ */
+function latexEscape(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\textbackslash{}')
+        .replace(/[&%$#_{}~^]/g, m => '\\' + m);
+}
+
+export const TIKZ_PROJECTIONS = ['equirectangular', 'utm'];
+export const TIKZ_NODE_LABELS = ['none', 'id', 'index'];
+
+/**
+ * Converts graph data to a LaTeX TikZ standalone document.
+ * Nodes are projected equirectangularly around the centre of the graph (or to
+ * its UTM zone) and scaled so the longer side has the given size. Each
+ * highway class gets a colour and line style in the preamble; the two
+ * directions of a two-way street are drawn once, one-way edges with an arrow.
+ * Edges use explicit coordinates rather than named nodes, which keeps TeX's
+ * memory use low enough for graphs of 10k+ edges with plain pdflatex.
+ * @param {Object} graph - Graph data with nodes and edges
+ * @param {Object} [options] - Drawing options
+ * @param {string} [options.projection='equirectangular'] - 'equirectangular' or 'utm'
+ * @param {number} [options.size=10] - Size of the longer side in cm
+ * @param {string} [options.nodeLabels='none'] - 'none', 'id' (graph node id) or 'index'
+ * @param {boolean} [options.legend=true] - List the highway classes beside the map
+ * @param {boolean} [options.scaleBar=true] - Draw a scale bar below the map
+ * @returns {string} Complete LaTeX document string
+ * @throws {Error} If the projection or label mode is unknown or the size not positive
+ */
+export function convertToTikZ(graph, options = {}) {
+    const {
+        projection = 'equirectangular',
+        size = 10,
+        nodeLabels = 'none',
+        legend = true,
+        scaleBar = true
+    } = options;
+    if (!TIKZ_PROJECTIONS.includes(projection)) {
+        throw new Error(`Unknown TikZ projection: ${projection}`);
+    }
+    if (!TIKZ_NODE_LABELS.includes(nodeLabels)) {
+        throw new Error(`Unknown TikZ node labels: ${nodeLabels}`);
+    }
+    if (!(size > 0)) {
+        throw new Error('TikZ size must be positive');
+    }
+
+    const nodes = graph.nodes || [];
+    const edges = graph.edges || [];
+
+    if (nodes.length === 0) {
+        return `\\documentclass[tikz]{standalone}
+\\begin{document}
+\\begin{tikzpicture}
+  % empty graph
+\\end{tikzpicture}
+\\end{document}`;
+    }
+
+    // Project to metres: equirectangular around the centre, or UTM
+    let minLat = Infinity, maxLat = -Infinity, minLon = Infinity, maxLon = -Infinity;
+    for (const n of nodes) {
+        if (n.lat < minLat) minLat = n.lat;
+        if (n.lat > maxLat) maxLat = n.lat;
+        if (n.lon < minLon) minLon = n.lon;
+        if (n.lon > maxLon) maxLon = n.lon;
+    }
+    const metresPerDegree = 6371000 * Math.PI / 180;
+    const cosLat = Math.cos(toRad((minLat + maxLat) / 2));
+    const zone = utmZone((minLon + maxLon) / 2);
+    const south = (minLat + maxLat) / 2 < 0;
+    const project = projection === 'utm'
+        ? (lat, lon) => projectUTM(lat, lon, zone, south)
+        : (lat, lon) => [lon * cosLat * metresPerDegree, lat * metresPerDegree];
+
+    const projected = nodes.map(n => project(n.lat, n.lon));
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (const [x, y] of projected) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+    }
+    const scale = size / (Math.max(maxX - minX, maxY - minY) || 1); // cm per metre
+    const toCm = ([x, y]) => `(${((x - minX) * scale).toFixed(3)},${((y - minY) * scale).toFixed(3)})`;
+
+    const nodeById = new Map(nodes.map((n, i) => [n.id, i]));
+    const directed = graph.directed !== false;
+    const pairs = directed ? pairOppositeEdges(edges) : new Map();
+    const skipped = new Set(pairs.values());
+    const styleName = highway => `hw-${highway.replace(/_/g, '-')}`;
+
+    const classes = [];
+    const edgeLines = [];
+    edges.forEach((e, index) => {
+        const si = nodeById.get(e.source);
+        const ti = nodeById.get(e.target);
+        if (si === undefined || ti === undefined || skipped.has(index)) return;
+
+        const highway = e.highway ? String(e.highway).replace(/[^A-Za-z0-9_]/g, '') : '';
+        if (highway && !classes.includes(highway)) classes.push(highway);
+        const style = ['edge'];
+        if (highway) style.push(styleName(highway));
+        if (directed && !pairs.has(index)) style.push('oneway');
+
+        const points = Array.isArray(e.geometry) && e.geometry.length >= 2
+            ? e.geometry.map(([lon, lat]) => project(lat, lon))
+            : [projected[si], projected[ti]];
+        edgeLines.push(`  \\draw[${style.join(', ')}] ${points.map(toCm).join(' -- ')};`);
+    });
+
+    const styles = classes.map(highway => {
+        const base = highway.replace(/_link$/, '');
+        const [r, g, b] = HIGHWAY_COLORS[base] || DEFAULT_HIGHWAY_COLOR;
+        const width = (HIGHWAY_PEN_WIDTHS[base] ?? DEFAULT_PEN_WIDTH) * 0.25;
+        return {
+            highway,
+            color: `\\definecolor{${styleName(highway)}}{RGB}{${r},${g},${b}}`,
+            style: `  ${styleName(highway)}/.style={draw=${styleName(highway)}, line width=${width.toFixed(2)}pt},`
+        };
+    });
+
+    const nodeLines = nodes.map((n, i) => {
+        const text = nodeLabels === 'id' ? latexEscape(n.id) : nodeLabels === 'index' ? i : null;
+        const label = text === null ? '' : `, label={[nodelabel]above:${text}}`;
+        return `  \\node[vertex${label}] at ${toCm(projected[i])} {};`;
+    });
+
+    const extras = [];
+    const width = (maxX - minX) * scale;
+    const height = (maxY - minY) * scale;
+    if (legend && classes.length > 0) {
+        extras.push('  % legend');
+        styles.forEach(({ highway }, i) => {
+            const y = (height - i * 0.45).toFixed(3);
+            extras.push(`  \\draw[edge, ${styleName(highway)}] (${(width + 0.6).toFixed(3)},${y}) -- ++(0.6,0) node[legend] {${latexEscape(highway)}};`);
+        });
+    }
+    if (scaleBar) {
+        const metresPerCm = 1 / scale;
+        const barMetres = roundScaleLength(metresPerCm * size / 4);
+        const barLength = (barMetres / metresPerCm).toFixed(3);
+        const barLabel = barMetres >= 1000 ? `${barMetres / 1000}~km` : `${barMetres}~m`;
+        extras.push('  % scale bar');
+        extras.push(`  \\draw[scalebar] (0,-0.4) -- (0,-0.5) -- (${barLength},-0.5) node[midway, below, font=\\scriptsize] {${barLabel}} -- (${barLength},-0.4);`);
+    }
+
+    // Blank lines would end the tikzpicture option list with a \par
+    return `\\documentclass[tikz]{standalone}
+\\usepackage{tikz}
+\\usetikzlibrary{arrows.meta}
+${styles.map(s => s.color).join('\n')}${styles.length ? '\n' : ''}\\begin{document}
 \\begin{tikzpicture}[
   vertex/.style={circle, fill=black, inner sep=0pt, minimum size=1.5pt},
-  edge/.style={draw, thin, black!40},
+  edge/.style={draw, thin, black!40, line cap=round},
+  oneway/.style={-{Stealth[length=1mm, width=0.8mm]}},
+${styles.map(s => `${s.style}\n`).join('')}  nodelabel/.style={font=\\tiny, inner sep=0.5pt, text=black!70},
+  legend/.style={right, font=\\scriptsize, text=black},
+  scalebar/.style={draw=black, line width=0.6pt},
 ]
-${coordLines.join('\n')}
-${edgeLines.join('\n')}
+${[...edgeLines, ...nodeLines, ...extras].join('\n')}
 \\end{tikzpicture}
 \\end{document}`;
 }
@@ -2,8 +2,31 @@ document.addEventListener('DOMContentLoaded', () => {
     const graphStatus = document.getElementById('graphStatus');
     const exportFormat = document.getElementById('exportFormat');
     const exportButton = document.getElementById('exportGraph');
+    const geojsonSplit = document.getElementById('geojsonSplit');
+    const neo4jCypher = document.getElementById('neo4jCypher');
+    const dimacsWeight = document.getElementById('dimacsWeight');
+    const mlFormat = document.getElementById('mlFormat');
+
+    const mimeTypes = {
+        json: 'application/json',
+        graphml: 'application/xml',
+        gexf: 'application/gexf+xml',
+        dot: 'text/vnd.graphviz',
+        csv: 'text/csv',
+        tikz: 'application/x-tex',
+        svg: 'image/svg+xml',
+        geojson: 'application/geo+json',
+        neo4j: 'application/zip',
+        dimacs: 'application/zip',
+        sumo: 'application/zip',
+        matsim: 'application/xml',
+        ml: 'application/octet-stream',
+        osm: 'application/xml'
+    };
+    const extensions = { tikz: 'tex', matsim: 'network.xml' };
 
     let graphData = null;
+    let osmSource = null;
 
     // Check if there's any graph data available
     chrome.runtime.sendMessage({ type: 'GET_GRAPH' }, response => {
@@ -14,6 +37,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (response && response.success && response.data &&
             Array.isArray(response.data.nodes) && Array.isArray(response.data.edges)) {
             graphData = response.data;
+            osmSource = response.source;
             graphStatus.textContent = `Graph contains ${graphData.nodes.length} nodes and ${graphData.edges.length} edges`;
             exportButton.disabled = false;
         }
@@ -29,25 +53,40 @@ document.addEventListener('DOMContentLoaded', () => {
         chrome.runtime.sendMessage({
             type: 'EXPORT_GRAPH',
             format: exportFormat.value,
-            data: graphData
+            data: graphData,
+            // Only the OSM XML export reads the (large) source data
+            source: exportFormat.value === 'osm' ? osmSource : undefined,
+            options: {
+                geojsonSplit: geojsonSplit.checked,
+                neo4jCypher: neo4jCypher.checked,
+                dimacsWeight: dimacsWeight.value,
+                mlFormat: mlFormat.value
+            }
         }, response => {
             if (chrome.runtime.lastError) {
                 graphStatus.textContent = 'Extension error: ' + chrome.runtime.lastError.message;
                 return;
             }
             if (response && response.success) {
-                // Create and trigger download
-                const blob = new Blob([response.data], {
-                    type: exportFormat.value === 'json'
-                        ? 'application/json'
-                        : 'application/xml'
+                // Create and trigger a download per file
+                const format = exportFormat.value;
+                const files = response.files ||
+                    [{ name: `osm-graph.${extensions[format] || format}`, data: response.data }];
+                files.forEach(file => {
+                    // Binary files (ZIP bundles) arrive base64-encoded
+                    const content = file.encoding === 'base64'
+                        ? Uint8Array.from(atob(file.data), c => c.charCodeAt(0))
+                        : file.data;
+                    const blob = new Blob([content], {
+                        type: file.type || mimeTypes[format] || 'text/plain'
+                    });
+                    const url = URL.createObjectURL(blob);
+                    const a = document.createElement('a');
+                    a.href = url;
+                    a.download = file.name;
+                    a.click();
+                    URL.revokeObjectURL(url);
                 });
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `osm-graph.${exportFormat.value}`;
-                a.click();
-                URL.revokeObjectURL(url);
             } else {
                 graphStatus.textContent = response ? response.error : 'Export failed';
             }
@@ -1,12 +1,61 @@
 import { describe, test, expect } from '@jest/globals';
+import { deflateSync } from 'node:zlib';
 import {
     toRad,
     calculateDistance,
+    parseMaxspeed,
+    resolveSpeed,
+    DEFAULT_HIGHWAY_SPEEDS,
     validateBounds,
+    validatePolygon,
+    polygonBounds,
     buildOverpassQuery,
+    buildBoundaryQuery,
+    buildBoundaryLookupQuery,
+    parseBoundaryCandidates,
+    parseBoundary,
+    getProfile,
+    isWayAccessible,
+    resolveDirection,
+    NETWORK_PROFILES,
     convertToGraph,
+    addEdgeGeometry,
+    simplifyGraph,
+    consolidateIntersections,
+    clipGraph,
+    clipGraphToPolygon,
+    clipGraphToBoundary,
+    assignEdgeKeys,
+    weaklyConnectedComponents,
+    stronglyConnectedComponents,
+    labelComponents,
+    keepLargestComponent,
+    parseHGT,
+    parseGeoTIFF,
+    parseDEM,
+    sampleElevation,
+    addElevation,
+    parseTurnRestrictions,
+    buildTurnGraph,
     convertToGraphML,
+    mergeSnapshots,
+    convertToGEXF,
+    convertToDOT,
     convertToCSV,
+    createZip,
+    convertToNeo4j,
+    convertToDIMACS,
+    utmZone,
+    projectUTM,
+    convertToSUMO,
+    MATSIM_LINK_DEFAULTS,
+    convertToMATSim,
+    HIGHWAY_VOCABULARY,
+    buildTensors,
+    convertToNPZ,
+    convertToGeoJSON,
+    convertToOSMXML,
+    convertToSVG,
     convertToTikZ,
     escapeXml,
     splitBounds,
@@ -57,6 +106,73 @@ describe('calculateDistance', () => {
     });
 });
 
+describe('parseMaxspeed', () => {
+    test('parses plain numbers as km/h', () => {
+        expect(parseMaxspeed('50')).toBe(50);
+        expect(parseMaxspeed('7.5')).toBe(7.5);
+        expect(parseMaxspeed(30)).toBe(30);
+    });
+
+    test('parses explicit units', () => {
+        expect(parseMaxspeed('30 mph')).toBeCloseTo(48.28, 2);
+        expect(parseMaxspeed('30mph')).toBeCloseTo(48.28, 2);
+        expect(parseMaxspeed('50 km/h')).toBe(50);
+        expect(parseMaxspeed('10 knots')).toBeCloseTo(18.52, 2);
+    });
+
+    test('parses implicit country zones', () => {
+        expect(parseMaxspeed('DE:urban')).toBe(50);
+        expect(parseMaxspeed('DE:rural')).toBe(100);
+        expect(parseMaxspeed('FR:rural')).toBe(80);
+        expect(parseMaxspeed('GB:nsl_single')).toBeCloseTo(96.56, 2);
+        expect(parseMaxspeed('DE:zone30')).toBe(30);
+        expect(parseMaxspeed('DE:zone:20')).toBe(20);
+        expect(parseMaxspeed('DE:living_street')).toBe(7);
+    });
+
+    test('parses walk', () => {
+        expect(parseMaxspeed('walk')).toBe(5);
+    });
+
+    test('returns null for none and non-numeric values', () => {
+        expect(parseMaxspeed('none')).toBeNull();
+        expect(parseMaxspeed('DE:motorway')).toBeNull();
+        expect(parseMaxspeed('signals')).toBeNull();
+        expect(parseMaxspeed('variable')).toBeNull();
+        expect(parseMaxspeed('0')).toBeNull();
+    });
+
+    test('returns null for missing values', () => {
+        expect(parseMaxspeed(undefined)).toBeNull();
+        expect(parseMaxspeed('')).toBeNull();
+    });
+
+    test('takes the lowest value of a list', () => {
+        expect(parseMaxspeed('50;30')).toBe(30);
+        expect(parseMaxspeed('none;60')).toBe(60);
+    });
+});
+
+describe('resolveSpeed', () => {
+    test('prefers the maxspeed tag', () => {
+        expect(resolveSpeed({ highway: 'residential', maxspeed: '20' })).toBe(20);
+    });
+
+    test('falls back to highway default', () => {
+        expect(resolveSpeed({ highway: 'residential' })).toBe(DEFAULT_HIGHWAY_SPEEDS.residential);
+        expect(resolveSpeed({ highway: 'motorway', maxspeed: 'none' })).toBe(DEFAULT_HIGHWAY_SPEEDS.motorway);
+    });
+
+    test('uses custom speed table', () => {
+        expect(resolveSpeed({ highway: 'residential' }, { residential: 25 })).toBe(25);
+    });
+
+    test('uses a fallback speed for unknown highway classes', () => {
+        expect(resolveSpeed({ highway: 'unknown_class' })).toBeGreaterThan(0);
+        expect(resolveSpeed({})).toBeGreaterThan(0);
+    });
+});
+
 describe('validateBounds', () => {
     const validBounds = { north: 52.52, south: 52.50, east: 13.41, west: 13.39 };
 
@@ -101,6 +217,42 @@ describe('validateBounds', () => {
     });
 });
 
+describe('validatePolygon', () => {
+    const triangle = [[13.39, 52.50], [13.41, 52.50], [13.40, 52.52]];
+
+    test('valid polygons do not throw', () => {
+        expect(() => validatePolygon(triangle)).not.toThrow();
+        expect(() => validatePolygon([...triangle, triangle[0]])).not.toThrow();
+    });
+
+    test('throws on non-array input', () => {
+        expect(() => validatePolygon(null)).toThrow('Polygon must be an array of [lon, lat] vertices');
+    });
+
+    test('throws on malformed vertices', () => {
+        expect(() => validatePolygon([...triangle, [13.4]])).toThrow('Polygon vertices must be [lon, lat] number pairs');
+        expect(() => validatePolygon([...triangle, [13.4, NaN]])).toThrow('Polygon vertices must be [lon, lat] number pairs');
+    });
+
+    test('throws on coordinates out of range', () => {
+        expect(() => validatePolygon([...triangle, [13.4, 91]])).toThrow('Latitude must be between -90 and 90');
+        expect(() => validatePolygon([...triangle, [181, 52.5]])).toThrow('Longitude must be between -180 and 180');
+    });
+
+    test('throws on fewer than 3 distinct vertices', () => {
+        expect(() => validatePolygon(triangle.slice(0, 2))).toThrow('Polygon must have at least 3 vertices');
+        expect(() => validatePolygon([triangle[0], triangle[1], triangle[0]])).toThrow('Polygon must have at least 3 vertices');
+    });
+});
+
+describe('polygonBounds', () => {
+    test('returns the bounding box of the vertices', () => {
+        expect(polygonBounds([[13.39, 52.50], [13.41, 52.51], [13.40, 52.52]])).toEqual({
+            north: 52.52, south: 52.50, east: 13.41, west: 13.39
+        });
+    });
+});
+
 describe('buildOverpassQuery', () => {
     const bounds = { north: 52.52, south: 52.50, east: 13.41, west: 13.39 };
 
@@ -116,7 +268,55 @@ describe('buildOverpassQuery', () => {
 
     test('contains highway filter', () => {
         const query = buildOverpassQuery(bounds);
-        expect(query).toContain('highway!~"footway|cycleway|path|service|track"');
+        expect(query).toContain(`highway!~"^(${NETWORK_PROFILES.drive.exclude})$"`);
+        expect(NETWORK_PROFILES.drive.exclude).toMatch(/footway.*path.*service.*steps.*track/);
+    });
+
+    test('uses the filter of the selected profile', () => {
+        const query = buildOverpassQuery(bounds, { profile: 'walk' });
+        expect(query).toContain(`highway!~"^(${NETWORK_PROFILES.walk.exclude})$"`);
+        expect(query).not.toContain(NETWORK_PROFILES.drive.exclude);
+    });
+
+    test('adds opt-in statement for bike on footways', () => {
+        const query = buildOverpassQuery(bounds, { profile: 'bike' });
+        expect(query).toContain('way[highway~"^(footway|pedestrian)$"]');
+        expect(query).toContain('["bicycle"~"^(yes|designated|permissive|destination)$"]');
+    });
+
+    test('throws on unknown profile', () => {
+        expect(() => buildOverpassQuery(bounds, { profile: 'boat' })).toThrow('Unknown network profile: boat');
+    });
+
+    test('fetches node tags whether or not tags are retained', () => {
+        expect(buildOverpassQuery(bounds)).toContain('out body qt');
+        expect(buildOverpassQuery(bounds, { tags: ['crossing'] })).toContain('out body qt');
+        expect(buildOverpassQuery(bounds, { tags: [] })).not.toContain('skel');
+    });
+
+    test('fetches restriction relations of the ways', () => {
+        const query = buildOverpassQuery(bounds);
+        expect(query).toContain('rel(bw.ways)["type"="restriction"]');
+    });
+
+    test('adds a poly filter with lat/lon pairs for a polygon', () => {
+        const polygon = [[13.39, 52.50], [13.41, 52.50], [13.40, 52.52], [13.39, 52.50]];
+        const query = buildOverpassQuery(bounds, { polygon });
+        expect(query).toContain('(poly:"52.5 13.39 52.5 13.41 52.52 13.4")(52.5,13.39,52.52,13.41)');
+        expect(() => buildOverpassQuery(bounds, { polygon: polygon.slice(0, 2) })).toThrow('Polygon must have at least 3 vertices');
+    });
+
+    test('selects ways inside the area of a relation', () => {
+        const query = buildOverpassQuery(null, { relationId: 62422 });
+        expect(query).toContain('area(3600062422)->.searchArea;');
+        expect(query).toContain('(area.searchArea);');
+        expect(buildOverpassQuery(bounds, { relationId: 62422 }))
+            .toContain('(area.searchArea)(52.5,13.39,52.52,13.41)');
+    });
+
+    test('throws on invalid relation id', () => {
+        expect(() => buildOverpassQuery(null, { relationId: -1 })).toThrow('Relation id must be a positive integer');
+        expect(() => buildOverpassQuery(null)).toThrow('Bounds must be an object');
     });
 
     test('throws on invalid bounds', () => {
@@ -124,6 +324,204 @@ describe('buildOverpassQuery', () => {
     });
 });
 
+describe('buildBoundaryQuery', () => {
+    test('fetches the relation with member geometry', () => {
+        expect(buildBoundaryQuery(62422)).toMatch(/rel\(62422\);\s*out geom;/);
+    });
+
+    test('throws on invalid relation id', () => {
+        expect(() => buildBoundaryQuery('62422')).toThrow('Relation id must be a positive integer');
+    });
+});
+
+describe('buildBoundaryLookupQuery', () => {
+    test('looks up administrative boundaries containing the point', () => {
+        const query = buildBoundaryLookupQuery(52.52, 13.405);
+        expect(query).toContain('is_in(52.52,13.405)');
+        expect(query).toContain('["boundary"="administrative"]');
+        expect(query).toContain('out tags;');
+    });
+});
+
+describe('parseBoundaryCandidates', () => {
+    test('lists boundaries from most to least local', () => {
+        const candidates = parseBoundaryCandidates({
+            elements: [
+                { type: 'relation', id: 51477, tags: { name: 'Deutschland', admin_level: '2' } },
+                { type: 'relation', id: 62422, tags: { name: 'Berlin', admin_level: '4' } },
+                { type: 'relation', id: 16347, tags: { admin_level: '10' } }
+            ]
+        });
+        expect(candidates).toEqual([
+            { id: 16347, name: 'relation 16347', adminLevel: 10 },
+            { id: 62422, name: 'Berlin', adminLevel: 4 },
+            { id: 51477, name: 'Deutschland', adminLevel: 2 }
+        ]);
+    });
+
+    test('handles empty responses', () => {
+        expect(parseBoundaryCandidates({ elements: [] })).toEqual([]);
+        expect(parseBoundaryCandidates(null)).toEqual([]);
+    });
+});
+
+describe('parseBoundary', () => {
+    const point = (lon, lat) => ({ lon, lat });
+    const way = (role, ...coords) => ({ type: 'way', role, geometry: coords.map(([lon, lat]) => point(lon, lat)) });
+    const relation = members => ({
+        elements: [{ type: 'relation', id: 7, tags: { name: 'Town', boundary: 'administrative' }, members }]
+    });
+
+    test('joins member ways into a closed ring, reversing where needed', () => {
+        const boundary = parseBoundary(relation([
+            way('outer', [0, 0], [1, 0]),
+            way('outer', [0, 1], [1, 1], [1, 0]),
+            way('outer', [0, 1], [0, 0]),
+            { type: 'node', ref: 1, role: 'admin_centre' }
+        ]), 7);
+        expect(boundary.id).toBe(7);
+        expect(boundary.name).toBe('Town');
+        expect(boundary.rings).toEqual([[[0, 0], [1, 0], [1, 1], [0, 1]]]);
+    });
+
+    test('keeps inner rings and drops rings that cannot be closed', () => {
+        const boundary = parseBoundary(relation([
+            way('outer', [0, 0], [4, 0], [4, 4], [0, 4], [0, 0]),
+            way('inner', [1, 1], [2, 1], [2, 2], [1, 1]),
+            way('outer', [9, 9], [9, 10])
+        ]), 7);
+        expect(boundary.rings).toHaveLength(2);
+    });
+
+    test('throws on a missing relation or open outline', () => {
+        expect(() => parseBoundary({ elements: [] }, 7)).toThrow('Boundary relation 7 not found');
+        expect(() => parseBoundary(relation([way('outer', [0, 0], [1, 0], [1, 1])]), 7))
+            .toThrow('Boundary relation 7 has no closed outline');
+    });
+});
+
+describe('isWayAccessible', () => {
+    const drive = getProfile('drive');
+    const bike = getProfile('bike');
+    const walk = getProfile('walk');
+    const all = getProfile('all');
+
+    test('excludes highway classes of the profile', () => {
+        expect(isWayAccessible({ highway: 'footway' }, drive)).toBe(false);
+        expect(isWayAccessible({ highway: 'motorway' }, bike)).toBe(false);
+        expect(isWayAccessible({ highway: 'motorway' }, walk)).toBe(false);
+        expect(isWayAccessible({ highway: 'footway' }, all)).toBe(true);
+    });
+
+    test('accepts ways without highway tag', () => {
+        expect(isWayAccessible({}, drive)).toBe(true);
+    });
+
+    test('honours access=no and private', () => {
+        expect(isWayAccessible({ highway: 'residential', access: 'no' }, drive)).toBe(false);
+        expect(isWayAccessible({ highway: 'residential', access: 'private' }, walk)).toBe(false);
+    });
+
+    test('more specific access tag wins', () => {
+        const tags = { highway: 'residential', access: 'no', bicycle: 'yes' };
+        expect(isWayAccessible(tags, bike)).toBe(true);
+        expect(isWayAccessible(tags, drive)).toBe(false);
+        expect(isWayAccessible({ highway: 'residential', motor_vehicle: 'no' }, drive)).toBe(false);
+        expect(isWayAccessible({ highway: 'residential', motor_vehicle: 'no' }, bike)).toBe(true);
+        expect(isWayAccessible({ highway: 'primary', foot: 'no' }, walk)).toBe(false);
+    });
+
+    test('opts excluded classes in with explicit permission', () => {
+        expect(isWayAccessible({ highway: 'footway' }, bike)).toBe(false);
+        expect(isWayAccessible({ highway: 'footway', bicycle: 'yes' }, bike)).toBe(true);
+        expect(isWayAccessible({ highway: 'cycleway', foot: 'designated' }, walk)).toBe(true);
+    });
+
+    test('all profile ignores access tags', () => {
+        expect(isWayAccessible({ highway: 'residential', access: 'private' }, all)).toBe(true);
+    });
+});
+
+describe('resolveDirection', () => {
+    const both = { forward: true, backward: true };
+    const forwardOnly = { forward: true, backward: false };
+    const backwardOnly = { forward: false, backward: true };
+
+    test('drive follows oneway', () => {
+        const drive = getProfile('drive');
+        expect(resolveDirection({ oneway: 'yes' }, drive)).toMatchObject(forwardOnly);
+        expect(resolveDirection({ oneway: '-1' }, drive)).toMatchObject(backwardOnly);
+        expect(resolveDirection({}, drive)).toMatchObject(both);
+        expect(resolveDirection({ oneway: 'yes', 'oneway:bicycle': 'no' }, drive)).toMatchObject(forwardOnly);
+    });
+
+    test('bike honours oneway:bicycle and contraflow lanes', () => {
+        const bike = getProfile('bike');
+        expect(resolveDirection({ oneway: 'yes' }, bike)).toMatchObject(forwardOnly);
+        expect(resolveDirection({ oneway: 'yes', 'oneway:bicycle': 'no' }, bike)).toMatchObject(both);
+        expect(resolveDirection({ oneway: 'yes', cycleway: 'opposite_lane' }, bike)).toMatchObject(both);
+        expect(resolveDirection({ oneway: 'yes', 'cycleway:left': 'opposite_track' }, bike)).toMatchObject(both);
+        expect(resolveDirection({ 'oneway:bicycle': 'yes' }, bike)).toMatchObject(forwardOnly);
+    });
+
+    test('walk ignores oneway on roads', () => {
+        const walk = getProfile('walk');
+        expect(resolveDirection({ highway: 'primary', oneway: 'yes' }, walk)).toMatchObject(both);
+        expect(resolveDirection({ highway: 'footway', oneway: 'yes' }, walk)).toMatchObject(forwardOnly);
+        expect(resolveDirection({ highway: 'primary', 'oneway:foot': '-1' }, walk)).toMatchObject(backwardOnly);
+    });
+
+    test('roundabouts and circular junctions imply oneway', () => {
+        const drive = getProfile('drive');
+        expect(resolveDirection({ highway: 'primary', junction: 'roundabout' }, drive))
+            .toEqual({ ...forwardOnly, reason: 'junction=roundabout' });
+        expect(resolveDirection({ highway: 'primary', junction: 'circular' }, drive))
+            .toEqual({ ...forwardOnly, reason: 'junction=circular' });
+    });
+
+    test('motorways and motorway links imply oneway', () => {
+        const drive = getProfile('drive');
+        expect(resolveDirection({ highway: 'motorway' }, drive)).toEqual({ ...forwardOnly, reason: 'highway=motorway' });
+        expect(resolveDirection({ highway: 'motorway_link' }, drive)).toMatchObject(forwardOnly);
+    });
+
+    test('explicit oneway overrides implied oneway', () => {
+        const drive = getProfile('drive');
+        expect(resolveDirection({ highway: 'motorway', oneway: 'no' }, drive)).toEqual({ ...both, reason: 'oneway=no' });
+        expect(resolveDirection({ junction: 'roundabout', oneway: '-1' }, drive)).toMatchObject(backwardOnly);
+    });
+
+    test('records the reason for default two-way', () => {
+        expect(resolveDirection({ highway: 'residential' }, getProfile('drive'))).toEqual({ ...both, reason: 'default' });
+        expect(resolveDirection({ highway: 'primary', oneway: 'yes' }, getProfile('walk')).reason).toBe('foot_two_way');
+        expect(resolveDirection({ oneway: 'yes', cycleway: 'opposite' }, getProfile('bike')).reason).toBe('cycleway=opposite');
+    });
+
+    test('walk ignores implied oneway on roundabouts', () => {
+        expect(resolveDirection({ highway: 'primary', junction: 'roundabout' }, getProfile('walk'))).toMatchObject(both);
+    });
+
+    test('applies policy to reversible ways', () => {
+        const drive = getProfile('drive');
+        const tags = { highway: 'primary', oneway: 'reversible' };
+        expect(resolveDirection(tags, drive)).toEqual({ ...both, reason: 'oneway=reversible', flag: 'reversible' });
+        expect(resolveDirection(tags, drive, { onewayPolicy: 'bidirectional' })).toEqual({ ...both, reason: 'oneway=reversible' });
+        expect(resolveDirection(tags, drive, { onewayPolicy: 'omit' })).toMatchObject({ forward: false, backward: false });
+    });
+
+    test('applies policy to conditional oneway', () => {
+        const drive = getProfile('drive');
+        const tags = { highway: 'primary', oneway: 'yes', 'oneway:conditional': 'no @ (Mo-Fr 07:00-09:00)' };
+        expect(resolveDirection(tags, drive)).toEqual({ ...forwardOnly, reason: 'oneway=yes', flag: 'conditional' });
+        expect(resolveDirection(tags, drive, { onewayPolicy: 'bidirectional' })).toMatchObject(both);
+        expect(resolveDirection(tags, drive, { onewayPolicy: 'omit' })).toMatchObject({ forward: false, backward: false });
+    });
+
+    test('throws on unknown policy', () => {
+        expect(() => resolveDirection({}, getProfile('drive'), { onewayPolicy: 'maybe' })).toThrow('Unknown oneway policy: maybe');
+    });
+});
+
 describe('splitBounds', () => {
     test('small area returns single tile', () => {
         const bounds = { north: 52.52, south: 52.50, east: 13.41, west: 13.39 };
@@ -190,7 +588,7 @@ describe('mergeOsmData', () => {
 });
 
 describe('convertToGraph', () => {
-    const emptyGraph = { directed: true, multigraph: false, graph: {}, nodes: [], edges: [] };
+    const emptyGraph = { directed: true, multigraph: false, graph: { profile: 'drive', restrictions: [] }, nodes: [], edges: [] };
 
     test('returns empty graph for null input', () => {
         expect(convertToGraph(null)).toEqual(emptyGraph);
@@ -315,126 +713,1656 @@ describe('convertToGraph', () => {
         expect(result.edges).toHaveLength(0);
     });
 
-    test('handles way without nodes array', () => {
+    test('records the profile in graph attributes', () => {
+        expect(convertToGraph({ elements: [] }).graph.profile).toBe('drive');
+        expect(convertToGraph({ elements: [] }, { profile: 'bike' }).graph.profile).toBe('bike');
+    });
+
+    test('skips ways the profile cannot use and their nodes', () => {
         const osmData = {
             elements: [
                 { type: 'node', id: 1, lat: 52.52, lon: 13.405 },
-                { type: 'way', id: 100 }
+                { type: 'node', id: 2, lat: 52.53, lon: 13.406 },
+                { type: 'node', id: 3, lat: 52.54, lon: 13.407 },
+                { type: 'way', id: 100, nodes: [1, 2], tags: { highway: 'residential' } },
+                { type: 'way', id: 101, nodes: [2, 3], tags: { highway: 'residential', access: 'private' } }
             ]
         };
         const result = convertToGraph(osmData);
-        expect(result.edges).toHaveLength(0);
+        expect(result.edges.every(e => e.wayId === 100)).toBe(true);
+        expect(result.nodes.map(n => n.id)).toEqual([1, 2]);
+        expect(convertToGraph(osmData, { profile: 'all' }).nodes).toHaveLength(3);
     });
-});
 
-describe('escapeXml', () => {
-    test('passes through plain numbers', () => {
-        expect(escapeXml(123)).toBe('123');
+    test('applies profile direction rules', () => {
+        const osmData = {
+            elements: [
+                { type: 'node', id: 1, lat: 52.52, lon: 13.405 },
+                { type: 'node', id: 2, lat: 52.53, lon: 13.406 },
+                { type: 'way', id: 100, nodes: [1, 2], tags: { highway: 'residential', oneway: 'yes', 'oneway:bicycle': 'no' } }
+            ]
+        };
+        expect(convertToGraph(osmData, { profile: 'drive' }).edges).toHaveLength(1);
+        expect(convertToGraph(osmData, { profile: 'bike' }).edges).toHaveLength(2);
     });
 
-    test('passes through plain strings', () => {
-        expect(escapeXml('hello')).toBe('hello');
+    test('throws on unknown profile', () => {
+        expect(() => convertToGraph({ elements: [] }, { profile: 'boat' })).toThrow('Unknown network profile');
     });
 
-    test('escapes ampersand', () => {
-        expect(escapeXml('a&b')).toBe('a&amp;b');
+    test('roundabout without oneway tag produces only forward edges', () => {
+        const osmData = {
+            elements: [
+                { type: 'node', id: 1, lat: 52.52, lon: 13.405 },
+                { type: 'node', id: 2, lat: 52.53, lon: 13.406 },
+                { type: 'way', id: 100, nodes: [1, 2], tags: { highway: 'primary', junction: 'roundabout' } }
+            ]
+        };
+        const result = convertToGraph(osmData);
+        expect(result.edges).toHaveLength(1);
+        expect(result.edges[0].direction_reason).toBe('junction=roundabout');
     });
 
-    test('escapes angle brackets', () => {
-        expect(escapeXml('<script>')).toBe('&lt;script&gt;');
-    });
+    test('records direction reason and flag on edges', () => {
+        const osmData = {
+            elements: [
+                { type: 'node', id: 1, lat: 52.52, lon: 13.405 },
+                { type: 'node', id: 2, lat: 52.53, lon: 13.406 },
+                { type: 'way', id: 100, nodes: [1, 2], tags: { highway: 'primary', oneway: 'reversible' } }
+            ]
+        };
+        const flagged = convertToGraph(osmData);
+        expect(flagged.edges).toHaveLength(2);
+        expect(flagged.edges[0].direction_reason).toBe('oneway=reversible');
+        expect(flagged.edges[0].direction_flag).toBe('reversible');
 
-    test('escapes quotes', () => {
-        expect(escapeXml('"it\'s"')).toBe('&quot;it&apos;s&quot;');
+        const omitted = convertToGraph(osmData, { onewayPolicy: 'omit' });
+        expect(omitted.edges).toHaveLength(0);
+        expect(omitted.nodes).toHaveLength(0);
     });
-});
-
-describe('convertToGraphML', () => {
-    const simpleGraph = {
-        nodes: [
-            { id: 1, lat: 52.52, lon: 13.405 },
-            { id: 2, lat: 52.53, lon: 13.406 }
-        ],
-        edges: [
-            { source: 1, target: 2, wayId: 100, weight: 1.234, highway: 'residential', name: 'Main St' }
-        ]
-    };
 
-    test('produces valid XML header', () => {
-        const xml = convertToGraphML(simpleGraph);
-        expect(xml).toContain('<?xml version="1.0" encoding="UTF-8"?>');
-        expect(xml).toContain('<graphml');
+    test('retains whitelisted way and node tags', () => {
+        const osmData = {
+            elements: [
+                { type: 'node', id: 1, lat: 52.52, lon: 13.405, tags: { highway: 'traffic_signals', ref: 'X' } },
+                { type: 'node', id: 2, lat: 52.53, lon: 13.406 },
+                { type: 'way', id: 100, nodes: [1, 2], tags: { highway: 'primary', lanes: '2', surface: 'asphalt' } }
+            ]
+        };
+        const result = convertToGraph(osmData, { tags: ['lanes', 'highway'] });
+        expect(result.edges[0].lanes).toBe('2');
+        expect(result.edges[0].surface).toBeUndefined();
+        expect(result.nodes[0].highway).toBe('traffic_signals');
+        expect(result.nodes[0].ref).toBeUndefined();
     });
 
-    test('declares graph as directed', () => {
-        const xml = convertToGraphML(simpleGraph);
-        expect(xml).toContain('edgedefault="directed"');
+    test('retains all tags in all mode without overwriting built-in attributes', () => {
+        const osmData = {
+            elements: [
+                { type: 'node', id: 1, lat: 52.52, lon: 13.405, tags: { crossing: 'zebra', lat: '0' } },
+                { type: 'node', id: 2, lat: 52.53, lon: 13.406 },
+                { type: 'way', id: 100, nodes: [1, 2], tags: { highway: 'primary', lit: 'yes', weight: '7.5' } }
+            ]
+        };
+        const result = convertToGraph(osmData, { tags: 'all' });
+        expect(result.edges[0].lit).toBe('yes');
+        expect(result.edges[0].weight).toBeLessThan(2);
+        expect(result.nodes[0].crossing).toBe('zebra');
+        expect(result.nodes[0].lat).toBe(52.52);
     });
 
-    test('contains correct number of nodes', () => {
-        const xml = convertToGraphML(simpleGraph);
-        const nodeMatches = xml.match(/<node /g);
-        expect(nodeMatches).toHaveLength(2);
+    test('does not retain tags named like attributes later steps write', () => {
+        const osmData = {
+            elements: [
+                { type: 'node', id: 1, lat: 52.52, lon: 13.405, tags: { elevation: '34', boundary: 'administrative', osmids: '1' } },
+                { type: 'node', id: 2, lat: 52.53, lon: 13.406, tags: { weak_component: 'x', ele: '35' } },
+                { type: 'way', id: 100, nodes: [1, 2], tags: { highway: 'primary', grade: '5%' } }
+            ]
+        };
+        const result = convertToGraph(osmData, { tags: 'all' });
+        expect(result.nodes[0]).toEqual({ id: 1, lat: 52.52, lon: 13.405 });
+        expect(result.nodes[1]).toEqual({ id: 2, lat: 52.53, lon: 13.406, ele: '35' });
+        expect(result.edges[0]).not.toHaveProperty('grade');
     });
 
-    test('contains correct number of edges', () => {
-        const xml = convertToGraphML(simpleGraph);
-        const edgeMatches = xml.match(/<edge /g);
-        expect(edgeMatches).toHaveLength(1);
+    test('retains no tags by default', () => {
+        const osmData = {
+            elements: [
+                { type: 'node', id: 1, lat: 52.52, lon: 13.405, tags: { crossing: 'zebra' } },
+                { type: 'node', id: 2, lat: 52.53, lon: 13.406 },
+                { type: 'way', id: 100, nodes: [1, 2], tags: { highway: 'primary', lit: 'yes' } }
+            ]
+        };
+        const result = convertToGraph(osmData);
+        expect(result.edges[0].lit).toBeUndefined();
+        expect(result.nodes[0]).toEqual({ id: 1, lat: 52.52, lon: 13.405 });
     });
 
-    test('includes node coordinates', () => {
-        const xml = convertToGraphML(simpleGraph);
-        expect(xml).toContain('<data key="lat">52.52</data>');
-        expect(xml).toContain('<data key="lon">13.405</data>');
+    test('adds speed and travel time from maxspeed', () => {
+        const osmData = {
+            elements: [
+                { type: 'node', id: 1, lat: 52.52, lon: 13.405 },
+                { type: 'node', id: 2, lat: 52.53, lon: 13.406 },
+                { type: 'way', id: 100, nodes: [1, 2], tags: { highway: 'primary', maxspeed: '30 mph' } }
+            ]
+        };
+        const edge = convertToGraph(osmData).edges[0];
+        expect(edge.speed_kph).toBeCloseTo(48.28, 2);
+        expect(edge.travel_time).toBeCloseTo(edge.weight / edge.speed_kph * 3600, 10);
     });
 
-    test('includes edge weight, wayId, highway, and name', () => {
-        const xml = convertToGraphML(simpleGraph);
-        expect(xml).toContain('<data key="weight">1.234</data>');
-        expect(xml).toContain('<data key="wayId">100</data>');
-        expect(xml).toContain('<data key="highway">residential</data>');
-        expect(xml).toContain('<data key="name">Main St</data>');
+    test('uses configurable highway default speeds', () => {
+        const osmData = {
+            elements: [
+                { type: 'node', id: 1, lat: 52.52, lon: 13.405 },
+                { type: 'node', id: 2, lat: 52.53, lon: 13.406 },
+                { type: 'way', id: 100, nodes: [1, 2], tags: { highway: 'residential' } }
+            ]
+        };
+        expect(convertToGraph(osmData).edges[0].speed_kph).toBe(DEFAULT_HIGHWAY_SPEEDS.residential);
+        const custom = convertToGraph(osmData, { highwaySpeeds: { residential: 20 } });
+        expect(custom.edges[0].speed_kph).toBe(20);
     });
 
-    test('declares highway and name key attributes', () => {
-        const xml = convertToGraphML(simpleGraph);
-        expect(xml).toContain('attr.name="highway"');
-        expect(xml).toContain('attr.name="name"');
+    test('handles way without nodes array', () => {
+        const osmData = {
+            elements: [
+                { type: 'node', id: 1, lat: 52.52, lon: 13.405 },
+                { type: 'way', id: 100 }
+            ]
+        };
+        const result = convertToGraph(osmData);
+        expect(result.edges).toHaveLength(0);
     });
+});
 
-    test('node IDs use bare numeric values', () => {
-        const xml = convertToGraphML(simpleGraph);
-        expect(xml).toContain('<node id="1">');
-        expect(xml).toContain('<node id="2">');
+describe('addEdgeGeometry', () => {
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: {},
+        nodes: [{ id: 1, lat: 52.52, lon: 13.4 }, { id: 2, lat: 52.521, lon: 13.401 }],
+        edges: [
+            { source: 1, target: 2, weight: 0.1 },
+            { source: 2, target: 1, weight: 0.2, geometry: [[13.401, 52.521], [13.5, 52.6], [13.4, 52.52]] },
+            { source: 1, target: 9, weight: 0.3 }
+        ]
+    };
+
+    test('adds a straight line to edges without geometry', () => {
+        const result = addEdgeGeometry(graph);
+        expect(result.edges[0].geometry).toEqual([[13.4, 52.52], [13.401, 52.521]]);
     });
 
-    test('handles empty graph', () => {
-        const xml = convertToGraphML({ nodes: [], edges: [] });
-        expect(xml).toContain('<graphml');
-        expect(xml).toContain('</graphml>');
-        expect(xml).not.toContain('<node');
-        expect(xml).not.toContain('<edge');
+    test('keeps existing polylines and skips edges with missing nodes', () => {
+        const result = addEdgeGeometry(graph);
+        expect(result.edges[1].geometry).toHaveLength(3);
+        expect(result.edges[2].geometry).toBeUndefined();
     });
 });
 
-describe('convertToCSV', () => {
+describe('simplifyGraph', () => {
+    // 1 - 2 - 3 - 4 along one way, with a side street 3 - 5
+    const chainData = {
+        elements: [
+            { type: 'node', id: 1, lat: 52.520, lon: 13.400 },
+            { type: 'node', id: 2, lat: 52.521, lon: 13.401 },
+            { type: 'node', id: 3, lat: 52.522, lon: 13.402 },
+            { type: 'node', id: 4, lat: 52.523, lon: 13.403 },
+            { type: 'node', id: 5, lat: 52.522, lon: 13.405 },
+            { type: 'way', id: 100, nodes: [1, 2, 3, 4], tags: { highway: 'residential', name: 'Main St' } },
+            { type: 'way', id: 101, nodes: [3, 5], tags: { highway: 'residential', name: 'Side St' } }
+        ]
+    };
+
+    test('keeps only intersections and dead ends', () => {
+        const result = simplifyGraph(convertToGraph(chainData));
+        expect(result.nodes.map(n => n.id).sort()).toEqual([1, 3, 4, 5]);
+    });
+
+    test('merges chains into single edges with summed weight', () => {
+        const graph = convertToGraph(chainData);
+        const result = simplifyGraph(graph);
+        const merged = result.edges.find(e => e.source === 1 && e.target === 3);
+        const parts = graph.edges.filter(e =>
+            (e.source === 1 && e.target === 2) || (e.source === 2 && e.target === 3));
+        expect(merged.weight).toBeCloseTo(parts[0].weight + parts[1].weight, 10);
+        expect(result.edges).toHaveLength(6);
+    });
+
+    test('stores the full polyline as ordered geometry', () => {
+        const result = simplifyGraph(convertToGraph(chainData));
+        const forward = result.edges.find(e => e.source === 1 && e.target === 3);
+        const backward = result.edges.find(e => e.source === 3 && e.target === 1);
+        expect(forward.geometry).toEqual([[13.400, 52.520], [13.401, 52.521], [13.402, 52.522]]);
+        expect(backward.geometry).toEqual([[13.402, 52.522], [13.401, 52.521], [13.400, 52.520]]);
+    });
+
+    test('leaves unmerged edges untouched', () => {
+        const result = simplifyGraph(convertToGraph(chainData));
+        const side = result.edges.find(e => e.source === 3 && e.target === 5);
+        expect(side.geometry).toBeUndefined();
+    });
+
+    test('respects one-way direction', () => {
+        const osmData = {
+            elements: [
+                { type: 'node', id: 1, lat: 0, lon: 0 },
+                { type: 'node', id: 2, lat: 0, lon: 0.001 },
+                { type: 'node', id: 3, lat: 0, lon: 0.002 },
+                { type: 'way', id: 100, nodes: [1, 2, 3], tags: { highway: 'primary', oneway: 'yes' } }
+            ]
+        };
+        const result = simplifyGraph(convertToGraph(osmData));
+        expect(result.edges).toHaveLength(1);
+        expect(result.edges[0].source).toBe(1);
+        expect(result.edges[0].target).toBe(3);
+    });
+
+    test('keeps nodes where one-way meets two-way', () => {
+        const osmData = {
+            elements: [
+                { type: 'node', id: 1, lat: 0, lon: 0 },
+                { type: 'node', id: 2, lat: 0, lon: 0.001 },
+                { type: 'node', id: 3, lat: 0, lon: 0.002 },
+                { type: 'way', id: 100, nodes: [1, 2], tags: { highway: 'primary', oneway: 'yes' } },
+                { type: 'way', id: 101, nodes: [2, 3], tags: { highway: 'primary' } }
+            ]
+        };
+        const result = simplifyGraph(convertToGraph(osmData), { mergeAcrossAttributes: true });
+        expect(result.nodes.map(n => n.id)).toContain(2);
+    });
+
+    test('does not merge across a change of way by default', () => {
+        const osmData = {
+            elements: [
+                { type: 'node', id: 1, lat: 0, lon: 0 },
+                { type: 'node', id: 2, lat: 0, lon: 0.001 },
+                { type: 'node', id: 3, lat: 0, lon: 0.002 },
+                { type: 'way', id: 100, nodes: [1, 2], tags: { highway: 'primary', name: 'A' } },
+                { type: 'way', id: 101, nodes: [2, 3], tags: { highway: 'primary', name: 'A' } }
+            ]
+        };
+        const graph = convertToGraph(osmData);
+        expect(simplifyGraph(graph).nodes).toHaveLength(3);
+
+        const merged = simplifyGraph(graph, { mergeAcrossAttributes: true });
+        expect(merged.nodes).toHaveLength(2);
+        expect(merged.edges).toHaveLength(2);
+        expect(merged.edges[0].wayId).toBe(100);
+    });
+
+    test('collapses isolated rings to a single node', () => {
+        const osmData = {
+            elements: [
+                { type: 'node', id: 1, lat: 0, lon: 0 },
+                { type: 'node', id: 2, lat: 0, lon: 0.001 },
+                { type: 'node', id: 3, lat: 0.001, lon: 0.001 },
+                { type: 'way', id: 100, nodes: [1, 2, 3, 1], tags: { highway: 'residential', oneway: 'yes' } }
+            ]
+        };
+        const result = simplifyGraph(convertToGraph(osmData));
+        expect(result.nodes).toHaveLength(1);
+        expect(result.edges).toHaveLength(1);
+        expect(result.edges[0].source).toBe(result.edges[0].target);
+        expect(result.edges[0].geometry).toHaveLength(4);
+    });
+
+    test('sums travel time of merged edges', () => {
+        const graph = convertToGraph(chainData);
+        const result = simplifyGraph(graph);
+        const merged = result.edges.find(e => e.source === 1 && e.target === 3);
+        const parts = graph.edges.filter(e =>
+            (e.source === 1 && e.target === 2) || (e.source === 2 && e.target === 3));
+        expect(merged.travel_time).toBeCloseTo(parts[0].travel_time + parts[1].travel_time, 10);
+        expect(merged.speed_kph).toBeCloseTo(DEFAULT_HIGHWAY_SPEEDS.residential, 10);
+    });
+
+    test('marks the graph as simplified', () => {
+        const result = simplifyGraph(convertToGraph(chainData));
+        expect(result.graph.simplified).toBe(true);
+        expect(result.directed).toBe(true);
+    });
+
+    test('handles empty graph', () => {
+        const result = simplifyGraph(convertToGraph(null));
+        expect(result.nodes).toEqual([]);
+        expect(result.edges).toEqual([]);
+    });
+});
+
+describe('consolidateIntersections', () => {
+    // Nodes 1 and 2 are ~5 m apart (one junction), 3 is ~110 m away
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: {},
+        nodes: [
+            { id: 1, lat: 52.52000, lon: 13.40000 },
+            { id: 2, lat: 52.52004, lon: 13.40002 },
+            { id: 3, lat: 52.52100, lon: 13.40000 }
+        ],
+        edges: [
+            { source: 1, target: 2, wayId: 100, weight: 0.005 },
+            { source: 2, target: 1, wayId: 100, weight: 0.005 },
+            { source: 2, target: 3, wayId: 101, weight: 0.1 },
+            { source: 3, target: 1, wayId: 102, weight: 0.1 }
+        ]
+    };
+
+    test('merges nodes within tolerance into one node', () => {
+        const result = consolidateIntersections(graph, { tolerance: 10 });
+        expect(result.nodes).toHaveLength(2);
+    });
+
+    test('places merged node at cluster centroid', () => {
+        const result = consolidateIntersections(graph, { tolerance: 10 });
+        const merged = result.nodes.find(n => n.osmids);
+        expect(merged.lat).toBeCloseTo(52.52002, 8);
+        expect(merged.lon).toBeCloseTo(13.40001, 8);
+    });
+
+    test('keeps original OSM ids on merged nodes', () => {
+        const result = consolidateIntersections(graph, { tolerance: 10 });
+        const merged = result.nodes.find(n => n.osmids);
+        expect(merged.id).toBe(1);
+        expect(merged.osmids).toEqual([1, 2]);
+        expect(result.nodes.find(n => n.id === 3).osmids).toBeUndefined();
+    });
+
+    test('rewires edges and drops self-loops', () => {
+        const result = consolidateIntersections(graph, { tolerance: 10 });
+        expect(result.edges).toHaveLength(2);
+        expect(result.edges).toContainEqual(expect.objectContaining({ source: 1, target: 3, wayId: 101 }));
+        expect(result.edges).toContainEqual(expect.objectContaining({ source: 3, target: 1, wayId: 102 }));
+    });
+
+    test('merges transitively (single linkage)', () => {
+        const chain = {
+            nodes: [
+                { id: 1, lat: 0, lon: 0 },
+                { id: 2, lat: 0, lon: 0.00006 },
+                { id: 3, lat: 0, lon: 0.00012 }
+            ],
+            edges: []
+        };
+        // Neighbours are ~6.7 m apart, the outer pair ~13.4 m
+        const result = consolidateIntersections(chain, { tolerance: 8 });
+        expect(result.nodes).toHaveLength(1);
+        expect(result.nodes[0].osmids).toEqual([1, 2, 3]);
+    });
+
+    test('never merges shape points of an unsimplified street', () => {
+        // One way with shape points ~5.6 m apart between two junctions
+        const street = {
+            nodes: [0, 1, 2, 3, 4].map(i => ({ id: i + 1, lat: 0, lon: i * 0.00005 })),
+            edges: [0, 1, 2, 3].flatMap(i => [
+                { source: i + 1, target: i + 2, wayId: 100 },
+                { source: i + 2, target: i + 1, wayId: 100 }
+            ])
+        };
+        const result = consolidateIntersections(street, { tolerance: 10 });
+        expect(result.nodes).toHaveLength(5);
+        expect(result.edges).toHaveLength(8);
+    });
+
+    test('leaves graph unchanged when nothing is within tolerance', () => {
+        const result = consolidateIntersections(graph, { tolerance: 1 });
+        expect(result.nodes).toHaveLength(3);
+        expect(result.edges).toHaveLength(4);
+    });
+
+    test('moves geometry endpoints to the merged node', () => {
+        const withGeometry = {
+            ...graph,
+            edges: [{ source: 2, target: 3, wayId: 101, weight: 0.1,
+                geometry: [[13.40002, 52.52004], [13.40001, 52.5205], [13.40000, 52.52100]] }]
+        };
+        const result = consolidateIntersections(withGeometry, { tolerance: 10 });
+        expect(result.edges[0].geometry[0][0]).toBeCloseTo(13.40001, 8);
+        expect(result.edges[0].geometry[1]).toEqual([13.40001, 52.5205]);
+        expect(result.edges[0].geometry[2]).toEqual([13.40000, 52.52100]);
+    });
+
+    test('records tolerance in graph attributes', () => {
+        const result = consolidateIntersections(graph, { tolerance: 15 });
+        expect(result.graph.consolidationTolerance).toBe(15);
+    });
+
+    test('throws on invalid tolerance', () => {
+        expect(() => consolidateIntersections(graph, { tolerance: 0 })).toThrow('Tolerance must be a positive number');
+        expect(() => consolidateIntersections(graph, { tolerance: NaN })).toThrow('Tolerance must be a positive number');
+    });
+});
+
+describe('clipGraph', () => {
+    const bounds = { north: 1, south: 0, east: 1, west: 0 };
+    // 1 and 2 inside, 3 east of the box, 4 and 5 outside on opposite sides
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: {},
+        nodes: [
+            { id: 1, lat: 0.5, lon: 0.2 },
+            { id: 2, lat: 0.5, lon: 0.6 },
+            { id: 3, lat: 0.5, lon: 1.4 },
+            { id: 4, lat: 0.2, lon: -1 },
+            { id: 5, lat: 0.2, lon: 2 }
+        ],
+        edges: [
+            { source: 1, target: 2, wayId: 100, weight: 0.4, travel_time: 40 },
+            { source: 2, target: 3, wayId: 100, weight: 0.8, travel_time: 80 },
+            { source: 3, target: 2, wayId: 100, weight: 0.8, travel_time: 80 },
+            { source: 4, target: 5, wayId: 101, weight: 3, travel_time: 300 }
+        ]
+    };
+
+    test('drop mode keeps only edges inside', () => {
+        const result = clipGraph(graph, bounds, { mode: 'drop' });
+        expect(result.nodes.map(n => n.id)).toEqual([1, 2]);
+        expect(result.edges).toHaveLength(1);
+    });
+
+    test('keep_first mode keeps the first outside node', () => {
+        const result = clipGraph(graph, bounds, { mode: 'keep_first' });
+        expect(result.nodes.map(n => n.id)).toEqual([1, 2, 3]);
+        expect(result.edges).toHaveLength(3);
+    });
+
+    test('cut mode cuts edges at the boundary', () => {
+        const result = clipGraph(graph, bounds, { mode: 'cut' });
+        const boundary = result.nodes.filter(n => n.boundary);
+        // One shared cut point for 2<->3, two for 4->5
+        expect(boundary).toHaveLength(3);
+        expect(boundary.every(n => n.id < 0)).toBe(true);
+
+        const cutPoint = boundary.find(n => n.lat === 0.5);
+        expect(cutPoint.lon).toBeCloseTo(1, 10);
+
+        const out = result.edges.find(e => e.source === 2 && e.target === cutPoint.id);
+        const back = result.edges.find(e => e.source === cutPoint.id && e.target === 2);
+        expect(out.weight).toBeCloseTo(0.4, 10);
+        expect(out.travel_time).toBeCloseTo(40, 10);
+        expect(back).toBeDefined();
+    });
+
+    test('cut mode keeps the inside part of edges passing through', () => {
+        const result = clipGraph(graph, bounds, { mode: 'cut' });
+        const through = result.edges.find(e => e.wayId === 101);
+        expect(through.weight).toBeCloseTo(1, 10);
+        expect(result.nodes.find(n => n.id === through.source).lon).toBeCloseTo(0, 10);
+        expect(result.nodes.find(n => n.id === through.target).lon).toBeCloseTo(1, 10);
+    });
+
+    test('every edge references a kept node', () => {
+        for (const mode of ['drop', 'keep_first', 'cut']) {
+            const result = clipGraph(graph, bounds, { mode });
+            const ids = new Set(result.nodes.map(n => n.id));
+            expect(result.edges.every(e => ids.has(e.source) && ids.has(e.target))).toBe(true);
+        }
+    });
+
+    test('records bounds and mode in graph attributes', () => {
+        const result = clipGraph(graph, bounds);
+        expect(result.graph.clipMode).toBe('cut');
+        expect(result.graph.clipBounds).toEqual(bounds);
+    });
+
+    test('throws on unknown mode and invalid bounds', () => {
+        expect(() => clipGraph(graph, bounds, { mode: 'trim' })).toThrow('Unknown clip mode: trim');
+        expect(() => clipGraph(graph, { north: 0, south: 1, east: 1, west: 0 })).toThrow();
+    });
+});
+
+describe('clipGraphToPolygon', () => {
+    // Triangle with its apex at (lat 1, lon 0.5)
+    const polygon = [[0, 0], [1, 0], [0.5, 1]];
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: {},
+        nodes: [
+            { id: 1, lat: 0.2, lon: 0.3 },
+            { id: 2, lat: 0.2, lon: 0.7 },
+            { id: 3, lat: 0.8, lon: 0.9 }
+        ],
+        edges: [
+            { source: 1, target: 2, wayId: 100, weight: 0.4 },
+            { source: 1, target: 3, wayId: 101, weight: 1 }
+        ]
+    };
+
+    test('keeps nodes inside the polygon only', () => {
+        const result = clipGraphToPolygon(graph, polygon, { mode: 'drop' });
+        expect(result.nodes.map(n => n.id)).toEqual([1, 2]);
+        expect(result.edges).toHaveLength(1);
+    });
+
+    test('cuts edges at the polygon boundary', () => {
+        const result = clipGraphToPolygon(graph, polygon);
+        const boundary = result.nodes.filter(n => n.boundary);
+        expect(boundary).toHaveLength(1);
+        // Edge 1->3 leaves through the right side, lon = 1 - lat / 2
+        expect(boundary[0].lon).toBeCloseTo(1 - boundary[0].lat / 2, 10);
+        const cut = result.edges.find(e => e.wayId === 101);
+        expect(cut.target).toBe(boundary[0].id);
+        expect(cut.weight).toBeGreaterThan(0);
+        expect(cut.weight).toBeLessThan(1);
+    });
+
+    test('records the polygon and mode in graph attributes', () => {
+        const result = clipGraphToPolygon(graph, [...polygon, polygon[0]]);
+        expect(result.graph.clipMode).toBe('cut');
+        expect(result.graph.clipPolygon).toEqual(polygon);
+    });
+
+    test('throws on invalid polygon', () => {
+        expect(() => clipGraphToPolygon(graph, polygon.slice(0, 2))).toThrow('Polygon must have at least 3 vertices');
+    });
+});
+
+describe('clipGraphToBoundary', () => {
+    // Square 0..4 with a hole 1..3
+    const boundary = {
+        id: 7,
+        name: 'Town',
+        rings: [
+            [[0, 0], [4, 0], [4, 4], [0, 4]],
+            [[1, 1], [3, 1], [3, 3], [1, 3]]
+        ]
+    };
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: {},
+        nodes: [
+            { id: 1, lat: 0.5, lon: 0.5 },
+            { id: 2, lat: 0.5, lon: 3.5 },
+            { id: 3, lat: 2, lon: 2 },
+            { id: 4, lat: 5, lon: 5 }
+        ],
+        edges: [
+            { source: 1, target: 2, wayId: 100, weight: 3 },
+            { source: 1, target: 3, wayId: 101, weight: 2 },
+            { source: 2, target: 4, wayId: 102, weight: 2 }
+        ]
+    };
+
+    test('treats inner rings as holes', () => {
+        const result = clipGraphToBoundary(graph, boundary, { mode: 'drop' });
+        expect(result.nodes.map(n => n.id)).toEqual([1, 2]);
+        expect(result.edges.map(e => e.wayId)).toEqual([100]);
+    });
+
+    test('cuts edges at outer and inner rings', () => {
+        const result = clipGraphToBoundary(graph, boundary);
+        const boundaryNodes = result.nodes.filter(n => n.boundary);
+        expect(boundaryNodes).toHaveLength(2);
+        const intoHole = result.edges.find(e => e.wayId === 101);
+        expect(result.nodes.find(n => n.id === intoHole.target).lat).toBeCloseTo(1, 10);
+    });
+
+    test('records the boundary id and name', () => {
+        const result = clipGraphToBoundary(graph, boundary);
+        expect(result.graph.boundaryId).toBe(7);
+        expect(result.graph.boundaryName).toBe('Town');
+        expect(result.graph.clipMode).toBe('cut');
+        expect(clipGraphToBoundary(graph, { ...boundary, name: null }).graph).not.toHaveProperty('boundaryName');
+    });
+
+    test('clips to a boundary with thousands of vertices quickly', () => {
+        // Circle of radius 0.01° with 5000 vertices over an 80 × 80 street grid
+        const ring = Array.from({ length: 5000 }, (_, i) => {
+            const angle = 2 * Math.PI * i / 5000;
+            return [0.01 * Math.cos(angle), 0.01 * Math.sin(angle)];
+        });
+        const size = 80;
+        const id = (i, j) => i * size + j + 1;
+        const nodes = [];
+        const edges = [];
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                nodes.push({ id: id(i, j), lat: -0.012 + i * 0.0003, lon: -0.012 + j * 0.0003 });
+                if (j + 1 < size) edges.push({ source: id(i, j), target: id(i, j + 1), wayId: i, weight: 1 });
+                if (i + 1 < size) edges.push({ source: id(i, j), target: id(i + 1, j), wayId: 100 + j, weight: 1 });
+            }
+        }
+
+        const start = Date.now();
+        const result = clipGraphToBoundary({ nodes, edges, graph: {} }, { id: 1, rings: [ring] });
+        expect(Date.now() - start).toBeLessThan(1500);
+
+        const cuts = result.nodes.filter(n => n.boundary);
+        expect(cuts.length).toBeGreaterThan(100);
+        for (const n of cuts) {
+            expect(Math.hypot(n.lat, n.lon)).toBeCloseTo(0.01, 5);
+        }
+        for (const n of result.nodes.filter(n => !n.boundary)) {
+            expect(Math.hypot(n.lat, n.lon)).toBeLessThanOrEqual(0.01 + 1e-12);
+        }
+    });
+});
+
+describe('assignEdgeKeys', () => {
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: {},
+        nodes: [{ id: 1 }, { id: 2 }],
+        edges: [
+            { source: 1, target: 2, wayId: 300, weight: 1 },
+            { source: 1, target: 2, wayId: 100, weight: 2 },
+            { source: 2, target: 1, wayId: 100, weight: 2 },
+            { source: 1, target: 2, wayId: 300, weight: 3 }
+        ]
+    };
+
+    test('numbers parallel edges per node pair by way id and position', () => {
+        const result = assignEdgeKeys(graph);
+        expect(result.multigraph).toBe(true);
+        expect(result.edges.map(e => e.key)).toEqual([1, 0, 0, 2]);
+        expect(result.edges[0]).toEqual({ source: 1, target: 2, key: 1, wayId: 300, weight: 1 });
+    });
+
+    test('is stable when reapplied', () => {
+        const once = assignEdgeKeys(graph);
+        expect(assignEdgeKeys(once).edges).toEqual(once.edges);
+    });
+
+    test('groups both directions in undirected graphs', () => {
+        const result = assignEdgeKeys({ ...graph, directed: false });
+        expect(result.edges.map(e => e.key)).toEqual([2, 0, 1, 3]);
+    });
+});
+
+describe('connected components', () => {
+    // 1 <-> 2 -> 3 <-> 4 (two strong components joined one way), 5 -> 6 island
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: {},
+        nodes: [1, 2, 3, 4, 5, 6].map(id => ({ id, lat: 0, lon: id })),
+        edges: [
+            { source: 1, target: 2 },
+            { source: 2, target: 1 },
+            { source: 2, target: 3 },
+            { source: 3, target: 4 },
+            { source: 4, target: 3 },
+            { source: 5, target: 6 }
+        ]
+    };
+    const sorted = components => components.map(c => [...c].sort((a, b) => a - b));
+
+    test('weak components ignore direction, largest first', () => {
+        expect(sorted(weaklyConnectedComponents(graph))).toEqual([[1, 2, 3, 4], [5, 6]]);
+    });
+
+    test('strong components follow direction', () => {
+        const components = sorted(stronglyConnectedComponents(graph));
+        expect(components).toHaveLength(4);
+        expect(components.slice(0, 2)).toEqual(expect.arrayContaining([[1, 2], [3, 4]]));
+        expect(components.slice(2)).toEqual(expect.arrayContaining([[5], [6]]));
+    });
+
+    test('strong components of an undirected graph are the weak ones', () => {
+        const undirected = { ...graph, directed: false };
+        expect(sorted(stronglyConnectedComponents(undirected))).toEqual([[1, 2, 3, 4], [5, 6]]);
+    });
+
+    test('handles long chains without recursion limits', () => {
+        const n = 50000;
+        const ring = {
+            directed: true,
+            nodes: Array.from({ length: n }, (_, id) => ({ id })),
+            edges: Array.from({ length: n }, (_, id) => ({ source: id, target: (id + 1) % n }))
+        };
+        expect(stronglyConnectedComponents(ring)).toHaveLength(1);
+    });
+
+    test('labelComponents tags nodes and counts components', () => {
+        const result = labelComponents(graph);
+        const node = id => result.nodes.find(n => n.id === id);
+        expect(node(1).weak_component).toBe(0);
+        expect(node(6).weak_component).toBe(1);
+        expect(node(1).strong_component).toBe(node(2).strong_component);
+        expect(node(1).strong_component).not.toBe(node(3).strong_component);
+        expect(result.graph.weakComponents).toBe(2);
+        expect(result.graph.strongComponents).toBe(4);
+    });
+
+    test('keepLargestComponent keeps the largest weak component', () => {
+        const result = keepLargestComponent(graph, { connectivity: 'weak' });
+        expect(result.nodes.map(n => n.id)).toEqual([1, 2, 3, 4]);
+        expect(result.edges).toHaveLength(5);
+        expect(result.graph.largestComponent).toBe('weak');
+        expect(result.graph.componentsRemoved).toBe(1);
+    });
+
+    test('keepLargestComponent keeps a strong component by default', () => {
+        const result = keepLargestComponent(graph);
+        expect(result.nodes).toHaveLength(2);
+        expect(result.edges).toHaveLength(2);
+        expect(result.graph.componentsRemoved).toBe(3);
+    });
+
+    test('keepLargestComponent handles empty graphs and unknown connectivity', () => {
+        const empty = { directed: true, nodes: [], edges: [], graph: {} };
+        expect(keepLargestComponent(empty).graph.componentsRemoved).toBe(0);
+        expect(() => keepLargestComponent(graph, { connectivity: 'semi' })).toThrow('Unknown connectivity: semi');
+    });
+});
+
+/**
+ * Writes a minimal single-strip, little-endian GeoTIFF with a 0.5 degree grid
+ * whose top-left pixel corner is at lon 10, lat 50
+ */
+function buildTiff({ width, height, values, bits = 16, format = 2, compression = 1, predictor = 1,
+    encode = bytes => bytes, pixelIsPoint = false, projected = false, nodata }) {
+    const raw = new DataView(new ArrayBuffer(width * height * bits / 8));
+    const setter = { '2-16': 'setInt16', '3-32': 'setFloat32' }[`${format}-${bits}`];
+    values.forEach((value, i) => {
+        const stored = predictor === 2 && i % width > 0 ? value - values[i - 1] : value;
+        raw[setter](i * bits / 8, stored, true);
+    });
+    const strip = encode(new Uint8Array(raw.buffer));
+
+    const fields = [
+        [256, 3, [width]], [257, 3, [height]], [258, 3, [bits]], [259, 3, [compression]],
+        [273, 4, [8]], [277, 3, [1]], [278, 3, [height]], [279, 4, [strip.length]],
+        [317, 3, [predictor]], [339, 3, [format]],
+        [33550, 12, [0.5, 0.5, 0]],
+        [33922, 12, [0, 0, 0, 10, 50, 0]],
+        [34735, 3, [1, 1, 0, 2, 1024, 0, 1, projected ? 1 : 2, 1025, 0, 1, pixelIsPoint ? 2 : 1]]
+    ];
+    if (nodata !== undefined) fields.push([42113, 2, `${nodata}\0`]);
+
+    const sizes = { 2: 1, 3: 2, 4: 4, 12: 8 };
+    const ifdOffset = 8 + strip.length + (strip.length % 2);
+    let end = ifdOffset + 2 + fields.length * 12 + 4;
+    const layout = fields.map(([tag, type, value]) => {
+        const size = value.length * sizes[type];
+        const offset = size > 4 ? end : null;
+        if (offset !== null) end += size + (size % 2);
+        return { tag, type, value, offset };
+    });
+
+    const buffer = new ArrayBuffer(end);
+    const view = new DataView(buffer);
+    view.setUint16(0, 0x4949);
+    view.setUint16(2, 42, true);
+    view.setUint32(4, ifdOffset, true);
+    new Uint8Array(buffer, 8).set(strip);
+    view.setUint16(ifdOffset, layout.length, true);
+    layout.forEach(({ tag, type, value, offset }, i) => {
+        const entry = ifdOffset + 2 + i * 12;
+        view.setUint16(entry, tag, true);
+        view.setUint16(entry + 2, type, true);
+        view.setUint32(entry + 4, value.length, true);
+        if (offset !== null) view.setUint32(entry + 8, offset, true);
+        const at = offset === null ? entry + 8 : offset;
+        for (let k = 0; k < value.length; k++) {
+            if (type === 2) view.setUint8(at + k, value.charCodeAt(k));
+            if (type === 3) view.setUint16(at + k * 2, value[k], true);
+            if (type === 4) view.setUint32(at + k * 4, value[k], true);
+            if (type === 12) view.setFloat64(at + k * 8, value[k], true);
+        }
+    });
+    return buffer;
+}
+
+/** TIFF-flavoured LZW encoder (MSB-first codes, early change) */
+function encodeLzw(bytes) {
+    const out = [];
+    let acc = 0;
+    let bits = 0;
+    let width = 9;
+    const put = code => {
+        acc = (acc << width) | code;
+        bits += width;
+        while (bits >= 8) {
+            out.push((acc >> (bits - 8)) & 255);
+            bits -= 8;
+        }
+        acc &= (1 << bits) - 1;
+    };
+
+    const dictionary = new Map();
+    let next = 258;
+    put(256);
+    let prefix = String(bytes[0]);
+    const codeOf = key => (dictionary.has(key) ? dictionary.get(key) : Number(key));
+    for (let i = 1; i < bytes.length; i++) {
+        const key = `${prefix},${bytes[i]}`;
+        if (dictionary.has(key)) {
+            prefix = key;
+            continue;
+        }
+        put(codeOf(prefix));
+        dictionary.set(key, next++);
+        if (next >= (1 << width)) width++;
+        prefix = String(bytes[i]);
+    }
+    put(codeOf(prefix));
+    next++;
+    if (next >= (1 << width)) width++;
+    put(257);
+    if (bits > 0) out.push((acc << (8 - bits)) & 255);
+    return Uint8Array.from(out);
+}
+
+describe('parseHGT', () => {
+    // 3x3 tile; rows run north to south
+    const hgt = values => {
+        const view = new DataView(new ArrayBuffer(values.length * 2));
+        values.forEach((v, i) => view.setInt16(i * 2, v, false));
+        return view.buffer;
+    };
+
+    test('reads big-endian samples and the corner from the file name', () => {
+        const dem = parseHGT(hgt([1, 2, 3, 4, 5, 6, 7, 8, 9]), 'N50E010.hgt');
+        expect(dem).toMatchObject({ width: 3, height: 3, originLat: 51, originLon: 10, dLat: 0.5, dLon: 0.5, nodata: -32768 });
+        expect(Array.from(dem.data)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    });
+
+    test('handles southern and western tiles', () => {
+        const dem = parseHGT(hgt(new Array(4).fill(0)), 's34w071.hgt');
+        expect(dem.originLat).toBe(-33);
+        expect(dem.originLon).toBe(-71);
+    });
+
+    test('throws on bad sizes and names', () => {
+        expect(() => parseHGT(new ArrayBuffer(10), 'N50E010.hgt')).toThrow('HGT file must contain a square grid of 16-bit samples');
+        expect(() => parseHGT(hgt([1, 2, 3, 4]), 'dem.hgt')).toThrow('HGT file name must encode its corner');
+    });
+});
+
+describe('parseGeoTIFF', () => {
+    const values = [100, 200, 300, 400, 500, 600];
+
+    test('reads an uncompressed int16 GeoTIFF with pixel-centre origin', async () => {
+        const dem = await parseGeoTIFF(buildTiff({ width: 3, height: 2, values }));
+        expect(dem).toMatchObject({ width: 3, height: 2, originLat: 49.75, originLon: 10.25, dLat: 0.5, dLon: 0.5, nodata: null });
+        expect(Array.from(dem.data)).toEqual(values);
+    });
+
+    test('places PixelIsPoint samples on the tie point', async () => {
+        const dem = await parseGeoTIFF(buildTiff({ width: 3, height: 2, values, pixelIsPoint: true }));
+        expect(dem.originLat).toBe(50);
+        expect(dem.originLon).toBe(10);
+    });
+
+    test('reads Deflate-compressed float32 samples and the nodata value', async () => {
+        const dem = await parseGeoTIFF(buildTiff({
+            width: 2, height: 2, values: [1.5, -9999, 3.25, 4], bits: 32, format: 3,
+            compression: 8, encode: bytes => new Uint8Array(deflateSync(bytes)), nodata: -9999
+        }));
+        expect(Array.from(dem.data)).toEqual([1.5, -9999, 3.25, 4]);
+        expect(dem.nodata).toBe(-9999);
+    });
+
+    test('reads LZW-compressed samples with horizontal differencing', async () => {
+        const width = 40;
+        const height = 30;
+        const grid = Array.from({ length: width * height }, (_, i) => ((i * 7919) % 3001) - 1500);
+        const dem = await parseGeoTIFF(buildTiff({ width, height, values: grid, compression: 5, predictor: 2, encode: encodeLzw }));
+        expect(Array.from(dem.data)).toEqual(grid);
+    });
+
+    test('throws on non-TIFF and projected files', async () => {
+        await expect(parseGeoTIFF(new ArrayBuffer(16))).rejects.toThrow('Not a TIFF file');
+        await expect(parseGeoTIFF(buildTiff({ width: 3, height: 2, values, projected: true })))
+            .rejects.toThrow('Only GeoTIFFs in geographic coordinates (EPSG:4326) are supported');
+    });
+});
+
+describe('parseDEM', () => {
+    test('picks the parser by file name', async () => {
+        const hgt = new ArrayBuffer(8);
+        expect((await parseDEM(hgt, 'N50E010.HGT')).width).toBe(2);
+        const tiff = buildTiff({ width: 1, height: 1, values: [7] });
+        expect(Array.from((await parseDEM(tiff, 'dem.tif')).data)).toEqual([7]);
+    });
+});
+
+describe('sampleElevation', () => {
+    // 2x2 grid, north-west sample at (lat 1, lon 0), one degree apart
+    const dem = { width: 2, height: 2, originLat: 1, originLon: 0, dLat: 1, dLon: 1, data: Float32Array.from([10, 20, 30, 40]), nodata: -32768 };
+
+    test('interpolates bilinearly', () => {
+        expect(sampleElevation(dem, 1, 0)).toBe(10);
+        expect(sampleElevation(dem, 0, 1)).toBe(40);
+        expect(sampleElevation(dem, 0.5, 0.5)).toBeCloseTo(25, 10);
+        expect(sampleElevation(dem, 1, 0.25)).toBeCloseTo(12.5, 10);
+    });
+
+    test('returns null outside the grid', () => {
+        expect(sampleElevation(dem, 1.1, 0.5)).toBeNull();
+        expect(sampleElevation(dem, 0.5, -0.1)).toBeNull();
+    });
+
+    test('reweights around void samples', () => {
+        const holey = { ...dem, data: Float32Array.from([10, -32768, 30, 40]) };
+        expect(sampleElevation(holey, 0.5, 0.5)).toBeCloseTo((10 + 30 + 40) / 3, 5);
+        expect(sampleElevation({ ...dem, data: new Float32Array(4).fill(-32768) }, 0.5, 0.5)).toBeNull();
+    });
+});
+
+describe('addElevation', () => {
+    const dem = { width: 2, height: 2, originLat: 1, originLon: 0, dLat: 1, dLon: 1, data: Float32Array.from([0, 100, 0, 100]), nodata: null };
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: {},
+        nodes: [
+            { id: 1, lat: 0.5, lon: 0 },
+            { id: 2, lat: 0.5, lon: 0.5 },
+            { id: 3, lat: 0.5, lon: 5 }
+        ],
+        edges: [
+            { source: 1, target: 2, weight: 2 },
+            { source: 2, target: 1, weight: 2 },
+            { source: 2, target: 3, weight: 1 }
+        ]
+    };
+
+    test('adds node elevations and edge grades', () => {
+        const result = addElevation(graph, [dem]);
+        expect(result.nodes[0].elevation).toBe(0);
+        expect(result.nodes[1].elevation).toBe(50);
+        expect(result.nodes[2]).not.toHaveProperty('elevation');
+        expect(result.edges[0].grade).toBe(0.025);
+        expect(result.edges[1].grade).toBe(-0.025);
+        expect(result.edges[1].grade_abs).toBe(0.025);
+        expect(result.edges[2]).not.toHaveProperty('grade');
+    });
+
+    test('sums gain and loss counting two-way streets once', () => {
+        const result = addElevation(graph, [dem]);
+        expect(result.graph.elevationGain).toBe(50);
+        expect(result.graph.elevationLoss).toBe(0);
+    });
+
+    test('does not cancel out a two-way uphill street', () => {
+        const street = {
+            directed: true,
+            graph: {},
+            nodes: [
+                { id: 1, lat: 0.5, lon: 0 },
+                { id: 2, lat: 0.5, lon: 0.25 },
+                { id: 3, lat: 0.5, lon: 0.5 }
+            ],
+            edges: [
+                { source: 1, target: 2, wayId: 10, weight: 1 },
+                { source: 2, target: 1, wayId: 10, weight: 1 },
+                { source: 2, target: 3, wayId: 10, weight: 1 },
+                { source: 3, target: 2, wayId: 10, weight: 1 }
+            ]
+        };
+        const result = addElevation(street, [dem]);
+        expect(result.graph.elevationGain).toBe(50);
+        expect(result.graph.elevationLoss).toBe(0);
+        expect(result.edges[3].grade).toBeLessThan(0);
+    });
+
+    test('drops elevations and grades the next DEMs do not cover', () => {
+        const far = { ...dem, originLon: 4 };
+        const first = addElevation(graph, [dem]);
+        const second = addElevation(first, [far]);
+        expect(second.nodes[0]).not.toHaveProperty('elevation');
+        expect(second.nodes[1]).not.toHaveProperty('elevation');
+        expect(second.nodes[2].elevation).toBe(100);
+        expect(second.edges[0]).not.toHaveProperty('grade');
+        expect(second.edges[1]).not.toHaveProperty('grade_abs');
+        expect(second.graph.elevationGain).toBe(0);
+    });
+
+    test('uses the first DEM covering a node', () => {
+        const far = { ...dem, originLon: 4 };
+        const result = addElevation(graph, [dem, far]);
+        expect(result.nodes[2].elevation).toBe(100);
+    });
+});
+
+describe('parseTurnRestrictions', () => {
+    const relation = (id, tags, members) => ({ type: 'relation', id, tags: { type: 'restriction', ...tags }, members });
+    const nodeVia = [
+        { type: 'way', ref: 10, role: 'from' },
+        { type: 'node', ref: 2, role: 'via' },
+        { type: 'way', ref: 11, role: 'to' }
+    ];
+
+    test('parses via-node restrictions', () => {
+        const result = parseTurnRestrictions({ elements: [relation(1, { restriction: 'no_left_turn' }, nodeVia)] });
+        expect(result).toEqual([
+            { id: 1, restriction: 'no_left_turn', kind: 'no', from: 10, viaType: 'node', via: [2], to: 11 }
+        ]);
+    });
+
+    test('parses via-way restrictions', () => {
+        const members = [
+            { type: 'way', ref: 10, role: 'from' },
+            { type: 'way', ref: 12, role: 'via' },
+            { type: 'way', ref: 13, role: 'via' },
+            { type: 'way', ref: 10, role: 'to' }
+        ];
+        const result = parseTurnRestrictions({ elements: [relation(1, { restriction: 'no_u_turn' }, members)] });
+        expect(result[0].viaType).toBe('way');
+        expect(result[0].via).toEqual([12, 13]);
+    });
+
+    test('recognises only_ restrictions', () => {
+        const result = parseTurnRestrictions({ elements: [relation(1, { restriction: 'only_straight_on' }, nodeVia)] });
+        expect(result[0].kind).toBe('only');
+    });
+
+    test('uses mode-specific keys and except', () => {
+        const elements = [
+            relation(1, { restriction: 'no_left_turn', except: 'bicycle' }, nodeVia),
+            relation(2, { 'restriction:bicycle': 'no_right_turn' }, nodeVia)
+        ];
+        expect(parseTurnRestrictions({ elements }).map(r => r.id)).toEqual([1]);
+        expect(parseTurnRestrictions({ elements }, { profile: 'bike' }).map(r => r.id)).toEqual([2]);
+        expect(parseTurnRestrictions({ elements }, { profile: 'walk' })).toEqual([]);
+    });
+
+    test('expands multiple from ways', () => {
+        const members = [{ type: 'way', ref: 9, role: 'from' }, ...nodeVia];
+        const result = parseTurnRestrictions({ elements: [relation(1, { restriction: 'no_entry' }, members)] });
+        expect(result.map(r => r.from)).toEqual([9, 10]);
+    });
+
+    test('skips incomplete and unknown restrictions', () => {
+        const elements = [
+            relation(1, { restriction: 'no_left_turn' }, nodeVia.slice(0, 2)),
+            relation(2, { restriction: 'give_way' }, nodeVia),
+            { type: 'relation', id: 3, tags: { type: 'route' }, members: nodeVia }
+        ];
+        expect(parseTurnRestrictions({ elements })).toEqual([]);
+        expect(parseTurnRestrictions(null)).toEqual([]);
+    });
+
+    test('convertToGraph lists restrictions in graph attributes', () => {
+        const graph = convertToGraph({ elements: [relation(1, { restriction: 'no_left_turn' }, nodeVia)] });
+        expect(graph.graph.restrictions).toHaveLength(1);
+    });
+});
+
+describe('buildTurnGraph', () => {
+    // A cross junction at node 5: way 10 from the west (1), 11 to the north (2),
+    // 12 to the east (3), 13 to the south (4)
+    const junction = extra => convertToGraph({
+        elements: [
+            { type: 'node', id: 1, lat: 0, lon: -0.001 },
+            { type: 'node', id: 2, lat: 0.001, lon: 0 },
+            { type: 'node', id: 3, lat: 0, lon: 0.001 },
+            { type: 'node', id: 4, lat: -0.001, lon: 0 },
+            { type: 'node', id: 5, lat: 0, lon: 0 },
+            { type: 'way', id: 10, nodes: [1, 5], tags: { highway: 'residential' } },
+            { type: 'way', id: 11, nodes: [5, 2], tags: { highway: 'residential' } },
+            { type: 'way', id: 12, nodes: [5, 3], tags: { highway: 'residential' } },
+            { type: 'way', id: 13, nodes: [5, 4], tags: { highway: 'residential' } },
+            ...extra
+        ]
+    });
+    const restriction = (value, members) => ({
+        type: 'relation', id: 99, tags: { type: 'restriction', restriction: value }, members
+    });
+    const viaNode = [
+        { type: 'way', ref: 10, role: 'from' },
+        { type: 'node', ref: 5, role: 'via' },
+        { type: 'way', ref: 11, role: 'to' }
+    ];
+
+    // Ways reachable from the westbound approach (1 -> 5)
+    const exitsFromWest = turnGraph => {
+        const entering = turnGraph.nodes.find(n => n.u === 1 && n.v === 5);
+        return turnGraph.edges
+            .filter(e => e.source === entering.id)
+            .map(e => turnGraph.nodes.find(n => n.id === e.target).wayId)
+            .sort();
+    };
+
+    test('turns every edge into a node', () => {
+        const graph = junction([]);
+        const turnGraph = buildTurnGraph(graph);
+        expect(turnGraph.nodes).toHaveLength(graph.edges.length);
+        expect(turnGraph.graph.turnGraph).toBe(true);
+        expect(turnGraph.nodes[0].lat).toBeDefined();
+    });
+
+    test('allows all turns except U-turns without restrictions', () => {
+        expect(exitsFromWest(buildTurnGraph(junction([])))).toEqual([11, 12, 13]);
+    });
+
+    test('keeps edge keys on turn nodes but not on turn edges', () => {
+        const turnGraph = buildTurnGraph(assignEdgeKeys(junction([])));
+        expect(turnGraph.multigraph).toBe(false);
+        expect(turnGraph.nodes.every(n => n.key === 0)).toBe(true);
+        expect(turnGraph.edges.some(e => 'key' in e)).toBe(false);
+    });
+
+    test('allows U-turns when requested', () => {
+        expect(exitsFromWest(buildTurnGraph(junction([]), { allowUTurns: true }))).toEqual([10, 11, 12, 13]);
+    });
+
+    test('keeps U-turns at dead ends', () => {
+        const turnGraph = buildTurnGraph(junction([]));
+        const intoDeadEnd = turnGraph.nodes.find(n => n.u === 5 && n.v === 2);
+        const exits = turnGraph.edges.filter(e => e.source === intoDeadEnd.id);
+        expect(exits).toHaveLength(1);
+    });
+
+    test('removes movements forbidden by no_ restrictions', () => {
+        const turnGraph = buildTurnGraph(junction([restriction('no_left_turn', viaNode)]));
+        expect(exitsFromWest(turnGraph)).toEqual([12, 13]);
+    });
+
+    test('keeps only the allowed movement for only_ restrictions', () => {
+        const turnGraph = buildTurnGraph(junction([restriction('only_left_turn', viaNode)]));
+        expect(exitsFromWest(turnGraph)).toEqual([11]);
+    });
+
+    test('resolves via nodes merged by consolidation', () => {
+        const graph = junction([restriction('no_left_turn', viaNode)]);
+        const merged = {
+            ...graph,
+            nodes: graph.nodes.map(n => n.id === 5 ? { ...n, id: 50, osmids: [5, 6] } : n),
+            edges: graph.edges.map(e => ({
+                ...e,
+                source: e.source === 5 ? 50 : e.source,
+                target: e.target === 5 ? 50 : e.target
+            }))
+        };
+        const turnGraph = buildTurnGraph(merged);
+        const entering = turnGraph.nodes.find(n => n.u === 1 && n.v === 50);
+        const exits = turnGraph.edges.filter(e => e.source === entering.id)
+            .map(e => turnGraph.nodes.find(n => n.id === e.target).wayId);
+        expect(exits).not.toContain(11);
+    });
+
+    test('applies via-way restrictions on a duplicated path', () => {
+        // 1 -(10)- 2 -(11)- 3 -(12)- 4, no_straight_on from 10 via 11 to 12
+        const graph = convertToGraph({
+            elements: [
+                { type: 'node', id: 1, lat: 0, lon: 0 },
+                { type: 'node', id: 2, lat: 0, lon: 0.001 },
+                { type: 'node', id: 3, lat: 0, lon: 0.002 },
+                { type: 'node', id: 4, lat: 0, lon: 0.003 },
+                { type: 'node', id: 5, lat: 0.001, lon: 0.001 },
+                { type: 'way', id: 10, nodes: [1, 2], tags: { highway: 'residential' } },
+                { type: 'way', id: 11, nodes: [2, 3], tags: { highway: 'residential' } },
+                { type: 'way', id: 12, nodes: [3, 4], tags: { highway: 'residential' } },
+                { type: 'way', id: 14, nodes: [5, 2], tags: { highway: 'residential' } },
+                restriction('no_straight_on', [
+                    { type: 'way', ref: 10, role: 'from' },
+                    { type: 'way', ref: 11, role: 'via' },
+                    { type: 'way', ref: 12, role: 'to' }
+                ])
+            ]
+        });
+        const turnGraph = buildTurnGraph(graph);
+        const id = (u, v) => turnGraph.nodes.find(n => n.u === u && n.v === v && !n.copyOf).id;
+        const successors = from => turnGraph.edges.filter(e => e.source === from).map(e => e.target);
+
+        // Coming from way 10, the via edge is a copy that cannot continue onto way 12
+        const viaCopy = successors(id(1, 2)).find(t => t !== id(2, 5));
+        expect(turnGraph.nodes.find(n => n.id === viaCopy).copyOf).toBe(id(2, 3));
+        expect(successors(viaCopy)).not.toContain(id(3, 4));
+
+        // Coming from way 14, the original via edge still leads onto way 12
+        expect(successors(id(5, 2))).toContain(id(2, 3));
+        expect(successors(id(2, 3))).toContain(id(3, 4));
+        expect(turnGraph.graph.restrictionsSkipped).toBe(0);
+    });
+
+    test('counts restrictions whose via way the profile excludes', () => {
+        const graph = convertToGraph({
+            elements: [
+                { type: 'node', id: 1, lat: 0, lon: 0 },
+                { type: 'node', id: 2, lat: 0, lon: 0.001 },
+                { type: 'node', id: 3, lat: 0, lon: 0.002 },
+                { type: 'node', id: 4, lat: 0, lon: 0.003 },
+                { type: 'way', id: 10, nodes: [1, 2], tags: { highway: 'residential' } },
+                { type: 'way', id: 11, nodes: [2, 3], tags: { highway: 'footway' } },
+                { type: 'way', id: 12, nodes: [3, 4], tags: { highway: 'residential' } },
+                restriction('no_straight_on', [
+                    { type: 'way', ref: 10, role: 'from' },
+                    { type: 'way', ref: 11, role: 'via' },
+                    { type: 'way', ref: 12, role: 'to' }
+                ])
+            ]
+        }, { profile: 'drive' });
+        expect(graph.graph.restrictions).toHaveLength(1);
+        expect(buildTurnGraph(graph).graph.restrictionsSkipped).toBe(1);
+    });
+
+    test('handles empty graph', () => {
+        const turnGraph = buildTurnGraph({ nodes: [], edges: [], graph: {} });
+        expect(turnGraph.nodes).toEqual([]);
+        expect(turnGraph.edges).toEqual([]);
+    });
+});
+
+describe('escapeXml', () => {
+    test('passes through plain numbers', () => {
+        expect(escapeXml(123)).toBe('123');
+    });
+
+    test('passes through plain strings', () => {
+        expect(escapeXml('hello')).toBe('hello');
+    });
+
+    test('escapes ampersand', () => {
+        expect(escapeXml('a&b')).toBe('a&amp;b');
+    });
+
+    test('escapes angle brackets', () => {
+        expect(escapeXml('<script>')).toBe('&lt;script&gt;');
+    });
+
+    test('escapes quotes', () => {
+        expect(escapeXml('"it\'s"')).toBe('&quot;it&apos;s&quot;');
+    });
+});
+
+describe('convertToGraphML', () => {
+    const simpleGraph = {
+        nodes: [
+            { id: 1, lat: 52.52, lon: 13.405 },
+            { id: 2, lat: 52.53, lon: 13.406 }
+        ],
+        edges: [
+            { source: 1, target: 2, wayId: 100, weight: 1.234, highway: 'residential', name: 'Main St' }
+        ]
+    };
+
+    test('produces valid XML header', () => {
+        const xml = convertToGraphML(simpleGraph);
+        expect(xml).toContain('<?xml version="1.0" encoding="UTF-8"?>');
+        expect(xml).toContain('<graphml');
+    });
+
+    test('declares graph as directed', () => {
+        const xml = convertToGraphML(simpleGraph);
+        expect(xml).toContain('edgedefault="directed"');
+    });
+
+    test('contains correct number of nodes', () => {
+        const xml = convertToGraphML(simpleGraph);
+        const nodeMatches = xml.match(/<node /g);
+        expect(nodeMatches).toHaveLength(2);
+    });
+
+    test('contains correct number of edges', () => {
+        const xml = convertToGraphML(simpleGraph);
+        const edgeMatches = xml.match(/<edge /g);
+        expect(edgeMatches).toHaveLength(1);
+    });
+
+    test('includes node coordinates', () => {
+        const xml = convertToGraphML(simpleGraph);
+        expect(xml).toContain('<data key="lat">52.52</data>');
+        expect(xml).toContain('<data key="lon">13.405</data>');
+    });
+
+    test('includes edge weight, wayId, highway, and name', () => {
+        const xml = convertToGraphML(simpleGraph);
+        expect(xml).toContain('<data key="weight">1.234</data>');
+        expect(xml).toContain('<data key="wayId">100</data>');
+        expect(xml).toContain('<data key="highway">residential</data>');
+        expect(xml).toContain('<data key="name">Main St</data>');
+    });
+
+    test('declares and writes speed_kph and travel_time', () => {
+        const graph = {
+            nodes: simpleGraph.nodes,
+            edges: [{ ...simpleGraph.edges[0], speed_kph: 30, travel_time: 148.08 }]
+        };
+        const xml = convertToGraphML(graph);
+        expect(xml).toContain('<key id="speed_kph" for="edge" attr.name="speed_kph" attr.type="double"/>');
+        expect(xml).toContain('<key id="travel_time" for="edge" attr.name="travel_time" attr.type="double"/>');
+        expect(xml).toContain('<data key="speed_kph">30</data>');
+        expect(xml).toContain('<data key="travel_time">148.08</data>');
+    });
+
+    test('writes scalar graph attributes as graph data', () => {
+        const xml = convertToGraphML({ ...simpleGraph, graph: { profile: 'bike', simplified: true } });
+        expect(xml).toContain('<key id="graph_profile" for="graph" attr.name="profile" attr.type="string"/>');
+        expect(xml).toContain('<key id="graph_simplified" for="graph" attr.name="simplified" attr.type="boolean"/>');
+        expect(xml).toContain('<data key="graph_profile">bike</data>');
+        expect(xml).toContain('<data key="graph_simplified">true</data>');
+    });
+
+    test('serializes list graph attributes as JSON', () => {
+        const restrictions = [{ id: 1, restriction: 'no_left_turn' }];
+        const xml = convertToGraphML({ ...simpleGraph, graph: { restrictions } });
+        expect(xml).toContain('attr.name="restrictions" attr.type="string"');
+        expect(xml).toContain(`<data key="graph_restrictions">${escapeXml(JSON.stringify(restrictions))}</data>`);
+    });
+
+    test('declares retained tags with inferred types', () => {
+        const graph = {
+            nodes: [
+                { id: 1, lat: 52.52, lon: 13.405, highway: 'traffic_signals' },
+                { id: 2, lat: 52.53, lon: 13.406 }
+            ],
+            edges: [
+                { ...simpleGraph.edges[0], lanes: '2', surface: 'asphalt', width: '3.5' },
+                { ...simpleGraph.edges[0], lanes: '4', width: '7' }
+            ]
+        };
+        const xml = convertToGraphML(graph);
+        expect(xml).toContain('<key id="lanes" for="edge" attr.name="lanes" attr.type="long"/>');
+        expect(xml).toContain('<key id="surface" for="edge" attr.name="surface" attr.type="string"/>');
+        expect(xml).toContain('<key id="width" for="edge" attr.name="width" attr.type="double"/>');
+        expect(xml).toContain('<key id="node_highway" for="node" attr.name="highway" attr.type="string"/>');
+        expect(xml).toContain('<data key="node_highway">traffic_signals</data>');
+        expect(xml).toContain('<data key="lanes">2</data>');
+        expect(xml.match(/<data key="surface">/g)).toHaveLength(1);
+    });
+
+    test('mixed-type attributes fall back to string', () => {
+        const graph = {
+            nodes: [],
+            edges: [
+                { source: 1, target: 2, weight: 1, wayId: 1, maxspeed: '50' },
+                { source: 2, target: 1, weight: 1, wayId: 1, maxspeed: '30 mph' }
+            ]
+        };
+        expect(convertToGraphML(graph)).toContain('attr.name="maxspeed" attr.type="string"');
+    });
+
+    test('keeps numeric strings with leading zeros as strings', () => {
+        const graph = {
+            nodes: [],
+            edges: [
+                { source: 1, target: 2, weight: 1, wayId: 1, ref: '01', postcode: '01234', lanes: '0', width: '0.5' },
+                { source: 2, target: 1, weight: 1, wayId: 1, ref: '12', postcode: '10115', lanes: '2', width: '03.5' }
+            ]
+        };
+        const xml = convertToGraphML(graph);
+        expect(xml).toContain('attr.name="ref" attr.type="string"');
+        expect(xml).toContain('attr.name="postcode" attr.type="string"');
+        expect(xml).toContain('attr.name="lanes" attr.type="long"');
+        expect(xml).toContain('attr.name="width" attr.type="string"');
+        expect(convertToNeo4j(graph).relationships.split('\n')[0]).toContain('postcode:string');
+    });
+
+    test('omits speed data for edges without it', () => {
+        const xml = convertToGraphML(simpleGraph);
+        expect(xml).not.toContain('<data key="speed_kph">');
+        expect(xml).not.toContain('<data key="travel_time">');
+    });
+
+    test('declares highway and name key attributes', () => {
+        const xml = convertToGraphML(simpleGraph);
+        expect(xml).toContain('attr.name="highway"');
+        expect(xml).toContain('attr.name="name"');
+    });
+
+    test('node IDs use bare numeric values', () => {
+        const xml = convertToGraphML(simpleGraph);
+        expect(xml).toContain('<node id="1">');
+        expect(xml).toContain('<node id="2">');
+    });
+
+    test('handles empty graph', () => {
+        const xml = convertToGraphML({ nodes: [], edges: [] });
+        expect(xml).toContain('<graphml');
+        expect(xml).toContain('</graphml>');
+        expect(xml).not.toContain('<node');
+        expect(xml).not.toContain('<edge');
+    });
+});
+
+describe('geometry in text exports', () => {
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: {},
+        nodes: [{ id: 1, lat: 52.52, lon: 13.4 }, { id: 2, lat: 52.521, lon: 13.401 }],
+        edges: [{ source: 1, target: 2, weight: 0.1, wayId: 5, highway: 'residential', name: '',
+            geometry: [[13.4, 52.52], [13.4005, 52.5207], [13.401, 52.521]] }]
+    };
+
+    test('GraphML writes geometry as a WKT LineString', () => {
+        const xml = convertToGraphML(graph);
+        expect(xml).toContain('attr.name="geometry" attr.type="string"');
+        expect(xml).toContain('<data key="geometry">LINESTRING (13.4 52.52, 13.4005 52.5207, 13.401 52.521)</data>');
+    });
+
+    test('CSV writes geometry as a quoted WKT LineString', () => {
+        const lines = convertToCSV(graph).split('\n');
+        expect(lines[0]).toBe('source,target,weight,highway,name,wayId,geometry');
+        expect(lines[1]).toBe('1,2,0.1,residential,,5,"LINESTRING (13.4 52.52, 13.4005 52.5207, 13.401 52.521)"');
+    });
+});
+
+describe('convertToGraphML multigraph', () => {
+    const graph = {
+        directed: true,
+        multigraph: true,
+        graph: {},
+        nodes: [{ id: 1, lat: 0, lon: 0 }, { id: 2, lat: 0, lon: 1 }],
+        edges: [
+            { source: 1, target: 2, key: 0, weight: 1, wayId: 100, highway: 'residential', name: '' },
+            { source: 1, target: 2, key: 1, weight: 2, wayId: 101, highway: 'service', name: '' }
+        ]
+    };
+
+    test('uses edge keys as edge ids', () => {
+        const xml = convertToGraphML(graph);
+        expect(xml).toContain('<edge id="0" source="1" target="2">');
+        expect(xml).toContain('<edge id="1" source="1" target="2">');
+    });
+
+    test('does not declare key as a data attribute', () => {
+        expect(convertToGraphML(graph)).not.toContain('attr.name="key"');
+    });
+});
+
+describe('mergeSnapshots', () => {
+    const snapshot = (nodeIds, edges) => ({
+        directed: true,
+        multigraph: false,
+        graph: { profile: 'drive' },
+        nodes: nodeIds.map(id => ({ id, lat: 52 + id / 1000, lon: 13 })),
+        edges
+    });
+
+    test('gives nodes and edges the date ranges they appear in', () => {
+        const merged = mergeSnapshots([
+            { date: '2022-01-01', graph: snapshot([1, 2, 3], [{ source: 1, target: 2, wayId: 5, name: 'Old' }]) },
+            { date: '2020-01-01', graph: snapshot([1, 2], [{ source: 1, target: 2, wayId: 5, name: 'Older' }]) },
+            { date: '2021-01-01', graph: snapshot([1, 3], []) }
+        ]);
+        expect(merged.graph.snapshots).toEqual(['2020-01-01', '2021-01-01', '2022-01-01']);
+        const byId = new Map(merged.nodes.map(n => [n.id, n.spells]));
+        expect(byId.get(1)).toEqual([{ start: '2020-01-01' }]);
+        expect(byId.get(2)).toEqual([
+            { start: '2020-01-01', end: '2021-01-01' },
+            { start: '2022-01-01' }
+        ]);
+        expect(byId.get(3)).toEqual([{ start: '2021-01-01' }]);
+        expect(merged.edges).toHaveLength(1);
+        expect(merged.edges[0].name).toBe('Old');
+        expect(merged.edges[0].spells).toHaveLength(2);
+    });
+
+    test('rejects missing or repeated dates', () => {
+        expect(() => mergeSnapshots([])).toThrow('At least one snapshot is required');
+        expect(() => mergeSnapshots([{ graph: snapshot([1], []) }])).toThrow('Every snapshot needs a date');
+        expect(() => mergeSnapshots([
+            { date: '2020-01-01', graph: snapshot([1], []) },
+            { date: '2020-01-01', graph: snapshot([1], []) }
+        ])).toThrow('Duplicate snapshot date: 2020-01-01');
+    });
+});
+
+describe('convertToGEXF', () => {
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: {},
+        nodes: [
+            { id: 1, lat: 52.52, lon: 13.4 },
+            { id: 2, lat: 52.53, lon: 13.42, highway: 'traffic_signals' }
+        ],
+        edges: [
+            { source: 1, target: 2, weight: 1.5, wayId: 7, highway: 'primary_link', name: 'A & B', lanes: '2' },
+            { source: 2, target: 1, weight: 1.5, wayId: 7, highway: 'bridleway', name: '' }
+        ]
+    };
+
+    test('declares typed attributes and writes attribute values', () => {
+        const gexf = convertToGEXF(graph);
+        expect(gexf).toContain('<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz"');
+        expect(gexf).toContain('<graph defaultedgetype="directed" mode="static">');
+        expect(gexf).toContain('<attribute id="lat" title="lat" type="double"/>');
+        expect(gexf).toContain('<attribute id="lanes" title="lanes" type="long"/>');
+        expect(gexf).not.toContain('title="weight"');
+        expect(gexf).toContain('<attvalue for="name" value="A &amp; B"/>');
+        expect(gexf).toContain('<edge id="e0" source="1" target="2" label="A &amp; B" weight="1.5">');
+    });
+
+    test('positions nodes in projected metres around the centre', () => {
+        const gexf = convertToGEXF(graph);
+        const positions = [...gexf.matchAll(/<viz:position x="([-\d.]+)" y="([-\d.]+)"/g)]
+            .map(m => [Number(m[1]), Number(m[2])]);
+        expect(positions).toHaveLength(2);
+        expect(positions[0][0]).toBeCloseTo(-positions[1][0], 2);
+        expect(positions[0][1]).toBeCloseTo(-positions[1][1], 2);
+        // 0.02 degrees of longitude are about 2226 m in Web Mercator
+        expect(positions[1][0] - positions[0][0]).toBeCloseTo(2226.39, 1);
+        expect(positions[1][1]).toBeGreaterThan(positions[0][1]);
+    });
+
+    test('colours edges by highway class', () => {
+        const gexf = convertToGEXF(graph);
+        expect(gexf).toContain('<viz:color r="217" g="148" b="38"/>');
+        expect(gexf).toContain('<viz:color r="200" g="200" b="200"/>');
+    });
+
+    test('writes spells in dynamic mode', () => {
+        const merged = mergeSnapshots([
+            { date: '2020-01-01', graph },
+            { date: '2021-06-01', graph: { ...graph, edges: graph.edges.slice(0, 1) } }
+        ]);
+        const gexf = convertToGEXF(merged);
+        expect(gexf).toContain('mode="dynamic" timeformat="date"');
+        expect(gexf).toContain('<spell start="2020-01-01"/>');
+        expect(gexf).toContain('<spell start="2020-01-01" end="2021-06-01"/>');
+        expect(gexf).not.toContain('title="spells"');
+    });
+});
+
+describe('convertToDOT', () => {
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: {},
+        nodes: [
+            { id: 1, lat: 52.52, lon: 13.4 },
+            { id: 2, lat: 52.53, lon: 13.42 },
+            { id: 3, lat: 52.52, lon: 13.42 }
+        ],
+        edges: [
+            { source: 1, target: 2, weight: 1.5, wayId: 7, highway: 'primary', name: 'Straße "Nord" \\ Süd' },
+            { source: 2, target: 3, weight: 0.5, wayId: 8, highway: 'residential', name: '' },
+            { source: 2, target: 1, weight: 1.5, wayId: 7, highway: 'primary', name: 'Straße "Nord" \\ Süd' }
+        ]
+    };
+
+    test('pins nodes to projected positions', () => {
+        const dot = convertToDOT(graph);
+        expect(dot.startsWith('digraph "osm" {')).toBe(true);
+        expect(dot).toContain('"1" ["pos"="0.00,0.00!", "lat"="52.52", "lon"="13.4"];');
+        expect(dot).toMatch(/"2" \["pos"="720\.00,[\d.]+!"/);
+        expect(dot).toContain('"3" ["pos"="720.00,0.00!"');
+    });
+
+    test('merges two-way pairs and keeps arrowheads on one-way edges', () => {
+        const dot = convertToDOT(graph);
+        const edges = dot.split('\n').filter(line => line.includes('->'));
+        expect(edges).toHaveLength(2);
+        expect(edges[0]).toContain('"1" -> "2" ["color"="#d99426", "penwidth"="3", "dir"="both"');
+        expect(edges[1]).toContain('"2" -> "3" ["color"="#787878", "penwidth"="1.5", "weight"="0.5"');
+        expect(edges[1]).not.toContain('"dir"');
+    });
+
+    test('escapes quotes, keeps backslashes and non-ASCII names', () => {
+        const dot = convertToDOT(graph);
+        expect(dot).toContain('"name"="Straße \\"Nord\\" \\ Süd"');
+        const quoted = name => convertToDOT({ ...graph, edges: [{ ...graph.edges[1], name }] });
+        expect(quoted('C:\\')).toContain('"name"="C:\\\\"');
+        expect(quoted('a\\\\')).toContain('"name"="a\\\\"');
+        expect(quoted('a\\"b')).toContain('"name"="a\\\\\\"b"');
+        expect(convertToDOT({ ...graph, edges: [{ ...graph.edges[1], name: 'a\nb' }] }))
+            .toContain('"name"="a\\nb"');
+    });
+
+    test('writes undirected graphs with plain edges', () => {
+        const dot = convertToDOT({ ...graph, directed: false });
+        expect(dot.startsWith('graph "osm" {')).toBe(true);
+        expect(dot.split('\n').filter(line => line.includes(' -- '))).toHaveLength(3);
+        expect(dot).not.toContain('"dir"');
+    });
+});
+
+describe('convertToCSV', () => {
     test('produces header row', () => {
         const csv = convertToCSV({ nodes: [], edges: [] });
         expect(csv).toBe('source,target,weight,highway,name,wayId');
     });
 
+    test('adds a key column for multigraphs', () => {
+        const graph = {
+            multigraph: true,
+            nodes: [],
+            edges: [
+                { source: 1, target: 2, key: 0, weight: 0.5, highway: 'residential', name: 'Main St', wayId: 100 },
+                { source: 1, target: 2, key: 1, weight: 0.7, highway: 'service', name: '', wayId: 101 }
+            ]
+        };
+        const lines = convertToCSV(graph).split('\n');
+        expect(lines[0]).toBe('source,target,key,weight,highway,name,wayId');
+        expect(lines[2]).toBe('1,2,1,0.7,service,,101');
+    });
+
     test('formats edge data correctly', () => {
         const graph = {
             nodes: [],
             edges: [
-                { source: 1, target: 2, weight: 0.5, highway: 'residential', name: 'Main St', wayId: 100 }
+                { source: 1, target: 2, weight: 0.5, highway: 'residential', name: 'Main St', wayId: 100,
+                    speed_kph: 30, travel_time: 60 }
             ]
         };
         const csv = convertToCSV(graph);
         const lines = csv.split('\n');
         expect(lines).toHaveLength(2);
-        expect(lines[1]).toBe('1,2,0.5,residential,Main St,100');
+        expect(lines[1]).toBe('1,2,0.5,residential,Main St,100,30,60');
+    });
+
+    test('adds columns for attributes present', () => {
+        const graph = {
+            nodes: [],
+            edges: [
+                { source: 1, target: 2, weight: 0.5, highway: 'residential', name: 'Main St', wayId: 100, lanes: '2' },
+                { source: 2, target: 3, weight: 0.5, highway: 'residential', name: 'Main St', wayId: 100, surface: 'asphalt' }
+            ]
+        };
+        const lines = convertToCSV(graph).split('\n');
+        expect(lines[0]).toBe('source,target,weight,highway,name,wayId,lanes,surface');
+        expect(lines[1]).toBe('1,2,0.5,residential,Main St,100,2,');
+        expect(lines[2]).toBe('2,3,0.5,residential,Main St,100,,asphalt');
+    });
+
+    test('writes list attributes as JSON', () => {
+        const graph = {
+            nodes: [],
+            edges: [{ source: 1, target: 2, weight: 0.5, wayId: 100, osmids: [1, 2] }]
+        };
+        expect(convertToCSV(graph)).toContain('"[1,2]"');
     });
 
     test('quotes values with commas', () => {
@@ -473,6 +2401,472 @@ describe('convertToCSV', () => {
     });
 });
 
+describe('createZip', () => {
+    test('stores files with names, sizes and CRC-32 checksums', () => {
+        const zip = createZip([
+            { name: 'hello.txt', data: 'hello' },
+            { name: 'straße.bin', data: new Uint8Array([1, 2, 3]) }
+        ]);
+        const view = new DataView(zip.buffer);
+        expect(view.getUint32(0, true)).toBe(0x04034B50);
+        expect(view.getUint32(14, true)).toBe(0x3610A686);
+        expect(view.getUint32(18, true)).toBe(5);
+        expect(new TextDecoder().decode(zip.subarray(30, 39))).toBe('hello.txt');
+        expect(new TextDecoder().decode(zip.subarray(39, 44))).toBe('hello');
+
+        const end = zip.length - 22;
+        expect(view.getUint32(end, true)).toBe(0x06054B50);
+        expect(view.getUint16(end + 10, true)).toBe(2);
+        const central = view.getUint32(end + 16, true);
+        expect(view.getUint32(central, true)).toBe(0x02014B50);
+        expect(central + view.getUint32(end + 12, true)).toBe(end);
+    });
+
+    test('gives the same bytes for the same files', () => {
+        const files = [{ name: 'a.txt', data: 'x' }];
+        expect(createZip(files)).toEqual(createZip(files));
+    });
+});
+
+describe('convertToNeo4j', () => {
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: {},
+        nodes: [
+            { id: 1, lat: 52.52, lon: 13.4, highway: 'traffic_signals' },
+            { id: 2, lat: 52.521, lon: 13.401 }
+        ],
+        edges: [
+            { source: 1, target: 2, weight: 0.13, wayId: 10, highway: 'primary', name: 'Say "Hi", Street', lanes: '2', 'maxspeed:conditional': '30 @ (22:00-06:00)' }
+        ]
+    };
+
+    test('writes typed node and relationship headers', () => {
+        const { nodes, relationships, cypher } = convertToNeo4j(graph);
+        expect(nodes).toBe('id:ID,lat:float,lon:float,highway:string,:LABEL\n1,52.52,13.4,traffic_signals,OSMNode\n2,52.521,13.401,,OSMNode\n');
+        expect(relationships.split('\n')[0]).toBe(
+            ':START_ID,:END_ID,:TYPE,weight:float,wayId:long,highway:string,name:string,lanes:long,maxspeed:conditional:string');
+        expect(relationships.split('\n')[1]).toBe(
+            '1,2,ROAD_SEGMENT,0.13,10,primary,"Say ""Hi"", Street",2,30 @ (22:00-06:00)');
+        expect(cypher).toBeUndefined();
+    });
+
+    test('adds a LOAD CSV script on request', () => {
+        const { cypher } = convertToNeo4j(graph, { cypher: true });
+        expect(cypher).toContain("LOAD CSV WITH HEADERS FROM 'file:///osm-graph-nodes.csv' AS row");
+        expect(cypher).toContain('CREATE (:OSMNode {id: row.`id:ID`, lat: toFloat(row.`lat:float`), lon: toFloat(row.`lon:float`), highway: row.`highway:string`})');
+        expect(cypher).toContain('lanes: toInteger(row.`lanes:long`), `maxspeed:conditional`: row.`maxspeed:conditional:string`');
+        expect(cypher).toContain('MATCH (a:OSMNode {id: row.`:START_ID`}), (b:OSMNode {id: row.`:END_ID`})');
+    });
+});
+
+describe('convertToDIMACS', () => {
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: {},
+        nodes: [
+            { id: 101, lat: 52.52, lon: 13.4 },
+            { id: -1, lat: 52.5212345, lon: -0.0000004 },
+            { id: 7, lat: 52.53, lon: 13.42 }
+        ],
+        edges: [
+            { source: 101, target: -1, weight: 0.1234, travel_time: 8.88 },
+            { source: -1, target: 7, weight: 0.0002, travel_time: 0.01 },
+            { source: 7, target: 999, weight: 1, travel_time: 1 }
+        ]
+    };
+
+    test('writes contiguous 1-based ids with integer metre weights', () => {
+        const { gr, co, ids } = convertToDIMACS(graph);
+        expect(gr.split('\n').filter(line => !line.startsWith('c'))).toEqual([
+            'p sp 3 2',
+            'a 1 2 123',
+            'a 2 3 1',
+            ''
+        ]);
+        expect(co).toContain('p aux sp co 3\nv 1 13400000 52520000\nv 2 0 52521235\nv 3 13420000 52530000\n');
+        expect(ids).toBe('dimacs_id,node_id\n1,101\n2,-1\n3,7\n');
+    });
+
+    test('uses deciseconds for time weights', () => {
+        const { gr } = convertToDIMACS(graph, { weight: 'time' });
+        expect(gr).toContain('c OSM road graph, arc weights: travel time in deciseconds');
+        expect(gr).toContain('a 1 2 89\na 2 3 1');
+    });
+
+    test('writes both directions of undirected edges', () => {
+        const { gr } = convertToDIMACS({ ...graph, directed: false });
+        expect(gr).toContain('p sp 3 4\na 1 2 123\na 2 1 123\n');
+    });
+
+    test('rejects unknown weights and missing values', () => {
+        expect(() => convertToDIMACS(graph, { weight: 'hops' })).toThrow('Unknown DIMACS weight: hops');
+        const noTime = { ...graph, edges: [{ source: 101, target: 7, weight: 1 }] };
+        expect(() => convertToDIMACS(noTime, { weight: 'time' })).toThrow('Edge 101->7 has no travel_time');
+    });
+});
+
+describe('projectUTM', () => {
+    test('projects to UTM eastings and northings', () => {
+        expect(utmZone(13.4)).toBe(33);
+        expect(utmZone(-74)).toBe(18);
+        expect(utmZone(180)).toBe(60);
+        expect(projectUTM(0, 3, 31)).toEqual([500000, 0]);
+        const [x, y] = projectUTM(40.6892, -74.0445, 18);
+        expect(x).toBeCloseTo(580735.87, 1);
+        expect(y).toBeCloseTo(4504695.17, 1);
+        const [sx, sy] = projectUTM(-33.8688, 151.2093, 56);
+        expect(sx).toBeCloseTo(334368.63, 1);
+        expect(sy).toBeCloseTo(6250948.35, 1);
+    });
+});
+
+describe('convertToSUMO', () => {
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: {},
+        nodes: [
+            { id: 1, lat: 52.52, lon: 13.4 },
+            { id: 2, lat: 52.521, lon: 13.401 },
+            { id: 3, lat: 52.52, lon: 13.402 }
+        ],
+        edges: [
+            { source: 1, target: 2, weight: 0.13, wayId: 10, highway: 'primary', name: 'A & B', speed_kph: 50, lanes: '4' },
+            { source: 2, target: 1, weight: 0.13, wayId: 10, highway: 'primary', name: 'A & B', speed_kph: 50, lanes: '4' },
+            { source: 2, target: 3, weight: 0.1, wayId: 11, highway: 'footway', speed_kph: 5,
+              geometry: [[13.401, 52.521], [13.4015, 52.5205], [13.402, 52.52]] }
+        ]
+    };
+
+    test('writes projected nodes with a georeference', () => {
+        const { nodes } = convertToSUMO(graph);
+        expect(nodes).toContain('projParameter="+proj=utm +zone=33 +ellps=WGS84 +datum=WGS84 +units=m +no_defs"');
+        expect(nodes).toContain('origBoundary="13.4,52.52,13.402,52.521"');
+        // UTM grid north differs from true north, so node 3 lies a little lower
+        expect(nodes).toContain('<node id="1" x="0.00" y="3.01"/>');
+        expect(nodes).toContain('<node id="3" x="135.69" y="0.00"/>');
+    });
+
+    test('writes two-way streets as opposite edges and one-way edges centred', () => {
+        const { edges } = convertToSUMO(graph);
+        expect(edges).toContain('<edge id="10#0" from="1" to="2" type="highway.primary" numLanes="2" speed="13.89" name="A &amp; B"/>');
+        expect(edges).toContain('<edge id="-10#0" from="2" to="1" type="highway.primary" numLanes="2"');
+        expect(edges).toMatch(/<edge id="11#0" from="2" to="3" type="highway.footway" speed="1.39" shape="[\d.]+,[\d.]+ [\d.]+,[\d.]+ [\d.]+,[\d.]+" spreadType="center"\/>/);
+    });
+
+    test('declares a type for every highway class used', () => {
+        const { types } = convertToSUMO(graph);
+        expect(types).toContain('<type id="highway.primary" priority="12" numLanes="2" speed="19.44"/>');
+        expect(types).toContain('<type id="highway.footway" priority="1" numLanes="1" speed="1.39" allow="pedestrian"/>');
+        expect(types).not.toContain('highway.residential');
+    });
+
+    test('halves lanes of two-way chains merged across ways', () => {
+        // Ways 10 and 11 form one chain; each direction keeps a different way id
+        const merged = simplifyGraph(convertToGraph({
+            elements: [
+                ...[1, 2, 3, 4, 5].map(id => ({ type: 'node', id, lat: 52.52, lon: 13.4 + id * 0.001 })),
+                { type: 'way', id: 10, nodes: [1, 2, 3], tags: { highway: 'primary', lanes: '4' } },
+                { type: 'way', id: 11, nodes: [3, 4, 5], tags: { highway: 'primary', lanes: '4', name: 'B' } }
+            ]
+        }, { tags: ['lanes'] }), { mergeAcrossAttributes: true });
+        expect(new Set(merged.edges.map(e => e.wayId)).size).toBe(2);
+
+        const { edges } = convertToSUMO(merged);
+        expect(edges).toContain('<edge id="10#0" from="1" to="5" type="highway.primary" numLanes="2"');
+        expect(edges).toContain('<edge id="-10#0" from="5" to="1" type="highway.primary" numLanes="2"');
+        expect(edges).not.toContain('spreadType');
+        expect(convertToDOT(merged)).toContain('"dir"="both"');
+    });
+});
+
+describe('convertToMATSim', () => {
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: {},
+        nodes: [
+            { id: 1, lat: 52.52, lon: 13.4 },
+            { id: 2, lat: 52.521, lon: 13.401 },
+            { id: 3, lat: 52.52, lon: 13.402 }
+        ],
+        edges: [
+            { source: 1, target: 2, weight: 0.13, wayId: 10, highway: 'primary', name: 'A & B', speed_kph: 50, lanes: '4' },
+            { source: 2, target: 1, weight: 0.13, wayId: 10, highway: 'primary', name: 'A & B', speed_kph: 50, lanes: '4' },
+            { source: 2, target: 3, weight: 0.1, wayId: 11, highway: 'residential', speed_kph: 30, bicycle: 'no', foot: 'yes' },
+            { source: 3, target: 1, weight: 0.1, wayId: 12, highway: 'footway', speed_kph: 5 }
+        ]
+    };
+
+    test('writes UTM nodes and the CRS attribute', () => {
+        const xml = convertToMATSim(graph);
+        expect(xml).toContain('<!DOCTYPE network SYSTEM "http://www.matsim.org/files/dtd/network_v2.dtd">');
+        expect(xml).toContain('<attribute name="coordinateReferenceSystem" class="java.lang.String">EPSG:32633</attribute>');
+        const [x, y] = projectUTM(52.52, 13.4, 33);
+        expect(xml).toContain(`<node id="1" x="${x.toFixed(2)}" y="${y.toFixed(2)}"/>`);
+    });
+
+    test('derives link attributes from tags and highway class', () => {
+        const xml = convertToMATSim(graph);
+        expect(xml).toContain('<link id="10#0" from="1" to="2" length="130.00" freespeed="13.89" capacity="3000.0" permlanes="2.0" oneway="1" modes="car,bike">');
+        expect(xml).toContain('<link id="-10#0" from="2" to="1"');
+        expect(xml).toContain('<link id="11#0" from="2" to="3" length="100.00" freespeed="8.33" capacity="600.0" permlanes="1.0" oneway="1" modes="car,walk">');
+        expect(xml).toContain('capacity="300.0" permlanes="1.0" oneway="1" modes="walk"');
+        expect(xml).toContain('<attribute name="osm:way:name" class="java.lang.String">A &amp; B</attribute>');
+    });
+
+    test('merges configured link defaults', () => {
+        const xml = convertToMATSim(graph, { linkDefaults: { residential: { capacity: 900 }, footway: { lanes: 2 } } });
+        expect(xml).toContain('capacity="900.0" permlanes="1.0" oneway="1" modes="car,walk"');
+        expect(xml).toContain('capacity="600.0" permlanes="2.0" oneway="1" modes="walk"');
+        expect(MATSIM_LINK_DEFAULTS.residential.capacity).toBe(600);
+    });
+});
+
+describe('buildTensors', () => {
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: {},
+        nodes: [
+            { id: 4000000001, lat: 52.52, lon: 13.4, weak_component: 0 },
+            { id: 17, lat: 52.53, lon: 13.41, highway: 'traffic_signals', ele: '34.5' },
+            { id: -1, lat: 52.54, lon: 13.42, boundary: true }
+        ],
+        edges: [
+            { source: 4000000001, target: 17, weight: 0.5, highway: 'primary' },
+            { source: 17, target: -1, weight: 0.25, highway: 'motorway_junction_road' }
+        ]
+    };
+
+    test('renumbers nodes and builds edge_index', () => {
+        const t = buildTensors(graph);
+        expect(t.node_ids).toEqual({ dtype: 'int64', shape: [3], data: [4000000001, 17, -1] });
+        expect(t.edge_index).toEqual({ dtype: 'int64', shape: [2, 2], data: [0, 1, 1, 2] });
+        const undirected = buildTensors({ ...graph, directed: false });
+        expect(undirected.edge_index.data).toEqual([0, 1, 1, 2, 1, 0, 2, 1]);
+        expect(undirected.edge_attr.shape[0]).toBe(4);
+    });
+
+    test('writes node features with names', () => {
+        const t = buildTensors(graph);
+        expect(t.node_feature_names.data).toEqual(['lat', 'lon', 'degree', 'highway', 'ele', 'boundary']);
+        expect(t.x.shape).toEqual([3, 6]);
+        expect(t.x.data.slice(6, 12)).toEqual([52.53, 13.41, 2, 1, 34.5, NaN]);
+        expect(t.x.data.slice(12, 18)).toEqual([52.54, 13.42, 1, NaN, NaN, 1]);
+    });
+
+    test('one-hot encodes highway over the stored vocabulary', () => {
+        const t = buildTensors(graph);
+        expect(t.highway_vocabulary.data).toEqual(HIGHWAY_VOCABULARY);
+        const width = 1 + HIGHWAY_VOCABULARY.length;
+        expect(t.edge_attr.shape).toEqual([2, width]);
+        const first = t.edge_attr.data.slice(0, width);
+        expect(first[0]).toBe(0.5);
+        expect(first[1 + HIGHWAY_VOCABULARY.indexOf('primary')]).toBe(1);
+        expect(first.reduce((a, b) => a + b)).toBe(1.5);
+        expect(t.edge_attr.data[width + width - 1]).toBe(1);
+        expect(t.edge_feature_names.data[width - 1]).toBe('highway=other');
+
+        const custom = buildTensors(graph, { vocabulary: ['primary'] });
+        expect(custom.highway_vocabulary.data).toEqual(['primary', 'other']);
+        expect(custom.edge_attr.data).toEqual([0.5, 1, 0, 0.25, 0, 1]);
+    });
+
+    test('keeps coordinates in float64 and missing values as null in JSON', () => {
+        const t = buildTensors(graph);
+        expect(t.pos).toEqual({ dtype: 'float64', shape: [3, 2], data: [52.52, 13.4, 52.53, 13.41, 52.54, 13.42] });
+        const json = JSON.parse(JSON.stringify(t));
+        expect(json.x.data.slice(12, 18)).toEqual([52.54, 13.42, 1, null, null, 1]);
+    });
+
+    test('falls back to string ids', () => {
+        const t = buildTensors({ ...graph, nodes: [{ id: 'e0', lat: 1, lon: 2 }], edges: [] });
+        expect(t.node_ids).toEqual({ dtype: 'str', shape: [1], data: ['e0'] });
+    });
+});
+
+describe('convertToNPZ', () => {
+    test('writes one aligned .npy file per array', () => {
+        const npz = convertToNPZ({
+            ids: { dtype: 'int64', shape: [2], data: [1, -2] },
+            x: { dtype: 'float32', shape: [1, 2], data: [0.5, NaN] },
+            pos: { dtype: 'float64', shape: [1, 2], data: [52.123456789, 13.1] },
+            names: { dtype: 'str', shape: [2], data: ['a', 'bé'] }
+        });
+        const view = new DataView(npz.buffer);
+        // First entry: local header (30 bytes) and name `ids.npy`
+        expect(new TextDecoder().decode(npz.subarray(30, 37))).toBe('ids.npy');
+        const npy = npz.subarray(37);
+        expect(Array.from(npy.subarray(0, 8))).toEqual([0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0]);
+        const headerLength = npy[8] | (npy[9] << 8);
+        expect((10 + headerLength) % 64).toBe(0);
+        const header = new TextDecoder().decode(npy.subarray(10, 10 + headerLength));
+        expect(header).toMatch(/^\{'descr': '<i8', 'fortran_order': False, 'shape': \(2,\), \} *\n$/);
+        expect(view.getBigInt64(37 + 10 + headerLength + 8, true)).toBe(-2n);
+        expect(view.getUint32(18, true)).toBe(10 + headerLength + 16);
+
+        // Third entry: float64 keeps coordinates exactly
+        const posName = new TextEncoder().encode('pos.npy');
+        const at = npz.findIndex((_, i) => posName.every((b, j) => npz[i + j] === b));
+        const posNpy = npz.subarray(at + posName.length);
+        const posHeader = posNpy[8] | (posNpy[9] << 8);
+        expect(new TextDecoder().decode(posNpy.subarray(10, 10 + posHeader))).toContain("'descr': '<f8'");
+        expect(new DataView(posNpy.buffer, posNpy.byteOffset).getFloat64(10 + posHeader, true)).toBe(52.123456789);
+    });
+});
+
+describe('convertToGeoJSON', () => {
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: { profile: 'drive' },
+        nodes: [
+            { id: 1, lat: 52.52, lon: 13.4, highway: 'traffic_signals' },
+            { id: 2, lat: 52.521, lon: 13.401 }
+        ],
+        edges: [
+            { source: 1, target: 2, weight: 0.1, wayId: 5, highway: 'residential', name: 'Main St' },
+            { source: 2, target: 1, weight: 0.2, wayId: 5, geometry: [[13.401, 52.521], [13.5, 52.6], [13.4, 52.52]] },
+            { source: 1, target: 9, weight: 0.3, wayId: 6 }
+        ]
+    };
+
+    test('writes nodes as Points and edges as LineStrings in lon/lat order', () => {
+        const collection = JSON.parse(convertToGeoJSON(graph));
+        expect(collection.type).toBe('FeatureCollection');
+        expect(collection.features).toHaveLength(4);
+        expect(collection.features[0]).toEqual({
+            type: 'Feature',
+            id: 1,
+            geometry: { type: 'Point', coordinates: [13.4, 52.52] },
+            properties: { id: 1, lat: 52.52, lon: 13.4, highway: 'traffic_signals' }
+        });
+        expect(collection.features[2].geometry).toEqual({ type: 'LineString', coordinates: [[13.4, 52.52], [13.401, 52.521]] });
+        expect(collection.features[2].properties).toEqual({ source: 1, target: 2, weight: 0.1, wayId: 5, highway: 'residential', name: 'Main St' });
+    });
+
+    test('uses edge geometry instead of a property', () => {
+        const collection = JSON.parse(convertToGeoJSON(graph));
+        expect(collection.features[3].geometry.coordinates).toHaveLength(3);
+        expect(collection.features[3].properties).not.toHaveProperty('geometry');
+    });
+
+    test('writes a single layer on request', () => {
+        const nodes = JSON.parse(convertToGeoJSON(graph, { layer: 'nodes' }));
+        const edges = JSON.parse(convertToGeoJSON(graph, { layer: 'edges' }));
+        expect(nodes.features.every(f => f.geometry.type === 'Point')).toBe(true);
+        expect(nodes.features).toHaveLength(2);
+        expect(edges.features.every(f => f.geometry.type === 'LineString')).toBe(true);
+        expect(edges.features).toHaveLength(2);
+        expect(() => convertToGeoJSON(graph, { layer: 'ways' })).toThrow('Unknown GeoJSON layer: ways');
+    });
+});
+
+describe('convertToOSMXML', () => {
+    const osmData = {
+        elements: [
+            { type: 'relation', id: 9, members: [{ type: 'way', ref: 100, role: 'from' }, { type: 'node', ref: 2, role: 'via' }], tags: { type: 'restriction', restriction: 'no_left_turn' } },
+            { type: 'way', id: 100, nodes: [1, 2], tags: { highway: 'residential', name: 'A & "B"' } },
+            { type: 'node', id: 2, lat: 52.521, lon: 13.401, tags: { highway: 'traffic_signals' } },
+            { type: 'node', id: 1, lat: 52.52, lon: 13.4 }
+        ]
+    };
+    const bounds = { south: 52.5, west: 13.3, north: 52.6, east: 13.5 };
+
+    test('writes bounds, nodes, ways and relations with tags in order', () => {
+        expect(convertToOSMXML(osmData, bounds)).toBe(`<?xml version="1.0" encoding="UTF-8"?>
+<osm version="0.6" generator="OSM Graph Selector">
+  <bounds minlat="52.5" minlon="13.3" maxlat="52.6" maxlon="13.5"/>
+  <node id="1" lat="52.52" lon="13.4"/>
+  <node id="2" lat="52.521" lon="13.401">
+    <tag k="highway" v="traffic_signals"/>
+  </node>
+  <way id="100">
+    <nd ref="1"/>
+    <nd ref="2"/>
+    <tag k="highway" v="residential"/>
+    <tag k="name" v="A &amp; &quot;B&quot;"/>
+  </way>
+  <relation id="9">
+    <member type="way" ref="100" role="from"/>
+    <member type="node" ref="2" role="via"/>
+    <tag k="type" v="restriction"/>
+    <tag k="restriction" v="no_left_turn"/>
+  </relation>
+</osm>
+`);
+    });
+
+    test('keeps ways merged from several tiles once', () => {
+        const merged = mergeOsmData([osmData, { elements: [osmData.elements[1]] }]);
+        expect(convertToOSMXML(merged, bounds).match(/<way /g)).toHaveLength(1);
+    });
+
+    test('keeps node tags the graph did not retain', () => {
+        const graph = convertToGraph(osmData);
+        expect(graph.nodes.find(n => n.id === 2)).not.toHaveProperty('highway');
+        expect(convertToOSMXML(osmData, bounds)).toMatch(/<node id="2"[^>]*>\n {4}<tag k="highway" v="traffic_signals"\/>/);
+    });
+});
+
+describe('convertToSVG', () => {
+    const graph = {
+        directed: true,
+        multigraph: false,
+        graph: {},
+        nodes: [
+            { id: 1, lat: 52.52, lon: 13.4 },
+            { id: 2, lat: 52.52, lon: 13.41 },
+            { id: 3, lat: 52.525, lon: 13.41 }
+        ],
+        edges: [
+            { source: 2, target: 1, weight: 0.68, highway: 'primary', name: 'Long & Wide Street' },
+            { source: 1, target: 2, weight: 0.68, highway: 'primary', name: 'Long & Wide Street' },
+            { source: 2, target: 3, weight: 0.56, highway: 'residential', name: 'Oneway' }
+        ]
+    };
+
+    test('projects edges into the requested size, major roads last', () => {
+        const svg = convertToSVG(graph, { width: 400, height: 300 });
+        expect(svg).toContain('width="400" height="300" viewBox="0 0 400 300"');
+        const paths = [...svg.matchAll(/<path d="([^"]+)" stroke="(rgb\([^)]+\))" stroke-width="([\d.]+)"/g)];
+        expect(paths.map(p => [p[2], p[3]])).toEqual([['rgb(120,120,120)', '1.5'], ['rgb(217,148,38)', '3']]);
+        // The height limits the scale: 0.005° of latitude span 260 px in
+        // Mercator, so 0.01° of longitude span about 316 px
+        const [, x1, y1, x2, y2] = paths[1][1].match(/M([\d.]+) ([\d.]+) L([\d.]+) ([\d.]+)/).map(Number);
+        expect(Math.abs(x1 - x2)).toBeCloseTo(316.4, 0);
+        expect(y1).toBe(y2);
+        expect(svg).not.toContain('<textPath');
+        expect(svg).not.toContain('rotate(');
+    });
+
+    test('adds a scale bar and north arrow', () => {
+        const svg = convertToSVG(graph, { width: 400, height: 300 });
+        // 0.01° of longitude at 52.52° is about 677 m over 316 px
+        expect(svg).toContain('>200 m</text>');
+        expect(svg).toContain('<text x="0" y="30" text-anchor="middle">N</text>');
+    });
+
+    test('draws arrows on one-way edges and labels along edges', () => {
+        const svg = convertToSVG(graph, { width: 400, height: 300, arrows: true, labels: true });
+        expect(svg.match(/rotate\(/g)).toHaveLength(1);
+        expect(svg).toContain('rotate(-90.00)');
+        expect(svg).toContain('<textPath xlink:href="#label1" startOffset="50%">Long &amp; Wide Street</textPath>');
+        // The label path runs west to east although the drawn edge runs east to west
+        const [, d] = svg.match(/<path id="label1" d="([^"]+)"/);
+        const xs = [...d.matchAll(/[ML]([\d.]+)/g)].map(m => Number(m[1]));
+        expect(xs[0]).toBeLessThan(xs[1]);
+    });
+
+    test('rejects a non-positive size', () => {
+        expect(() => convertToSVG(graph, { width: 0 })).toThrow('SVG size must be positive');
+    });
+});
+
 describe('convertToTikZ', () => {
     const simpleGraph = {
         nodes: [
@@ -515,7 +2909,7 @@ describe('convertToTikZ', () => {
     test('deduplicates bidirectional edges', () => {
         const tex = convertToTikZ(simpleGraph);
         // 1↔2 should be drawn once, 2→3 once = 2 draw commands
-        const drawMatches = tex.match(/\\draw\[edge\]/g);
+        const drawMatches = tex.match(/\\draw\[edge[,\]]/g);
         expect(drawMatches).toHaveLength(2);
     });
 
@@ -547,7 +2941,88 @@ describe('convertToTikZ', () => {
             ]
         };
         const tex = convertToTikZ(graph);
-        const drawMatches = tex.match(/\\draw\[edge\]/g);
+        const drawMatches = tex.match(/\\draw\[edge[,\]]/g);
         expect(drawMatches).toHaveLength(1);
     });
+
+    test('projects equirectangularly so distances keep their aspect', () => {
+        const graph = {
+            nodes: [{ id: 1, lat: 60, lon: 10 }, { id: 2, lat: 60, lon: 10.02 }, { id: 3, lat: 60.01, lon: 10 }],
+            edges: []
+        };
+        const coords = [...convertToTikZ(graph, { scaleBar: false }).matchAll(/at \(([^,]+),([^)]+)\)/g)]
+            .map(m => [parseFloat(m[1]), parseFloat(m[2])]);
+        // 0.02° of longitude at 60°N is as long as 0.01° of latitude
+        expect(coords[1][0]).toBeCloseTo(coords[2][1], 1);
+        expect(Math.max(coords[1][0], coords[2][1])).toBeCloseTo(10, 2);
+    });
+
+    test('supports UTM projection', () => {
+        const tex = convertToTikZ(simpleGraph, { projection: 'utm', size: 5 });
+        const coords = [...tex.matchAll(/at \(([^,]+),([^)]+)\)/g)];
+        expect(coords).toHaveLength(3);
+        const extent = Math.max(...coords.flatMap(m => [parseFloat(m[1]), parseFloat(m[2])]));
+        expect(extent).toBeCloseTo(5, 2);
+    });
+
+    test('defines highway colours and styles in the preamble', () => {
+        const graph = {
+            nodes: simpleGraph.nodes,
+            edges: [
+                { source: 1, target: 2, wayId: 100, highway: 'primary' },
+                { source: 2, target: 3, wayId: 101, highway: 'residential' }
+            ]
+        };
+        const tex = convertToTikZ(graph);
+        const preamble = tex.slice(0, tex.indexOf(']\n'));
+        expect(preamble).toContain('\\definecolor{hw-primary}{RGB}');
+        expect(preamble).toContain('hw-residential/.style={draw=hw-residential');
+        expect(tex).toMatch(/\\draw\[edge, hw-primary, oneway\]/);
+    });
+
+    test('marks only one-way edges with arrows', () => {
+        const tex = convertToTikZ(simpleGraph);
+        expect(tex).toContain('oneway/.style={-{Stealth');
+        expect(tex.match(/\\draw\[edge, oneway\]/g)).toHaveLength(1);
+        expect(convertToTikZ({ ...simpleGraph, directed: false })).not.toMatch(/\\draw\[[^\]]*oneway/);
+    });
+
+    test('draws edge geometry as polylines', () => {
+        const graph = {
+            nodes: simpleGraph.nodes.slice(0, 2),
+            edges: [{ source: 1, target: 2, wayId: 100, geometry: [[13.40, 52.52], [13.40, 52.53], [13.41, 52.53]] }]
+        };
+        const line = convertToTikZ(graph).split('\n').find(l => l.includes('\\draw[edge'));
+        expect(line.match(/--/g)).toHaveLength(2);
+    });
+
+    test('labels nodes by OSM id or index', () => {
+        expect(convertToTikZ(simpleGraph)).not.toContain('nodelabel]');
+        expect(convertToTikZ(simpleGraph, { nodeLabels: 'id' })).toContain('label={[nodelabel]above:3}');
+        expect(convertToTikZ(simpleGraph, { nodeLabels: 'index' })).toContain('label={[nodelabel]above:2}');
+    });
+
+    test('adds a legend and a scale bar that can be turned off', () => {
+        const graph = {
+            nodes: simpleGraph.nodes,
+            edges: [{ source: 1, target: 2, wayId: 100, highway: 'primary_link' }]
+        };
+        const tex = convertToTikZ(graph);
+        expect(tex).toContain('node[legend] {primary\\_link}');
+        expect(tex).toMatch(/\\draw\[scalebar\].*node\[midway, below[^\]]*\] \{\d+~(m|km)\}/);
+        const bare = convertToTikZ(graph, { legend: false, scaleBar: false });
+        expect(bare).not.toContain('node[legend]');
+        expect(bare).not.toContain('\\draw[scalebar]');
+    });
+
+    test('keeps the option list free of blank lines', () => {
+        const tex = convertToTikZ({ nodes: [{ id: 1, lat: 0, lon: 0 }], edges: [] });
+        expect(tex).not.toMatch(/\n\s*\n/);
+    });
+
+    test('rejects unknown options', () => {
+        expect(() => convertToTikZ(simpleGraph, { projection: 'mercator' })).toThrow('Unknown TikZ projection');
+        expect(() => convertToTikZ(simpleGraph, { nodeLabels: 'name' })).toThrow('Unknown TikZ node labels');
+        expect(() => convertToTikZ(simpleGraph, { size: 0 })).toThrow('TikZ size must be positive');
+    });
 });